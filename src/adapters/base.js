@@ -0,0 +1,531 @@
+import axios from 'axios';
+import {getCircuitBreaker, sendWithRetry} from './retry.js';
+import {clampMaxTokens, getTokenizer} from '../tokenizer.js';
+
+/**
+ * Base class of model server adapters
+ *
+ * Every adapter exposes the same interface, so the framework doesn't depend on a server's API shape:
+ * - `chat(messages, options)` resolves with an OpenAI-style chat completion
+ *   (`choices[0].message.content`, `choices[0].finish_reason`, `usage`), plus `attempts` and `performance`
+ * - `execute(prompt, options)` sends a single user message
+ * - Request options: `model`, `temperature`, `top_p`, `max_tokens`, `seed` (sampling seed, for servers supporting it),
+ *   `schema` and `schemaName` (structured output), `stream`
+ * - `listModels()` resolves with an OpenAI-style model list (`data[].id`)
+ * - `embed(input, options)` (optional) resolves with an OpenAI-style embedding list (`data[].embedding`)
+ *
+ * Key implementation details:
+ * - Shared configuration: server URL, model, sampling defaults, timeout, streaming, retries and circuit breaker
+ * - `countTokens()` counts prompt tokens locally and clamps max_tokens to the model's context window;
+ *   `finishResponse()` prefers the server's usage counts and falls back to the local tokenizer
+ * - Basic or bearer authentication from the endpoint's `auth`, or basic authentication from AUTH_USERNAME and AUTH_PASSWORD
+ * - `send()` wraps requests with retries and the model's circuit breaker
+ * - `toRequestError()` turns axios errors into readable errors that keep the number of attempts
+ */
+export default class BaseAdapter {
+  /**
+   * @param {object} config - Adapter configuration
+   * @param {string} defaultBaseUrl - Server URL used when the configuration has none
+   */
+  constructor(config = {}, defaultBaseUrl = 'http://127.0.0.1:1234') {
+    this.baseUrl = (config.baseUrl || defaultBaseUrl).replace(/\/+$/, '');
+    this.model = normalizeModelId(config.model);
+    this.temperature = config.temperature ?? 0.7;
+    this.max_tokens = config.max_tokens || null;
+    this.contextWindow = config.contextWindow || null;
+    this.tokenizer = config.tokenizer || 'cl100k_base';
+    this.timeout = config.timeout || parseInt(process.env.REQUEST_TIMEOUT_MS || '900000', 10);
+    this.retry = config.retry || {};
+    this.circuitBreaker = config.circuitBreaker || {};
+    this.stream = config.stream || false;
+
+    // Endpoint credentials take precedence over the environment
+    const auth = config.auth || {};
+    this.authUsername = auth.username ?? (config.auth ? undefined : process.env.AUTH_USERNAME);
+    this.authPassword = auth.password ?? (config.auth ? undefined : process.env.AUTH_PASSWORD);
+    this.authHeader = null;
+
+    if (auth.token) {
+      this.authHeader = `Bearer ${auth.token}`;
+      console.log(`${this.constructor.name} initialized with bearer token authentication`);
+    } else if (this.authUsername && this.authPassword) {
+      const credentials = Buffer.from(`${this.authUsername}:${this.authPassword}`).toString('base64');
+      this.authHeader = `Basic ${credentials}`;
+      console.log(`${this.constructor.name} initialized with basic authentication`);
+    }
+
+    console.log(`${this.constructor.name} initialized with model: ${this.model}, max_tokens: ${this.max_tokens}`);
+  }
+
+  /**
+   * Get a filesystem-safe version of the model ID for file paths
+   *
+   * @param {string} modelId - The model ID to normalize for file paths
+   * @returns {string} - The normalized model ID safe for file paths
+   */
+  static getModelIdForFilePath(modelId) {
+    return normalizeModelIdForFilePath(modelId);
+  }
+
+  /**
+   * Execute a prompt with the model
+   * Converts the prompt to a single user message and calls the chat method
+   *
+   * @param {string} prompt - The prompt to send to the model
+   * @param {object} options - Additional options for the model
+   * @returns {Promise<object>} The model's response
+   */
+  async execute(prompt, options = {}) {
+    return this.chat([{ role: 'user', content: prompt }], options);
+  }
+
+  /**
+   * Execute a chat completion with the model
+   *
+   * @param {Array} messages - Array of message objects with role and content
+   * @param {object} options - Additional options for the model
+   * @returns {Promise<object>} The model's response in the OpenAI chat completion shape
+   */
+  async chat(messages, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement chat()`);
+  }
+
+  /**
+   * List available models
+   *
+   * @returns {Promise<object>} List of available models in the OpenAI shape (`data[].id`)
+   */
+  async listModels() {
+    throw new Error(`${this.constructor.name} does not implement listModels()`);
+  }
+
+  /**
+   * Compute embeddings of texts
+   *
+   * @param {string|string[]} input - Text or texts to embed
+   * @param {object} options - Additional options (`model`)
+   * @returns {Promise<object>} Embeddings in the OpenAI shape (`data[].embedding`, in input order)
+   */
+  async embed(input, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement embed()`);
+  }
+
+  /**
+   * Get the request headers, including authentication if configured
+   *
+   * @returns {object} - Request headers
+   */
+  getHeaders() {
+    const headers = {
+      'Content-Type': 'application/json',
+    };
+
+    if (this.authHeader) {
+      headers['Authorization'] = this.authHeader;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Send a request to the server with retries
+   *
+   * @param {object} request - Request description
+   * @param {string} request.method - HTTP method
+   * @param {string} request.path - Path relative to the server URL
+   * @param {object} [request.data] - Request body
+   * @param {boolean} [request.stream] - Return the response body as a stream
+   * @param {string} [request.model] - Model guarded by a circuit breaker, if any
+   * @param {string} request.description - Request description for log messages
+   * @returns {Promise<{response: object, attempts: number, startTime: number}>} - The response, the number of
+   *   attempts and the start time of the successful attempt
+   */
+  async send({ method, path, data, stream = false, model = null, description }) {
+    let startTime = Date.now();
+
+    const { response, attempts } = await sendWithRetry(
+      () => {
+        // Restart timing for each attempt so retries don't count as latency
+        startTime = Date.now();
+        return axios({
+          method,
+          url: `${this.baseUrl}${path}`,
+          data,
+          headers: this.getHeaders(),
+          timeout: this.timeout,
+          responseType: stream ? 'stream' : 'json',
+          maxContentLength: Infinity,
+          maxBodyLength: Infinity
+        });
+      },
+      this.retry,
+      model ? getCircuitBreaker(this.baseUrl, model, this.circuitBreaker) : null,
+      description
+    );
+
+    return { response, attempts, startTime };
+  }
+
+  /**
+   * Count the prompt tokens of a request and the output tokens to request
+   *
+   * @param {Array} messages - Array of message objects with role and content
+   * @param {object} options - Request options (`max_tokens`, `model`)
+   * @returns {Promise<{tokenizer: object, promptTokens: number, maxTokens: number|null}>} - The token counts
+   * @throws {Error} - If the prompt alone fills the model's context window
+   */
+  async countTokens(messages, options = {}) {
+    const tokenizer = await getTokenizer(this.tokenizer);
+    const promptTokens = tokenizer.countMessageTokens(messages);
+    const requestedMaxTokens = options.max_tokens || this.max_tokens;
+    const maxTokens = clampMaxTokens(requestedMaxTokens, promptTokens, this.contextWindow);
+    const model = options.model || this.model;
+
+    console.log(`Input tokens (${tokenizer.encoding}): ${promptTokens}`);
+
+    if (this.contextWindow && maxTokens === 0) {
+      throw new Error(`Prompt of ${promptTokens} tokens does not fit the context window of model ${model} (${this.contextWindow} tokens)`);
+    }
+    if (maxTokens !== requestedMaxTokens) {
+      console.log(`Clamped max_tokens to ${maxTokens} (from ${requestedMaxTokens}) to fit the context window of ${this.contextWindow} tokens`);
+    }
+
+    return { tokenizer, promptTokens, maxTokens };
+  }
+
+  /**
+   * Complete an OpenAI-style response with usage, attempts and performance metrics
+   *
+   * Key implementation details:
+   * - Token counts the server doesn't report are counted with the local tokenizer;
+   *   `usage.source` tells whether the counts come from the `server`, the `tokenizer` or both (`mixed`)
+   *
+   * @param {object} responseData - The OpenAI-style chat completion
+   * @param {object} details - Request details
+   * @param {number} details.startTime - Start time of the successful attempt
+   * @param {number} details.attempts - Number of attempts
+   * @param {boolean} details.stream - Whether the response was streamed
+   * @param {number[]} [details.tokenTimes] - Arrival times of the streamed content chunks
+   * @param {object} [details.tokens] - Local token counts returned by countTokens()
+   * @returns {object} - The completed response
+   */
+  finishResponse(responseData, { startTime, attempts, stream, tokenTimes = [], tokens = null }) {
+    const endTime = Date.now();
+    const choice = responseData.choices?.[0];
+
+    // Log response details for debugging
+    if (choice?.message) {
+      const contentLength = choice.message.content?.length || 0;
+      console.log(`Response content length: ${contentLength} characters`);
+
+      // Check for potentially truncated responses
+      if (contentLength > 0 && choice.finish_reason === 'length') {
+        console.warn('Warning: Response may be truncated (finish_reason=length)');
+      }
+    }
+
+    if (!responseData.usage) {
+      responseData.usage = {
+        completion_ms: endTime - startTime
+      };
+    }
+
+    if (tokens) {
+      responseData.usage = getTokenUsage(responseData.usage, tokens, choice?.message?.content);
+    }
+
+    responseData.attempts = attempts;
+    responseData.performance = getPerformanceMetrics(startTime, endTime, tokenTimes, responseData.usage, stream);
+
+    return responseData;
+  }
+
+  /**
+   * Convert a failed request into a readable error
+   *
+   * @param {Error} error - The error thrown by send()
+   * @returns {Promise<Error>} - The error to throw, with an `attempts` property
+   */
+  async toRequestError(error) {
+    const attemptsInfo = error.attempts > 1 ? ` after ${error.attempts} attempts` : '';
+
+    if (error.code === 'ECIRCUITOPEN') {
+      return error;
+    }
+
+    if (error.code === 'ECONNABORTED') {
+      return withAttempts(new Error(`Request timed out after ${this.timeout}ms${attemptsInfo}`), error);
+    }
+
+    // Enhanced error reporting
+    if (error.response) {
+      // Streaming requests receive the error body as a stream as well
+      if (typeof error.response.data?.on === 'function') {
+        error.response.data = await readErrorStream(error.response.data);
+      }
+
+      // The request was made and the server responded with a status code
+      console.error('Error response data:', error.response.data);
+      console.error('Error response status:', error.response.status);
+      return withAttempts(new Error(`API request failed with status ${error.response.status}${attemptsInfo}: ${JSON.stringify(error.response.data)}`), error);
+    } else if (error.request) {
+      // The request was made but no response was received
+      console.error('No response received:', error.request);
+      return withAttempts(new Error(`No response received from server${attemptsInfo}: ${error.message}`), error);
+    }
+
+    // Something happened in setting up the request
+    console.error('Error setting up request:', error.message);
+    return error;
+  }
+}
+
+/**
+ * Read a streamed response body line by line
+ * Handles both server-sent events (`data: {...}` lines) and newline-delimited JSON
+ *
+ * @param {import('stream').Readable} stream - The response body
+ * @param {Function} onChunk - Called with every parsed JSON chunk
+ * @returns {Promise<void>}
+ */
+export async function readJsonStream(stream, onChunk) {
+  let buffer = '';
+  let done = false;
+
+  const handleLine = (line) => {
+    if (!line || line.startsWith(':') || line.startsWith('event:') || line.startsWith('id:') || line.startsWith('retry:')) return;
+
+    const payload = line.startsWith('data:') ? line.slice(5).trim() : line;
+    if (payload === '[DONE]') {
+      done = true;
+      return;
+    }
+    if (!payload) return;
+
+    let chunk;
+    try {
+      chunk = JSON.parse(payload);
+    } catch (error) {
+      console.warn(`Skipping unparsable stream chunk: ${payload.substring(0, 100)}`);
+      return;
+    }
+
+    onChunk(chunk);
+  };
+
+  for await (const data of stream) {
+    buffer += data.toString('utf8');
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      handleLine(buffer.slice(0, newline).trim());
+      buffer = buffer.slice(newline + 1);
+    }
+    if (done) break;
+  }
+
+  if (!done) {
+    handleLine(buffer.trim());
+  }
+}
+
+/**
+ * Create an OpenAI-style chat completion from a native server response
+ *
+ * @param {object} completion - Normalized completion
+ * @param {string} completion.model - The model ID
+ * @param {string} completion.content - The generated text
+ * @param {string|null} completion.finishReason - `stop`, `length` or null
+ * @param {number} [completion.promptTokens] - Prompt tokens reported by the server
+ * @param {number} [completion.completionTokens] - Completion tokens reported by the server
+ * @returns {object} - The chat completion
+ */
+export function createChatCompletion({ model, content, finishReason, promptTokens, completionTokens }) {
+  const responseData = {
+    id: null,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: finishReason }]
+  };
+
+  if (typeof promptTokens === 'number' || typeof completionTokens === 'number') {
+    responseData.usage = {
+      prompt_tokens: promptTokens ?? null,
+      completion_tokens: completionTokens ?? null,
+      total_tokens: (promptTokens || 0) + (completionTokens || 0)
+    };
+  }
+
+  return responseData;
+}
+
+/**
+ * Request embeddings from an OpenAI-compatible `POST /v1/embeddings` endpoint
+ * Shared by the adapters of servers offering this endpoint
+ *
+ * @param {object} adapter - The adapter sending the request
+ * @param {string|string[]} input - Text or texts to embed
+ * @param {object} options - Additional options (`model`)
+ * @returns {Promise<object>} Embeddings in the OpenAI shape, sorted by input index
+ */
+export async function requestEmbeddings(adapter, input, options = {}) {
+  const modelToUse = options.model ? normalizeModelId(options.model) : adapter.model;
+
+  try {
+    const { response } = await adapter.send({
+      method: 'post',
+      path: '/v1/embeddings',
+      data: { model: modelToUse, input },
+      model: modelToUse,
+      description: `Embeddings with model ${modelToUse}`
+    });
+
+    return { ...response.data, data: [...response.data.data].sort((a, b) => a.index - b.index) };
+  } catch (error) {
+    throw await adapter.toRequestError(error);
+  }
+}
+
+/**
+ * Format chat messages as a plain prompt for servers that only complete text
+ *
+ * @param {Array} messages - Array of message objects with role and content
+ * @returns {string} - The prompt, ending with an open assistant turn
+ */
+export function formatMessagesAsPrompt(messages) {
+  const turns = messages.map(({ role, content }) => `${role.charAt(0).toUpperCase()}${role.slice(1)}: ${content}`);
+  return `${turns.join('\n\n')}\n\nAssistant:`;
+}
+
+/**
+ * Read an error response body that was returned as a stream
+ *
+ * @param {import('stream').Readable} stream - The response body
+ * @returns {Promise<*>} - The parsed JSON body, or the raw text if it isn't JSON
+ */
+async function readErrorStream(stream) {
+  let text = '';
+  for await (const data of stream) {
+    text += data.toString('utf8');
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Fill the token counts missing from a server's usage with local counts
+ *
+ * @param {object} usage - Token usage reported by the server
+ * @param {object} tokens - Local token counts returned by countTokens()
+ * @param {string} [content] - The generated text
+ * @returns {object} - The usage with prompt, completion and total tokens and their source
+ */
+function getTokenUsage(usage, tokens, content) {
+  const reported = ['prompt_tokens', 'completion_tokens'].filter(key => typeof usage[key] === 'number');
+  const promptTokens = usage.prompt_tokens ?? tokens.promptTokens;
+  const completionTokens = usage.completion_tokens ?? tokens.tokenizer.countTokens(content);
+
+  return {
+    ...usage,
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    source: reported.length === 2 ? 'server' : reported.length === 0 ? 'tokenizer' : 'mixed'
+  };
+}
+
+/**
+ * Compute timing metrics of a completed request
+ *
+ * Key implementation details:
+ * - Tokens/second counts generated tokens over the generation time; when streaming the generation
+ *   time starts at the first token, so prompt processing doesn't lower the rate
+ * - Without server usage counts, a streamed request counts one token per content chunk
+ * - Time-to-first-token and inter-token latency are only available when streaming
+ *
+ * @param {number} startTime - Request start time (ms since epoch)
+ * @param {number} endTime - Response end time (ms since epoch)
+ * @param {number[]} tokenTimes - Arrival times of the streamed content chunks
+ * @param {object} usage - Token usage reported by the server
+ * @param {boolean} streamed - Whether the response was streamed
+ * @returns {object} - The performance metrics
+ */
+function getPerformanceMetrics(startTime, endTime, tokenTimes, usage, streamed) {
+  const completionMs = endTime - startTime;
+  const completionTokens = usage?.completion_tokens ?? (streamed ? tokenTimes.length : null);
+
+  let timeToFirstTokenMs = null;
+  let interTokenLatencyMs = null;
+  let generationMs = completionMs;
+
+  if (streamed && tokenTimes.length > 0) {
+    timeToFirstTokenMs = tokenTimes[0] - startTime;
+    generationMs = endTime - tokenTimes[0];
+    if (tokenTimes.length > 1) {
+      interTokenLatencyMs = (tokenTimes[tokenTimes.length - 1] - tokenTimes[0]) / (tokenTimes.length - 1);
+    }
+  }
+
+  return {
+    streamed,
+    completion_ms: completionMs,
+    time_to_first_token_ms: timeToFirstTokenMs,
+    inter_token_latency_ms: interTokenLatencyMs,
+    completion_tokens: completionTokens,
+    tokens_per_second: completionTokens && generationMs > 0 ? completionTokens / (generationMs / 1000) : null
+  };
+}
+
+/**
+ * Copy the number of attempts from the original error to the error thrown to callers
+ *
+ * @param {Error} error - The error to throw
+ * @param {Error} cause - The original error
+ * @returns {Error} - The error to throw
+ */
+function withAttempts(error, cause) {
+  error.attempts = cause.attempts;
+  return error;
+}
+
+/**
+ * Normalize a model ID to ensure compatibility with the server
+ * For API calls, we preserve the full model name including organization prefix
+ *
+ * @param {string} modelId - The model ID to normalize
+ * @returns {string} - The normalized model ID
+ */
+export function normalizeModelId(modelId) {
+  if (!modelId) {
+    return 'default';
+  }
+
+  // For API calls, we preserve the full model name as-is
+  return modelId;
+}
+
+/**
+ * Get a filesystem-safe version of a model ID
+ * This removes organization prefixes and other characters that might be problematic in filenames
+ *
+ * @param {string} modelId - The model ID to normalize for file paths
+ * @returns {string} - The normalized model ID safe for file paths
+ */
+function normalizeModelIdForFilePath(modelId) {
+  if (!modelId) {
+    return 'default';
+  }
+
+  // Remove organization prefix for file paths
+  if (modelId.includes('/')) {
+    const parts = modelId.split('/');
+    return parts[parts.length - 1].split(':').pop();
+  }
+
+  return modelId;
+}
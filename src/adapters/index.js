@@ -0,0 +1,65 @@
+import LlamaCppAdapter from './llamacpp.js';
+import OllamaAdapter from './ollama.js';
+import OpenAIAdapter from './openai.js';
+import TGIAdapter from './tgi.js';
+
+/**
+ * Adapter classes by name
+ */
+const adapters = new Map([
+  ['openai', OpenAIAdapter],
+  ['ollama', OllamaAdapter],
+  ['llamacpp', LlamaCppAdapter],
+  ['tgi', TGIAdapter]
+]);
+
+/**
+ * Register an adapter, so it can be selected by name in the configuration
+ *
+ * @param {string} name - Adapter name
+ * @param {Function} AdapterClass - Adapter class, usually extending BaseAdapter
+ */
+export function registerAdapter(name, AdapterClass) {
+  if (typeof AdapterClass !== 'function' || typeof AdapterClass.prototype?.chat !== 'function' ||
+    typeof AdapterClass.prototype?.listModels !== 'function') {
+    throw new Error(`Adapter "${name}" must be a class implementing chat() and listModels()`);
+  }
+
+  adapters.set(name, AdapterClass);
+}
+
+/**
+ * Get the names of all registered adapters
+ *
+ * @returns {string[]} - Adapter names
+ */
+export function getAdapterNames() {
+  return [...adapters.keys()];
+}
+
+/**
+ * Get a registered adapter class
+ *
+ * @param {string} name - Adapter name
+ * @returns {Function} - The adapter class
+ * @throws {Error} - If no adapter is registered under the name
+ */
+export function getAdapterClass(name) {
+  const AdapterClass = adapters.get(name);
+  if (!AdapterClass) {
+    throw new Error(`Unknown adapter "${name}" (available: ${getAdapterNames().join(', ')})`);
+  }
+  return AdapterClass;
+}
+
+/**
+ * Create an adapter instance
+ *
+ * @param {string} name - Adapter name
+ * @param {object} config - Adapter configuration (see BaseAdapter)
+ * @returns {object} - The adapter
+ */
+export function createAdapter(name, config = {}) {
+  const AdapterClass = getAdapterClass(name);
+  return new AdapterClass(config);
+}
@@ -0,0 +1,167 @@
+import BaseAdapter, {createChatCompletion, formatMessagesAsPrompt, normalizeModelId, readJsonStream, requestEmbeddings} from './base.js';
+
+/**
+ * Adapter for the native llama.cpp server API
+ *
+ * Key implementation details:
+ * - Renders chat messages with the model's own chat template (`POST /apply-template`), falling back to a
+ *   plain role-prefixed prompt on servers without that endpoint
+ * - Sends completions to `POST /completion`; the server hosts a single model, so the model ID is informational
+ * - Passes JSON schemas through the `json_schema` parameter, which llama.cpp turns into a grammar
+ * - Maps `tokens_evaluated` / `tokens_predicted` to OpenAI-style usage
+ * - Streams server-sent events when streaming is enabled
+ * - Computes embeddings with the OpenAI-compatible `POST /v1/embeddings` (the server must run with `--embeddings`)
+ */
+export default class LlamaCppAdapter extends BaseAdapter {
+  constructor(config = {}) {
+    super(config, 'http://127.0.0.1:8080');
+    this.supportsTemplates = true;
+  }
+
+  /**
+   * Execute a chat completion with the model
+   *
+   * @param {Array} messages - Array of message objects with role and content
+   * @param {object} options - Additional options for the model
+   * @returns {Promise<object>} The model's response in the OpenAI chat completion shape
+   */
+  async chat(messages, options = {}) {
+    const modelToUse = options.model ? normalizeModelId(options.model) : this.model;
+    const stream = options.stream ?? this.stream;
+    const tokens = await this.countTokens(messages, { ...options, model: modelToUse });
+
+    try {
+      const requestBody = {
+        prompt: await this.applyTemplate(messages),
+        temperature: options.temperature ?? this.temperature,
+        top_p: options.top_p ?? 0.95,
+        stream
+      };
+
+      if (tokens.maxTokens) {
+        requestBody.n_predict = tokens.maxTokens;
+      }
+
+      if (Number.isInteger(options.seed)) {
+        requestBody.seed = options.seed;
+      }
+
+      if (options.schema) {
+        requestBody.json_schema = options.schema;
+      }
+
+      const { response, attempts, startTime } = await this.send({
+        method: 'post',
+        path: '/completion',
+        data: requestBody,
+        stream,
+        model: modelToUse,
+        description: `llama.cpp completion with model ${modelToUse}`
+      });
+
+      if (!stream) {
+        return this.finishResponse(toChatCompletion(modelToUse, response.data, response.data.content || ''), {
+          startTime,
+          attempts,
+          stream,
+          tokens
+        });
+      }
+
+      const tokenTimes = [];
+      let content = '';
+      let finalChunk = {};
+
+      await readJsonStream(response.data, (chunk) => {
+        if (chunk.content) {
+          content += chunk.content;
+          tokenTimes.push(Date.now());
+        }
+        if (chunk.stop) {
+          finalChunk = chunk;
+        }
+      });
+
+      return this.finishResponse(toChatCompletion(modelToUse, finalChunk, content), { startTime, attempts, stream, tokenTimes, tokens });
+    } catch (error) {
+      throw await this.toRequestError(error);
+    }
+  }
+
+  /**
+   * Render chat messages into a prompt with the model's chat template
+   *
+   * @param {Array} messages - Array of message objects with role and content
+   * @returns {Promise<string>} - The prompt
+   */
+  async applyTemplate(messages) {
+    if (this.supportsTemplates) {
+      try {
+        const { response } = await this.send({
+          method: 'post',
+          path: '/apply-template',
+          data: { messages: messages.map(({ role, content }) => ({ role, content })) },
+          description: `Applying chat template on ${this.baseUrl}`
+        });
+        return response.data.prompt;
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
+
+        console.warn(`${this.baseUrl} has no /apply-template endpoint, formatting chat messages as a plain prompt`);
+        this.supportsTemplates = false;
+      }
+    }
+
+    return formatMessagesAsPrompt(messages);
+  }
+
+  /**
+   * List the model loaded on the llama.cpp server
+   *
+   * @returns {Promise<object>} List of available models in the OpenAI shape
+   */
+  async listModels() {
+    try {
+      const { response } = await this.send({
+        method: 'get',
+        path: '/v1/models',
+        description: `Listing models on ${this.baseUrl}`
+      });
+
+      return response.data;
+    } catch (error) {
+      throw await this.toRequestError(error);
+    }
+  }
+
+  /**
+   * Compute embeddings of texts
+   *
+   * @param {string|string[]} input - Text or texts to embed
+   * @param {object} options - Additional options (`model`)
+   * @returns {Promise<object>} Embeddings in the OpenAI shape (`data[].embedding`, in input order)
+   */
+  async embed(input, options = {}) {
+    return requestEmbeddings(this, input, options);
+  }
+}
+
+/**
+ * Convert a llama.cpp completion to an OpenAI-style chat completion
+ *
+ * @param {string} model - The model ID
+ * @param {object} data - The (final) llama.cpp response
+ * @param {string} content - The generated text
+ * @returns {object} - The chat completion
+ */
+function toChatCompletion(model, data, content) {
+  const truncated = data.stop_type === 'limit' || data.stopped_limit === true;
+
+  return createChatCompletion({
+    model,
+    content,
+    finishReason: truncated ? 'length' : data.stop ? 'stop' : null,
+    promptTokens: data.tokens_evaluated,
+    completionTokens: data.tokens_predicted
+  });
+}
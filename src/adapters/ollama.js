@@ -0,0 +1,163 @@
+import BaseAdapter, {createChatCompletion, normalizeModelId, readJsonStream} from './base.js';
+
+/**
+ * Adapter for the native Ollama API
+ *
+ * Key implementation details:
+ * - Sends chat requests to `POST /api/chat` and lists models with `GET /api/tags`
+ * - Passes JSON schemas through Ollama's `format` parameter
+ * - Maps `prompt_eval_count` / `eval_count` to OpenAI-style usage and `done_reason` to the finish reason
+ * - Streams newline-delimited JSON chunks when streaming is enabled
+ * - Computes embeddings with `POST /api/embed`
+ */
+export default class OllamaAdapter extends BaseAdapter {
+  constructor(config = {}) {
+    super(config, 'http://127.0.0.1:11434');
+  }
+
+  /**
+   * Execute a chat completion with the model
+   *
+   * @param {Array} messages - Array of message objects with role and content
+   * @param {object} options - Additional options for the model
+   * @returns {Promise<object>} The model's response in the OpenAI chat completion shape
+   */
+  async chat(messages, options = {}) {
+    const modelToUse = options.model ? normalizeModelId(options.model) : this.model;
+    const stream = options.stream ?? this.stream;
+    const tokens = await this.countTokens(messages, { ...options, model: modelToUse });
+
+    const requestBody = {
+      model: modelToUse,
+      messages: messages.map(({ role, content }) => ({ role, content })),
+      // Ollama streams by default, so the mode is always set explicitly
+      stream,
+      options: {
+        temperature: options.temperature ?? this.temperature,
+        top_p: options.top_p ?? 0.95
+      }
+    };
+
+    if (tokens.maxTokens) {
+      requestBody.options.num_predict = tokens.maxTokens;
+    }
+
+    if (Number.isInteger(options.seed)) {
+      requestBody.options.seed = options.seed;
+    }
+
+    if (options.schema) {
+      requestBody.format = options.schema;
+    }
+
+    try {
+      const { response, attempts, startTime } = await this.send({
+        method: 'post',
+        path: '/api/chat',
+        data: requestBody,
+        stream,
+        model: modelToUse,
+        description: `Ollama chat with model ${modelToUse}`
+      });
+
+      if (!stream) {
+        return this.finishResponse(toChatCompletion(modelToUse, response.data, response.data.message?.content || ''), {
+          startTime,
+          attempts,
+          stream,
+          tokens
+        });
+      }
+
+      const tokenTimes = [];
+      let content = '';
+      let finalChunk = {};
+
+      await readJsonStream(response.data, (chunk) => {
+        if (chunk.error) {
+          throw new Error(`Ollama stream failed: ${chunk.error}`);
+        }
+        if (chunk.message?.content) {
+          content += chunk.message.content;
+          tokenTimes.push(Date.now());
+        }
+        if (chunk.done) {
+          finalChunk = chunk;
+        }
+      });
+
+      return this.finishResponse(toChatCompletion(modelToUse, finalChunk, content), { startTime, attempts, stream, tokenTimes, tokens });
+    } catch (error) {
+      throw await this.toRequestError(error);
+    }
+  }
+
+  /**
+   * List the models pulled on the Ollama server
+   *
+   * @returns {Promise<object>} List of available models in the OpenAI shape
+   */
+  async listModels() {
+    try {
+      const { response } = await this.send({
+        method: 'get',
+        path: '/api/tags',
+        description: `Listing models on ${this.baseUrl}`
+      });
+
+      return {
+        object: 'list',
+        data: (response.data.models || []).map(model => ({ id: model.model || model.name, object: 'model', owned_by: 'ollama' }))
+      };
+    } catch (error) {
+      throw await this.toRequestError(error);
+    }
+  }
+
+  /**
+   * Compute embeddings of texts
+   *
+   * @param {string|string[]} input - Text or texts to embed
+   * @param {object} options - Additional options (`model`)
+   * @returns {Promise<object>} Embeddings in the OpenAI shape (`data[].embedding`, in input order)
+   */
+  async embed(input, options = {}) {
+    const modelToUse = options.model ? normalizeModelId(options.model) : this.model;
+
+    try {
+      const { response } = await this.send({
+        method: 'post',
+        path: '/api/embed',
+        data: { model: modelToUse, input },
+        model: modelToUse,
+        description: `Ollama embeddings with model ${modelToUse}`
+      });
+
+      return {
+        object: 'list',
+        model: modelToUse,
+        data: (response.data.embeddings || []).map((embedding, index) => ({ object: 'embedding', index, embedding }))
+      };
+    } catch (error) {
+      throw await this.toRequestError(error);
+    }
+  }
+}
+
+/**
+ * Convert an Ollama chat response to an OpenAI-style chat completion
+ *
+ * @param {string} model - The model ID
+ * @param {object} data - The (final) Ollama response
+ * @param {string} content - The generated text
+ * @returns {object} - The chat completion
+ */
+function toChatCompletion(model, data, content) {
+  return createChatCompletion({
+    model,
+    content,
+    finishReason: data.done_reason === 'length' ? 'length' : data.done ? 'stop' : null,
+    promptTokens: data.prompt_eval_count,
+    completionTokens: data.eval_count
+  });
+}
@@ -1,42 +1,20 @@
 
-import axios from 'axios';
+import BaseAdapter, {normalizeModelId, readJsonStream, requestEmbeddings} from './base.js';
 
-export default class OpenAIAdapter {
+/**
+ * Adapter for servers exposing the OpenAI-compatible API (LM Studio, vLLM, Ollama, FastChat, ...)
+ */
+export default class OpenAIAdapter extends BaseAdapter {
   constructor(config = {}) {
-    this.baseUrl = config.baseUrl || 'http://127.0.0.1:1234';
-    this.model = normalizeModelId(config.model);
-    this.temperature = config.temperature || 0.7;
-    this.timeout = parseInt(process.env.REQUEST_TIMEOUT_MS || '900000', 10);
-    
-    this.authUsername = process.env.AUTH_USERNAME;
-    this.authPassword = process.env.AUTH_PASSWORD;
-    this.authHeader = null;
-    
-    if (this.authUsername && this.authPassword) {
-      const credentials = Buffer.from(`${this.authUsername}:${this.authPassword}`).toString('base64');
-      this.authHeader = `Basic ${credentials}`;
-      console.log('OpenAIAdapter initialized with basic authentication');
-    }
-
-    console.log(`OpenAIAdapter initialized with model: ${this.model}, max_tokens: ${this.max_tokens}`);
-  }
-  
-  /**
-   * Get a filesystem-safe version of the model ID for file paths
-   * 
-   * @param {string} modelId - The model ID to normalize for file paths
-   * @returns {string} - The normalized model ID safe for file paths
-   */
-  static getModelIdForFilePath(modelId) {
-    return normalizeModelIdForFilePath(modelId);
+    super(config, 'http://127.0.0.1:1234');
   }
 
   /**
    * Execute a prompt with the model
-   * 
+   *
    * This method is maintained for backward compatibility.
    * It internally converts the prompt to a chat format and calls the chat method.
-   * 
+   *
    * @param {string|object} prompt - The prompt to send to the model
    * @param {object} options - Additional options for the model
    * @returns {Promise<object>} The model's response
@@ -47,7 +25,7 @@ export default class OpenAIAdapter {
       const messages = [
         { role: 'user', content: prompt }
       ];
-      
+
       return this.chat(messages, options);
     } catch (error) {
       console.error('Error executing prompt with model:', error);
@@ -58,209 +36,166 @@ export default class OpenAIAdapter {
   /**
    * Execute a chat completion with the model
    * This is the recommended method for all model interactions
-   * 
+   *
    * Key implementation details:
-   * - Supports JSON schema for structured output
+   * - Supports JSON schema for structured output, named after the `schemaName` option (default: `response`)
+   * - Sends the `seed` option for reproducible sampling on servers supporting it
+   * - Counts input tokens with the local tokenizer and clamps max_tokens to the model's context window
    * - Implements request timeout using AbortController
+   * - Retries timeouts, connection errors, 429 and transient 5xx responses with exponential backoff and jitter,
+   *   honoring Retry-After headers
+   * - Guards each model with a circuit breaker that fails fast while the model keeps failing
+   * - Records the number of attempts on the response (`attempts`)
+   * - In streaming mode (`stream` option or adapter setting) reads server-sent events and assembles
+   *   the same response shape as a blocking call
+   * - Records timing metrics on the response (`performance`): completion time and tokens/second,
+   *   plus time-to-first-token and inter-token latency when streaming
    * - Handles errors with detailed error messages
    * - Supports all OpenAI chat completion parameters
-   * 
+   *
    * @param {Array} messages - Array of message objects with role and content
    * @param {object} options - Additional options for the model
    * @returns {Promise<object>} The model's response
    */
   async chat(messages, options = {}) {
-    const endpoint = `${this.baseUrl}/v1/chat/completions`;
-    
     // If a specific model is provided in options, normalize it
     const modelToUse = options.model ?
         normalizeModelId(options.model) :
       this.model;
 
-    // Calculate total input tokens (approximate)
-    let inputTokenCount = 0;
-    messages.forEach(msg => {
-      // Rough estimate: 1 token ≈ 4 characters for English text
-      inputTokenCount += Math.ceil((msg.content?.length || 0) / 4);
-    });
-    
-    const defaultMaxTokens = options.max_tokens || this.max_tokens;
-    const safeMaxTokens = Math.max(defaultMaxTokens, 32000 - inputTokenCount);
-    
-    console.log(`Estimated input tokens: ~${inputTokenCount}`);
-    console.log(`Adjusted max_tokens to: ${safeMaxTokens} (from ${defaultMaxTokens})`);
+    const tokens = await this.countTokens(messages, { ...options, model: modelToUse });
 
     const requestBody = {
       model: modelToUse,
       messages,
-      temperature: options.temperature || this.temperature,
-      max_tokens: safeMaxTokens,
-      top_p: options.top_p || 0.95,
+      temperature: options.temperature ?? this.temperature,
+      top_p: options.top_p ?? 0.95,
     };
-    
+
+    if (tokens.maxTokens) {
+      requestBody.max_tokens = tokens.maxTokens;
+    }
+
+    if (Number.isInteger(options.seed)) {
+      requestBody.seed = options.seed;
+    }
+
     if (options.schema) {
       requestBody.response_format = {
         type: "json_schema",
         json_schema: {
-          name: "contract_analysis",
+          name: options.schemaName || "response",
           strict: true,
           schema: options.schema
         }
       };
     }
-    
+
+    const stream = options.stream ?? this.stream;
+    if (stream) {
+      requestBody.stream = true;
+      requestBody.stream_options = { include_usage: true };
+    }
+
     console.log(`Request timeout set to ${this.timeout}ms`);
-    
+
     try {
-      // Start timing the request
-      const startTime = Date.now();
-      
-      // Configure axios for large responses
-      const headers = {
-        'Content-Type': 'application/json',
-      };
-      
-      if (this.authHeader) {
-        headers['Authorization'] = this.authHeader;
-      }
-      
-      const response = await axios({
+      const { response, attempts, startTime } = await this.send({
         method: 'post',
-        url: endpoint,
+        path: '/v1/chat/completions',
         data: requestBody,
-        headers,
-        timeout: this.timeout,
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity
+        stream,
+        model: modelToUse,
+        description: `Chat completion with model ${modelToUse}`
       });
-      
-      // End timing the request
-      const endTime = Date.now();
-      const completionTime = endTime - startTime;
-      
-      // Axios automatically parses JSON responses
-      const responseData = response.data;
-      
-      // Log response details for debugging
-      if (responseData.choices && responseData.choices[0] && responseData.choices[0].message) {
-        const contentLength = responseData.choices[0].message.content?.length || 0;
-        console.log(`Response content length: ${contentLength} characters`);
-        
-        // Check for potentially truncated responses
-        if (contentLength > 0 && responseData.choices[0].finish_reason === 'length') {
-          console.warn('Warning: Response may be truncated (finish_reason=length)');
-        }
-      }
-      
-      if (!responseData.usage) {
-        responseData.usage = {
-          completion_ms: completionTime || 0
-        };
+
+      if (stream) {
+        const { responseData, tokenTimes } = await readCompletionStream(response.data);
+        return this.finishResponse(responseData, { startTime, attempts, stream, tokenTimes, tokens });
       }
-      
-      return responseData;
+
+      // Axios automatically parses JSON responses
+      return this.finishResponse(response.data, { startTime, attempts, stream, tokens });
     } catch (error) {
-      if (error.code === 'ECONNABORTED') {
-        throw new Error(`Request timed out after ${this.timeout}ms`);
-      }
-      
-      // Enhanced error reporting
-      if (error.response) {
-        // The request was made and the server responded with a status code
-        console.error('Error response data:', error.response.data);
-        console.error('Error response status:', error.response.status);
-        throw new Error(`API request failed with status ${error.response.status}: ${JSON.stringify(error.response.data)}`);
-      } else if (error.request) {
-        // The request was made but no response was received
-        console.error('No response received:', error.request);
-        throw new Error(`No response received from server: ${error.message}`);
-      } else {
-        // Something happened in setting up the request
-        console.error('Error setting up request:', error.message);
-        throw error;
-      }
+      throw await this.toRequestError(error);
     }
   }
-  
+
   /**
    * List available models
-   * 
+   *
    * Key implementation details:
    * - Queries the v1/models endpoint to get available models
    * - Handles errors with detailed error messages
    * - Implements request timeout using AbortController
-   * 
+   *
    * @returns {Promise<object>} List of available models
    */
   async listModels() {
-    const endpoint = `${this.baseUrl}/v1/models`;
-    
     try {
-      const headers = {
-        'Content-Type': 'application/json',
-      };
-      
-      // Add authentication header if available
-      if (this.authHeader) {
-        headers['Authorization'] = this.authHeader;
-      }
-      
-      const response = await axios({
+      const { response } = await this.send({
         method: 'get',
-        url: endpoint,
-        headers,
-        timeout: this.timeout
+        path: '/v1/models',
+        description: `Listing models on ${this.baseUrl}`
       });
-      
+
       return response.data;
     } catch (error) {
-      if (error.code === 'ECONNABORTED') {
-        throw new Error(`Request timed out after ${this.timeout}ms`);
-      }
-      
-      if (error.response) {
-        throw new Error(`API request failed with status ${error.response.status}: ${JSON.stringify(error.response.data)}`);
-      } else {
-        console.error('Error listing models:', error);
-        throw error;
-      }
+      throw await this.toRequestError(error);
     }
   }
-}
 
-/**
- * Normalize a model ID to ensure compatibility with the server
- * For API calls, we preserve the full model name including organization prefix
- *
- * @param {string} modelId - The model ID to normalize
- * @returns {string} - The normalized model ID
- */
-function normalizeModelId(modelId) {
-  if (!modelId) {
-    return 'default';
+  /**
+   * Compute embeddings of texts with the v1/embeddings endpoint
+   *
+   * @param {string|string[]} input - Text or texts to embed
+   * @param {object} options - Additional options (`model`)
+   * @returns {Promise<object>} Embeddings in the OpenAI shape (`data[].embedding`, in input order)
+   */
+  async embed(input, options = {}) {
+    return requestEmbeddings(this, input, options);
   }
-
-  // For API calls, we preserve the full model name as-is
-  return modelId;
 }
 
 /**
- * Get a filesystem-safe version of a model ID
- * This removes organization prefixes and other characters that might be problematic in filenames
+ * Read a chat completion streamed as server-sent events
+ *
+ * Key implementation details:
+ * - Concatenates the `delta.content` of every chunk into a single assistant message
+ * - Keeps the finish reason and the usage the server sends in its final chunk (`stream_options.include_usage`)
+ * - Records the arrival time of every chunk that carries content
  *
- * @param {string} modelId - The model ID to normalize for file paths
- * @returns {string} - The normalized model ID safe for file paths
+ * @param {import('stream').Readable} stream - The response body
+ * @returns {Promise<{responseData: object, tokenTimes: number[]}>} - The assembled response and token arrival times
  */
-function normalizeModelIdForFilePath(modelId) {
-  if (!modelId) {
-    return 'default';
-  }
+async function readCompletionStream(stream) {
+  const responseData = {
+    id: null,
+    object: 'chat.completion',
+    created: null,
+    model: null,
+    choices: [{ index: 0, message: { role: 'assistant', content: '' }, finish_reason: null }]
+  };
+  const tokenTimes = [];
+  const choice = responseData.choices[0];
 
-  // Remove organization prefix for file paths
-  if (modelId.includes('/')) {
-    const parts = modelId.split('/');
-    return parts[parts.length - 1].split(':').pop();
-  }
+  await readJsonStream(stream, (chunk) => {
+    responseData.id = responseData.id || chunk.id || null;
+    responseData.created = responseData.created || chunk.created || null;
+    responseData.model = responseData.model || chunk.model || null;
+
+    const delta = chunk.choices?.[0]?.delta;
+    if (delta?.content) {
+      choice.message.content += delta.content;
+      tokenTimes.push(Date.now());
+    }
+    if (chunk.choices?.[0]?.finish_reason) {
+      choice.finish_reason = chunk.choices[0].finish_reason;
+    }
+    if (chunk.usage) {
+      responseData.usage = chunk.usage;
+    }
+  });
 
-  return modelId;
+  return { responseData, tokenTimes };
 }
@@ -0,0 +1,220 @@
+/**
+ * Retry, backoff and circuit breaker helpers shared by model adapters
+ */
+
+// HTTP status codes worth retrying: timeouts, rate limiting and transient server errors
+const RETRYABLE_STATUS_CODES = [408, 425, 429, 500, 502, 503, 504];
+
+// Network error codes worth retrying: the server is restarting, loading a model or dropped the connection
+const RETRYABLE_ERROR_CODES = ['ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+
+export const DEFAULT_RETRY_OPTIONS = {
+  retries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000
+};
+
+export const DEFAULT_CIRCUIT_BREAKER_OPTIONS = {
+  failureThreshold: 5,
+  cooldownMs: 60000
+};
+
+// Circuit breakers keyed by server URL and model, shared by all adapter instances
+const circuitBreakers = new Map();
+
+/**
+ * Circuit breaker for a single model
+ *
+ * Key implementation details:
+ * - Closed: requests pass, consecutive failures are counted
+ * - Open: after `failureThreshold` consecutive failures, requests fail immediately for `cooldownMs`
+ * - Half-open: after the cooldown one trial request passes, and other requests fail immediately until it completes;
+ *   success closes the breaker, a retryable failure opens it again, and a response that isn't worth retrying (e.g. 400)
+ *   closes it too, since the server answered
+ */
+export class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold ?? DEFAULT_CIRCUIT_BREAKER_OPTIONS.failureThreshold;
+    this.cooldownMs = options.cooldownMs ?? DEFAULT_CIRCUIT_BREAKER_OPTIONS.cooldownMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Check that a request may be sent
+   *
+   * @throws {Error} - With code ECIRCUITOPEN while the breaker is open, or half-open with its trial request in flight
+   */
+  beforeRequest() {
+    if (this.state === 'closed') return;
+
+    if (this.state === 'half-open') {
+      if (this.trialInFlight) {
+        const error = new Error(`Circuit breaker half-open for ${this.name}, waiting for the trial request`);
+        error.code = 'ECIRCUITOPEN';
+        throw error;
+      }
+      this.trialInFlight = true;
+      return;
+    }
+
+    const remainingMs = this.openedAt + this.cooldownMs - Date.now();
+    if (remainingMs > 0) {
+      const error = new Error(`Circuit breaker open for ${this.name} after ${this.failures} consecutive failures, retry in ${Math.ceil(remainingMs / 1000)}s`);
+      error.code = 'ECIRCUITOPEN';
+      throw error;
+    }
+
+    this.state = 'half-open';
+    this.trialInFlight = true;
+    console.log(`Circuit breaker half-open for ${this.name}, sending a trial request`);
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      console.log(`Circuit breaker closed for ${this.name}`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        console.warn(`Circuit breaker opened for ${this.name} after ${this.failures} consecutive failures`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Record a failure that isn't worth retrying: the server answered, so a trial request closes the breaker,
+   * while failures counted by a closed breaker are kept
+   */
+  recordAnsweredFailure() {
+    if (this.state === 'half-open') {
+      this.recordSuccess();
+    }
+  }
+
+  isOpen() {
+    return this.state === 'open';
+  }
+}
+
+/**
+ * Get the shared circuit breaker of a model on a server
+ *
+ * @param {string} baseUrl - The server URL
+ * @param {string} modelId - The model ID
+ * @param {object} options - Circuit breaker options used when the breaker is created
+ * @returns {CircuitBreaker} - The circuit breaker
+ */
+export function getCircuitBreaker(baseUrl, modelId, options = {}) {
+  const key = `${baseUrl}|${modelId}`;
+  if (!circuitBreakers.has(key)) {
+    circuitBreakers.set(key, new CircuitBreaker(`model ${modelId} on ${baseUrl}`, options));
+  }
+  return circuitBreakers.get(key);
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ *
+ * @param {Error} error - The axios error
+ * @returns {boolean} - True for timeouts, connection errors, 429 and transient 5xx responses
+ */
+export function isRetryableError(error) {
+  if (error.response) {
+    return RETRYABLE_STATUS_CODES.includes(error.response.status);
+  }
+  return RETRYABLE_ERROR_CODES.includes(error.code) || Boolean(error.request);
+}
+
+/**
+ * Parse a Retry-After header value
+ *
+ * @param {string|undefined} value - Seconds or an HTTP date
+ * @returns {number|null} - Delay in milliseconds, or null if absent or invalid
+ */
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Get the delay before the next attempt
+ * Uses exponential backoff with full jitter, or the server's Retry-After header when it sent one
+ *
+ * @param {Error} error - The failed request's error
+ * @param {number} attempt - The attempt that failed (1-based)
+ * @param {object} options - Retry options
+ * @returns {number} - Delay in milliseconds
+ */
+export function getRetryDelay(error, attempt, options) {
+  const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, options.maxDelayMs);
+  }
+
+  const exponentialDelay = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * exponentialDelay);
+}
+
+/**
+ * Send a request with retries and an optional circuit breaker
+ *
+ * @param {Function} send - Sends one attempt and resolves with the response
+ * @param {object} options - Retry options
+ * @param {CircuitBreaker|null} breaker - Circuit breaker guarding the model, if any
+ * @param {string} description - Request description for log messages
+ * @returns {Promise<{response: *, attempts: number}>} - The response and the number of attempts it took
+ * @throws {Error} - The last error, with an `attempts` property
+ */
+export async function sendWithRetry(send, options, breaker, description) {
+  const retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...options };
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      breaker?.beforeRequest();
+      const response = await send();
+      breaker?.recordSuccess();
+      return { response, attempts: attempt };
+    } catch (error) {
+      error.attempts = attempt;
+
+      if (error.code === 'ECIRCUITOPEN') throw error;
+
+      const retryable = isRetryableError(error);
+      if (retryable) {
+        breaker?.recordFailure();
+      } else {
+        breaker?.recordAnsweredFailure();
+      }
+
+      if (!retryable || attempt > retryOptions.retries || breaker?.isOpen()) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, attempt, retryOptions);
+      const reason = error.response ? `status ${error.response.status}` : error.code || error.message;
+      console.warn(`${description} failed (${reason}), retrying in ${delay}ms (attempt ${attempt + 1}/${retryOptions.retries + 1})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
@@ -0,0 +1,140 @@
+import BaseAdapter, {createChatCompletion, formatMessagesAsPrompt, normalizeModelId, readJsonStream} from './base.js';
+
+/**
+ * Adapter for the native Hugging Face Text Generation Inference (TGI) API
+ *
+ * Key implementation details:
+ * - Sends requests to `POST /generate`, or `POST /generate_stream` when streaming is enabled
+ * - `/generate` completes plain text, so chat messages are formatted as a role-prefixed prompt
+ * - The server hosts a single model, so the model ID is informational; `GET /info` reports the served model
+ * - Passes JSON schemas through TGI's `grammar` parameter
+ * - Requests generation details to map `generated_tokens` and the finish reason to OpenAI-style fields
+ */
+export default class TGIAdapter extends BaseAdapter {
+  constructor(config = {}) {
+    super(config, 'http://127.0.0.1:8080');
+  }
+
+  /**
+   * Execute a chat completion with the model
+   *
+   * @param {Array} messages - Array of message objects with role and content
+   * @param {object} options - Additional options for the model
+   * @returns {Promise<object>} The model's response in the OpenAI chat completion shape
+   */
+  async chat(messages, options = {}) {
+    const modelToUse = options.model ? normalizeModelId(options.model) : this.model;
+    const stream = options.stream ?? this.stream;
+    const temperature = options.temperature ?? this.temperature;
+    const topP = options.top_p ?? 0.95;
+    const tokens = await this.countTokens(messages, { ...options, model: modelToUse });
+
+    const parameters = {
+      details: true,
+      // TGI rejects a temperature of 0 and a top_p of 1; leaving them out gives the same behavior
+      temperature: temperature > 0 ? temperature : undefined,
+      top_p: topP > 0 && topP < 1 ? topP : undefined,
+      do_sample: temperature > 0
+    };
+
+    if (tokens.maxTokens) {
+      parameters.max_new_tokens = tokens.maxTokens;
+    }
+
+    if (Number.isInteger(options.seed)) {
+      parameters.seed = options.seed;
+    }
+
+    if (options.schema) {
+      parameters.grammar = { type: 'json', value: options.schema };
+    }
+
+    const requestBody = {
+      inputs: formatMessagesAsPrompt(messages),
+      parameters
+    };
+
+    try {
+      const { response, attempts, startTime } = await this.send({
+        method: 'post',
+        path: stream ? '/generate_stream' : '/generate',
+        data: requestBody,
+        stream,
+        model: modelToUse,
+        description: `TGI generation with model ${modelToUse}`
+      });
+
+      if (!stream) {
+        return this.finishResponse(toChatCompletion(modelToUse, response.data.details, response.data.generated_text || ''), {
+          startTime,
+          attempts,
+          stream,
+          tokens
+        });
+      }
+
+      const tokenTimes = [];
+      let content = '';
+      let details = null;
+
+      await readJsonStream(response.data, (chunk) => {
+        if (chunk.error) {
+          throw new Error(`TGI stream failed: ${chunk.error}`);
+        }
+        if (chunk.token && !chunk.token.special) {
+          content += chunk.token.text;
+          tokenTimes.push(Date.now());
+        }
+        if (chunk.details) {
+          details = chunk.details;
+        }
+      });
+
+      return this.finishResponse(toChatCompletion(modelToUse, details, content), { startTime, attempts, stream, tokenTimes, tokens });
+    } catch (error) {
+      throw await this.toRequestError(error);
+    }
+  }
+
+  /**
+   * List the model served by TGI
+   *
+   * @returns {Promise<object>} List of available models in the OpenAI shape
+   */
+  async listModels() {
+    try {
+      const { response } = await this.send({
+        method: 'get',
+        path: '/info',
+        description: `Getting server info from ${this.baseUrl}`
+      });
+
+      return {
+        object: 'list',
+        data: [{ id: response.data.model_id, object: 'model', owned_by: 'tgi' }]
+      };
+    } catch (error) {
+      throw await this.toRequestError(error);
+    }
+  }
+}
+
+/**
+ * Convert TGI generation details to an OpenAI-style chat completion
+ *
+ * @param {string} model - The model ID
+ * @param {object|null} details - The generation details
+ * @param {string} content - The generated text
+ * @returns {object} - The chat completion
+ */
+function toChatCompletion(model, details, content) {
+  const finishReason = details?.finish_reason === 'length' ? 'length' : details?.finish_reason ? 'stop' : null;
+
+  return createChatCompletion({
+    model,
+    content,
+    finishReason,
+    // TGI only reports prompt tokens when the prefill details are requested with decoder_input_details
+    completionTokens: details?.generated_tokens
+  });
+}
@@ -0,0 +1,261 @@
+import fs from 'fs/promises';
+
+/**
+ * Ways of splitting a long document into chunks, from the finest to the coarsest
+ */
+export const CHUNK_STRATEGIES = ['tokens', 'paragraphs', 'headings'];
+
+/**
+ * Functions combining the partial outputs of a document's chunks, by name
+ *
+ * A merge function receives the parsed output of every chunk (in document order) and the chunks
+ * (`{ index, start, end, text, tokens }`), and returns the combined output: an object or a string
+ */
+const mergeFunctions = new Map([
+  ['json', mergeJson],
+  ['text', mergeText]
+]);
+
+/**
+ * Register a merge function, so `chunking.merge` can name it
+ *
+ * @param {string} name - Merge function name
+ * @param {Function} merge - Function combining partial outputs (may be async)
+ */
+export function registerMergeFunction(name, merge) {
+  if (typeof merge !== 'function') {
+    throw new Error(`Merge function "${name}" must be a function`);
+  }
+
+  mergeFunctions.set(name, merge);
+}
+
+/**
+ * Get a merge function by name
+ *
+ * @param {string} name - Merge function name
+ * @returns {Function} - The merge function
+ * @throws {Error} - If no merge function has that name
+ */
+export function getMergeFunction(name) {
+  const merge = mergeFunctions.get(name);
+  if (!merge) {
+    throw new Error(`Unknown merge function "${name}" (available: ${[...mergeFunctions.keys()].join(', ')})`);
+  }
+
+  return merge;
+}
+
+/**
+ * Split a document into chunks of at most `size` tokens
+ *
+ * Key implementation details:
+ * - `headings` splits before headings: the document's `sections` metadata (see the PDF and DOCX loaders)
+ *   and Markdown `#` headings; `paragraphs` splits at blank lines; `tokens` splits between words
+ * - Consecutive pieces are packed into a chunk as long as they fit; a piece too large for a chunk
+ *   is split with the next finer strategy, down to words
+ * - Each chunk starts with the last pieces of the previous chunk, up to `overlap` tokens, so content cut at a boundary is seen whole
+ * - Chunks keep their character offsets in the document, to trace partial outputs back to the text
+ *
+ * @param {string} text - The document text
+ * @param {Object} options - Chunking settings (see CONFIGURATION.chunking)
+ * @param {string} options.strategy - Chunking strategy (see CHUNK_STRATEGIES)
+ * @param {number} options.size - Largest chunk, in tokens
+ * @param {number} options.overlap - Tokens repeated from the end of the previous chunk
+ * @param {Function} countTokens - Counts the tokens of a text (see getTokenizer)
+ * @param {Array} [sections] - The document's sections (`{ start }` offsets), for the `headings` strategy
+ * @returns {Array<{index: number, start: number, end: number, text: string, tokens: number}>} - The chunks, numbered from 1
+ */
+export function splitDocument(text, { strategy, size, overlap }, countTokens, sections = []) {
+  const strategies = CHUNK_STRATEGIES.slice(0, CHUNK_STRATEGIES.indexOf(strategy) + 1).reverse();
+  const sectionStarts = (Array.isArray(sections) ? sections : [])
+    .map(section => section?.start)
+    .filter(Number.isInteger);
+  const pieces = getPieces(text, 0, text.length, strategies, { size, countTokens, sectionStarts });
+
+  const groups = [];
+  let current = [];
+  let tokens = 0;
+  for (const piece of pieces) {
+    if (current.length > 0 && tokens + piece.tokens > size) {
+      groups.push(current);
+
+      // The next chunk repeats the end of this one, without repeating all of it
+      const kept = [];
+      let keptTokens = 0;
+      for (let i = current.length - 1; i > 0; i--) {
+        if (keptTokens + current[i].tokens > overlap || keptTokens + current[i].tokens + piece.tokens > size) break;
+        kept.unshift(current[i]);
+        keptTokens += current[i].tokens;
+      }
+      current = kept;
+      tokens = keptTokens;
+    }
+
+    current.push(piece);
+    tokens += piece.tokens;
+  }
+  if (current.length > 0) {
+    groups.push(current);
+  }
+
+  return groups.map((group, index) => {
+    const slice = text.slice(group[0].start, group[group.length - 1].end);
+    const chunkText = slice.trim();
+    const start = group[0].start + slice.length - slice.trimStart().length;
+    return { index: index + 1, start, end: start + chunkText.length, text: chunkText, tokens: countTokens(chunkText) };
+  });
+}
+
+/**
+ * Format the partial outputs of a document's chunks for the reduce prompt
+ *
+ * @param {Array<Object|string>} outputs - Parsed output of every chunk
+ * @returns {string} - The outputs, each under a `## Part <n> of <count>` heading
+ */
+export function formatPartialOutputs(outputs) {
+  return outputs
+    .map((output, index) => `## Part ${index + 1} of ${outputs.length}\n` +
+      (typeof output === 'string' ? output : JSON.stringify(output, null, 2)))
+    .join('\n\n');
+}
+
+/**
+ * Get the reduce prompt: inline or from the reduce prompt file
+ *
+ * @param {Object} chunking - Chunking configuration (see CONFIGURATION.chunking)
+ * @returns {Promise<string|null>} - The reduce prompt template, null when partial outputs are merged by a function
+ */
+export async function getReducePrompt(chunking) {
+  if (chunking.reducePrompt) {
+    return chunking.reducePrompt;
+  }
+  if (chunking.reducePromptFile) {
+    return (await fs.readFile(chunking.reducePromptFile, 'utf8')).trim();
+  }
+
+  return null;
+}
+
+/**
+ * Split part of a document into pieces that fit in a chunk
+ *
+ * @param {string} text - The document text
+ * @param {number} start - Start offset of the part
+ * @param {number} end - End offset of the part
+ * @param {string[]} strategies - The strategy to split with, then the finer fallbacks
+ * @param {Object} context - Chunk size, token counter and section offsets
+ * @returns {Array<{start: number, end: number, tokens: number}>} - The pieces, in document order
+ */
+function getPieces(text, start, end, strategies, context) {
+  const [strategy, ...finer] = strategies;
+  const points = [start, ...getBoundaries(text, start, end, strategy, context.sectionStarts), end];
+  const pieces = [];
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const tokens = context.countTokens(text.slice(points[i], points[i + 1]));
+
+    if (tokens <= context.size) {
+      pieces.push({ start: points[i], end: points[i + 1], tokens });
+    } else if (finer.length > 0) {
+      pieces.push(...getPieces(text, points[i], points[i + 1], finer, context));
+    } else {
+      // A single word longer than a chunk is cut into equal parts
+      const parts = Math.ceil(tokens / context.size);
+      const length = Math.ceil((points[i + 1] - points[i]) / parts);
+      for (let partStart = points[i]; partStart < points[i + 1]; partStart += length) {
+        const partEnd = Math.min(partStart + length, points[i + 1]);
+        pieces.push({ start: partStart, end: partEnd, tokens: context.countTokens(text.slice(partStart, partEnd)) });
+      }
+    }
+  }
+
+  return pieces;
+}
+
+/**
+ * Find where a strategy splits part of a document
+ *
+ * @param {string} text - The document text
+ * @param {number} start - Start offset of the part
+ * @param {number} end - End offset of the part
+ * @param {string} strategy - Chunking strategy
+ * @param {number[]} sectionStarts - Offsets of the document's sections
+ * @returns {number[]} - Sorted offsets strictly inside the part, where pieces start
+ */
+function getBoundaries(text, start, end, strategy, sectionStarts) {
+  const part = text.slice(start, end);
+  const boundaries = new Set();
+
+  if (strategy === 'headings') {
+    sectionStarts.forEach(offset => boundaries.add(offset));
+    for (const match of part.matchAll(/^#{1,6}[ \t]/gm)) {
+      boundaries.add(start + match.index);
+    }
+  } else if (strategy === 'paragraphs') {
+    // Paragraphs keep the blank line that follows them
+    for (const match of part.matchAll(/\n[ \t]*\n\s*/g)) {
+      boundaries.add(start + match.index + match[0].length);
+    }
+  } else {
+    // Words keep the space before them, as tokenizers count ` word` as one token
+    for (const match of part.matchAll(/\s+/g)) {
+      boundaries.add(start + match.index);
+    }
+  }
+
+  return [...boundaries].filter(offset => offset > start && offset < end).sort((a, b) => a - b);
+}
+
+/**
+ * Merge JSON outputs: objects are merged key by key, arrays are concatenated without duplicates,
+ * and other values keep the first non-empty one; outputs that aren't objects are merged as text
+ *
+ * @param {Array<Object|string>} outputs - Parsed output of every chunk
+ * @returns {Object|string} - The merged output
+ */
+function mergeJson(outputs) {
+  const objects = outputs.filter(isPlainObject);
+  if (objects.length === 0) {
+    return mergeText(outputs);
+  }
+
+  return objects.reduce((merged, output) => mergeValues(merged, output));
+}
+
+/**
+ * Merge text outputs: the outputs are joined with blank lines
+ *
+ * @param {Array<Object|string>} outputs - Parsed output of every chunk
+ * @returns {string} - The merged output
+ */
+function mergeText(outputs) {
+  return outputs
+    .map(output => typeof output === 'string' ? output.trim() : JSON.stringify(output))
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+function mergeValues(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    const seen = new Set(a.map(value => JSON.stringify(value)));
+    return [...a, ...b.filter(value => !seen.has(JSON.stringify(value)))];
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const merged = { ...a };
+    for (const [key, value] of Object.entries(b)) {
+      merged[key] = Object.hasOwn(a, key) ? mergeValues(a[key], value) : value;
+    }
+    return merged;
+  }
+
+  return isEmpty(a) ? b : a;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
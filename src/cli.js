@@ -0,0 +1,413 @@
+#!/usr/bin/env node
+import {CONFIGURATION, getEndpoints} from './config.js';
+import {configureRun, getAvailableModels, planTests, reproduceRun, runTests} from './framework.js';
+import {getParameterLabel} from './sweep.js';
+import {loadRunManifest} from './manifest.js';
+import {CSV_FORMAT, formatMetric} from '../utils/csv-utils.js';
+
+/**
+ * Process exit codes, so the CLI can gate scripts and CI jobs
+ */
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  TESTS_FAILED: 1,
+  USAGE_ERROR: 2,
+  RUNTIME_ERROR: 3
+};
+
+const COMMANDS = ['run', 'list-models', 'list-cases', 'plan', 'reproduce'];
+
+// Flags that take a value, mapped to their option name
+const VALUE_FLAGS = {
+  '--experiment': 'experimentFile',
+  '-e': 'experimentFile',
+  '--model': 'models',
+  '-m': 'models',
+  '--prompt': 'prompts',
+  '-p': 'prompts',
+  '--data': 'data',
+  '-d': 'data',
+  '--concurrency': 'concurrency',
+  '-c': 'concurrency',
+  '--repeats': 'repeats',
+  '-n': 'repeats',
+  '--resume': 'resume',
+  '-r': 'resume',
+  '--format': 'format'
+};
+
+// Options that can be given multiple times or as comma-separated lists
+const LIST_OPTIONS = ['models', 'prompts', 'data'];
+
+/**
+ * Parse command line arguments
+ *
+ * Key implementation details:
+ * - The first positional argument is the subcommand (defaults to `run`)
+ * - Value flags accept both `--flag value` and `--flag=value`
+ * - A second positional argument is treated as the experiment file, or as the run directory of `reproduce`
+ *
+ * @param {string[]} args - Arguments without the node executable and script path
+ * @returns {Object} - Parsed command and options
+ * @throws {Error} - On unknown commands, unknown flags or invalid values
+ */
+export function parseArgs(args) {
+  const options = {
+    command: null,
+    experimentFile: process.env.EXPERIMENT_FILE || null,
+    models: [],
+    prompts: [],
+    data: [],
+    concurrency: null,
+    repeats: null,
+    resume: null,
+    runDir: null,
+    dryRun: false,
+    format: 'table',
+    help: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+      continue;
+    }
+
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+      continue;
+    }
+
+    if (arg.startsWith('-')) {
+      const [flag, inlineValue] = arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg, undefined];
+      const optionName = VALUE_FLAGS[flag];
+
+      if (!optionName) {
+        throw new Error(`Unknown option: ${flag}`);
+      }
+
+      const value = inlineValue !== undefined ? inlineValue : args[++i];
+      if (value === undefined || value === '') {
+        throw new Error(`Option ${flag} requires a value`);
+      }
+
+      if (LIST_OPTIONS.includes(optionName)) {
+        options[optionName].push(...value.split(',').map(item => item.trim()).filter(Boolean));
+      } else {
+        options[optionName] = value;
+      }
+      continue;
+    }
+
+    if (!options.command) {
+      if (!COMMANDS.includes(arg)) {
+        throw new Error(`Unknown command: ${arg} (expected one of ${COMMANDS.join(', ')})`);
+      }
+      options.command = arg;
+    } else if (options.command === 'reproduce') {
+      options.runDir = arg;
+    } else {
+      options.experimentFile = arg;
+    }
+  }
+
+  options.command = options.command || 'run';
+
+  if (options.command === 'reproduce' && !options.runDir) {
+    throw new Error('reproduce requires the directory of the run to reproduce');
+  }
+
+  if (options.concurrency !== null) {
+    const concurrency = Number(options.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency <= 0) {
+      throw new Error(`--concurrency must be a positive integer, got "${options.concurrency}"`);
+    }
+    options.concurrency = concurrency;
+  }
+
+  if (options.repeats !== null) {
+    const repeats = Number(options.repeats);
+    if (!Number.isInteger(repeats) || repeats <= 0) {
+      throw new Error(`--repeats must be a positive integer, got "${options.repeats}"`);
+    }
+    options.repeats = repeats;
+  }
+
+  if (!['table', 'json'].includes(options.format)) {
+    throw new Error(`--format must be "table" or "json", got "${options.format}"`);
+  }
+
+  return options;
+}
+
+/**
+ * Print usage instructions
+ */
+function printUsage() {
+  console.log(`
+Prompt Evaluation Framework - Run prompt versions against models and evaluate the results
+
+Usage:
+  node src/cli.js [command] [experiment-file] [options]
+
+Commands:
+  run                    Run the test matrix (default)
+  list-models            List models available on each endpoint and the models selected for testing
+  list-cases             List the test cases (model / prompt / data file / parameter set) that would run
+  plan                   Print the test matrix with input token counts, without calling the server
+  reproduce <runDir>     Run a previous run again from its manifest and diff the scores
+
+Options:
+  --experiment, -e <file>     Experiment file (JSON or YAML), also accepted as positional argument
+  --model, -m <pattern>       Only test matching models (repeatable, comma-separated, * and ? wildcards)
+  --prompt, -p <pattern>      Only test matching prompts
+  --data, -d <pattern>        Only test matching data files
+  --concurrency, -c <n>       Concurrent test cases per endpoint
+  --repeats, -n <n>           Send every test case n times and report the spread of its scores
+  --resume, -r <runId>        With run: skip test cases the given run already completed and assemble its results
+  --dry-run                   With run: print the plan instead of calling the server
+  --format <format>           Output format for list and plan commands: table, json (default: table)
+  --help, -h                  Show this help
+
+Exit codes:
+  0  All test cases succeeded (reproduce: and every score matched the original run)
+  1  One or more test cases failed, or no test case ran (reproduce: or a score changed)
+  2  Invalid command line or configuration
+  3  Unexpected runtime error
+
+Examples:
+  # Run everything configured in .env
+  node src/cli.js run
+
+  # Run one model against one prompt
+  node src/cli.js run --model phi-4 --prompt user_v1_basic
+
+  # Show what an experiment would run and how many tokens it would send
+  node src/cli.js plan experiments/example.yaml
+
+  # Resume an interrupted run with the same experiment and filters
+  node src/cli.js run experiments/example.yaml --resume 2025-05-22T18-19-00-970Z
+
+  # Run a previous run again and check that it scores the same
+  node src/cli.js reproduce results/run_2025-05-22T18-19-00-970Z
+`);
+}
+
+/**
+ * Format rows as an aligned text table
+ *
+ * @param {string[]} headers - Column headers
+ * @param {Array<Array>} rows - Row values
+ * @returns {string} - The formatted table
+ */
+function formatTable(headers, rows) {
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => String(row[i]).length)));
+
+  let table = headers.map((header, i) => header.padEnd(widths[i])).join(' | ') + '\n';
+  table += widths.map(width => '-'.repeat(width)).join('-+-') + '\n';
+  for (const row of rows) {
+    table += row.map((value, i) => String(value).padEnd(widths[i])).join(' | ') + '\n';
+  }
+
+  return table;
+}
+
+/**
+ * Print the test plan
+ *
+ * @param {Object} plan - Plan returned by planTests
+ * @param {string} format - Output format
+ */
+function printPlan(plan, format) {
+  if (format === 'json') {
+    console.log(JSON.stringify(plan, null, 2));
+    return;
+  }
+
+  const swept = plan.testCases.some(testCase => testCase.parameters);
+  console.log(`\nTest plan: ${plan.totals.testCases} test cases across ${plan.models.length} models\n`);
+  console.log(formatTable(
+    ['Endpoint', 'Model', 'Prompt', 'Data', ...(swept ? ['Parameters'] : []), 'Input tokens', 'Max output tokens'],
+    plan.testCases.map(testCase => [
+      testCase.endpoint || 'auto',
+      testCase.model,
+      testCase.input_user_prompt,
+      testCase.input_data_file,
+      ...(swept ? [getParameterLabel(testCase.parameters) || '-'] : []),
+      testCase.render_error ? '- (not renderable)' : testCase.estimated_input_tokens,
+      testCase.render_error ? '-' : testCase.exceeds_context_window ? '0 (exceeds context window)' : testCase.max_output_tokens
+    ])
+  ));
+  if (plan.testCases[0]?.samples > 1) {
+    console.log(`Samples per test case: ${plan.testCases[0].samples} (token counts include every sample)`);
+  }
+  console.log(`Input tokens: ${plan.totals.estimated_input_tokens}`);
+  console.log(`Maximum output tokens: ${plan.totals.max_output_tokens}`);
+  if (plan.totals.exceedingContextWindow > 0) {
+    console.warn(`Warning: ${plan.totals.exceedingContextWindow} test cases don't fit their model's context window and will fail`);
+  }
+  if (plan.totals.notRenderable > 0) {
+    console.warn(`Warning: ${plan.totals.notRenderable} test cases can't render their prompt and will fail:`);
+    plan.testCases
+      .filter(testCase => testCase.render_error)
+      .forEach(testCase => console.warn(`  - ${testCase.model} / ${testCase.input_user_prompt} / ${testCase.input_data_file}: ${testCase.render_error}`));
+  }
+}
+
+/**
+ * Print the score diff of a reproduced run
+ *
+ * @param {Object} reproduction - The reproduction (see reproduceRun)
+ */
+function printReproduction(reproduction) {
+  const { summary } = reproduction;
+  const formatScore = value => formatMetric(value, CSV_FORMAT.FRACTION_DIGITS);
+  console.log(`\nReproduction of run ${reproduction.original_run} (run ${reproduction.reproduction_run})\n`);
+  console.log(formatTable(
+    ['Test case', 'Status', 'Original', 'Reproduced', 'Difference', 'Changed metrics'],
+    reproduction.cases.map(diff => [
+      diff.id,
+      diff.status,
+      formatScore(diff.original),
+      formatScore(diff.reproduced),
+      formatScore(diff.difference),
+      diff.changed_metrics.join(', ') || '-'
+    ])
+  ));
+  console.log(`${summary.identical} identical, ${summary.changed} changed, ${summary.missing} missing, ${summary.added} added; ` +
+    `largest overall difference ${formatScore(summary.max_difference)}`);
+
+  if (reproduction.manifest_differences.length > 0) {
+    console.log('Changed since the original run:');
+    reproduction.manifest_differences.forEach(difference => console.log(`  - ${difference}`));
+  }
+}
+
+/**
+ * Execute a parsed command
+ *
+ * @param {Object} options - Options returned by parseArgs
+ * @returns {Promise<number>} - The process exit code
+ */
+async function executeCommand(options) {
+  switch (options.command) {
+    case 'plan': {
+      const plan = await planTests(options);
+      printPlan(plan, options.format);
+      return plan.testCases.length > 0 && plan.totals.notRenderable === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.TESTS_FAILED;
+    }
+
+    case 'list-cases': {
+      const plan = await planTests(options);
+      if (options.format === 'json') {
+        console.log(JSON.stringify(plan.testCases.map(({ endpoint, model, input_user_prompt, input_data_file, parameters }) => ({
+          endpoint,
+          model,
+          input_user_prompt,
+          input_data_file,
+          parameters
+        })), null, 2));
+      } else {
+        const swept = plan.testCases.some(testCase => testCase.parameters);
+        console.log(formatTable(
+          ['Endpoint', 'Model', 'Prompt', 'Data', ...(swept ? ['Parameters'] : [])],
+          plan.testCases.map(testCase => [
+            testCase.endpoint || 'auto',
+            testCase.model,
+            testCase.input_user_prompt,
+            testCase.input_data_file,
+            ...(swept ? [getParameterLabel(testCase.parameters) || '-'] : [])
+          ])
+        ));
+      }
+      return plan.testCases.length > 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.TESTS_FAILED;
+    }
+
+    case 'list-models': {
+      const availableModels = await getAvailableModels();
+      const configuredModels = CONFIGURATION.models.default;
+      const endpoints = getEndpoints();
+      const allAvailableModels = Object.values(availableModels).flat();
+
+      if (options.format === 'json') {
+        console.log(JSON.stringify({
+          endpoints: endpoints.map(({ name, url, adapter }) => ({ name, url, adapter, availableModels: availableModels[name] })),
+          configuredModels
+        }, null, 2));
+      } else {
+        for (const endpoint of endpoints) {
+          console.log(`\nModels on ${endpoint.name} (${endpoint.url}, ${endpoint.adapter} adapter):\n`);
+          console.log(formatTable(
+            ['Model', 'Configured'],
+            availableModels[endpoint.name].map(model => [model, configuredModels.includes(model) ? 'yes' : ''])
+          ));
+        }
+
+        const missingModels = configuredModels.filter(model => !allAvailableModels.includes(model));
+        if (missingModels.length > 0) {
+          console.log(`Configured but not available: ${missingModels.join(', ')}`);
+        }
+      }
+      return allAvailableModels.length > 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.RUNTIME_ERROR;
+    }
+
+    case 'run': {
+      if (options.dryRun) {
+        return executeCommand({ ...options, command: 'plan' });
+      }
+
+      const summary = await runTests(options);
+      return summary.totalTests > 0 && summary.failed === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.TESTS_FAILED;
+    }
+
+    case 'reproduce': {
+      const reproduction = await reproduceRun(options.runDir, options);
+      printReproduction(reproduction);
+      const { changed, missing } = reproduction.summary;
+      return reproduction.run.failed === 0 && changed === 0 && missing === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.TESTS_FAILED;
+    }
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error('Run with --help for usage.');
+    return EXIT_CODES.USAGE_ERROR;
+  }
+
+  if (options.help) {
+    printUsage();
+    return EXIT_CODES.SUCCESS;
+  }
+
+  // Apply the experiment (and the manifest of a reproduced run) up-front so configuration problems are reported as usage errors
+  try {
+    if (options.command === 'reproduce') {
+      options.manifest = await loadRunManifest(options.runDir);
+    }
+    await configureRun(options);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return EXIT_CODES.USAGE_ERROR;
+  }
+
+  try {
+    return await executeCommand({ ...options, experimentFile: null });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return EXIT_CODES.RUNTIME_ERROR;
+  }
+}
+
+main().then(exitCode => {
+  process.exitCode = exitCode;
+});
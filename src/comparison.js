@@ -0,0 +1,202 @@
+import {DEFAULT_ENDPOINT} from './config.js';
+import {cohensDz, mean, pairedBootstrap, wilcoxonSignedRank} from './statistics.js';
+import {getParameterLabel} from './sweep.js';
+
+/**
+ * Factors two sets of test cases can be compared on, and what pairs their test cases
+ * - `prompt`: two prompts over the same model and data file
+ * - `model`: two models over the same prompt, data file and endpoint, or models on two endpoints (`endpoint/model`)
+ */
+export const COMPARISON_FACTORS = ['prompt', 'model'];
+
+// Significance level the report highlights
+export const SIGNIFICANCE_LEVEL = 0.05;
+
+/**
+ * Format a p-value, marking significant ones with `*`
+ *
+ * @param {number|null} value - The p-value
+ * @returns {string} - The formatted p-value, N/A when the test couldn't run
+ */
+export function formatPValue(value) {
+  if (value === null || value === undefined) {
+    return 'N/A';
+  }
+
+  return `${value < 0.001 ? '<0.001' : value.toFixed(3)}${value < SIGNIFICANCE_LEVEL ? ' *' : ''}`;
+}
+
+/**
+ * Get the identifier of an observation's model qualified with its endpoint (`endpoint/model`)
+ *
+ * @param {Object} observation - The observation (see pairObservations)
+ * @returns {string} - The qualified model identifier
+ */
+export function getQualifiedModel({ endpoint, model }) {
+  return `${endpoint || DEFAULT_ENDPOINT}/${model}`;
+}
+
+/**
+ * Pair the scores of two prompts or two models over the same test cases
+ *
+ * Key implementation details:
+ * - Observations are paired on everything but the compared factor: prompts on the endpoint, model and data file,
+ *   models on the prompt, data file and endpoint; both also on the swept parameter set, if any
+ * - A model side is a model ID, or a model on one endpoint (`endpoint/model`, see getQualifiedModel);
+ *   when both sides name their endpoint, the endpoints are compared too and models aren't paired on them,
+ *   so the same model can be compared across machines
+ * - A test case scored more than once (e.g. in several runs) keeps its latest score
+ * - Test cases only one side has, or without the score, are left out
+ *
+ * @param {Array<{model: string, endpoint: string|null, prompt: string, data: string, parameters: Object|null, value: number, timestamp: string}>} observations -
+ *   Scores of the test cases
+ * @param {string} factor - The compared factor (see COMPARISON_FACTORS)
+ * @param {string} a - The first prompt or model
+ * @param {string} b - The second prompt or model
+ * @returns {Array<{key: string, a: number, b: number}>} - The paired scores, sorted by key
+ */
+export function pairObservations(observations, factor, a, b) {
+  const sides = { [a]: new Map(), [b]: new Map() };
+  const isQualified = level => observations.some(observation => getQualifiedModel(observation) === level);
+  const byEndpoint = !(isQualified(a) && isQualified(b));
+
+  for (const observation of observations) {
+    const side = factor === 'model' ?
+      sides[observation.model] || sides[getQualifiedModel(observation)] :
+      sides[observation[factor]];
+    if (!side || typeof observation.value !== 'number' || !Number.isFinite(observation.value)) continue;
+
+    const key = [
+      ...(factor === 'prompt' ?
+        [observation.endpoint || '', observation.model] :
+        [...(byEndpoint ? [observation.endpoint || DEFAULT_ENDPOINT] : []), observation.prompt]),
+      observation.data,
+      ...(observation.parameters ? [getParameterLabel(observation.parameters)] : [])
+    ].join(' / ');
+    const previous = side.get(key);
+    if (!previous || (observation.timestamp || '') >= (previous.timestamp || '')) {
+      side.set(key, observation);
+    }
+  }
+
+  return [...sides[a].keys()]
+    .filter(key => sides[b].has(key))
+    .sort()
+    .map(key => ({ key, a: sides[a].get(key).value, b: sides[b].get(key).value }));
+}
+
+/**
+ * Compare two prompts or two models on paired scores
+ *
+ * Key implementation details:
+ * - Runs a Wilcoxon signed-rank test and a paired bootstrap on the differences (first minus second), see statistics.js
+ * - Effect sizes: the mean difference with its bootstrap confidence interval, Cohen's d_z and the rank-biserial correlation
+ * - Wins, losses and ties count the pairs where the first scores higher, lower or the same
+ *
+ * @param {Array<{key: string, a: number, b: number}>} pairs - Paired scores (see pairObservations)
+ * @returns {Object|null} - The comparison, null without pairs
+ */
+export function comparePairs(pairs) {
+  if (pairs.length === 0) {
+    return null;
+  }
+
+  const differences = pairs.map(pair => pair.a - pair.b);
+  const wilcoxon = wilcoxonSignedRank(differences);
+  const bootstrap = pairedBootstrap(differences);
+
+  return {
+    pairs: pairs.length,
+    mean_a: mean(pairs.map(pair => pair.a)),
+    mean_b: mean(pairs.map(pair => pair.b)),
+    wins: differences.filter(difference => difference > 0).length,
+    losses: differences.filter(difference => difference < 0).length,
+    ties: differences.filter(difference => difference === 0).length,
+    mean_difference: bootstrap.mean_difference,
+    ci_low: bootstrap.ci_low,
+    ci_high: bootstrap.ci_high,
+    wilcoxon: { w_plus: wilcoxon.w_plus, w_minus: wilcoxon.w_minus, p_value: wilcoxon.p_value, exact: wilcoxon.exact },
+    bootstrap: { p_value: bootstrap.p_value },
+    effect_size: { cohens_dz: cohensDz(differences), rank_biserial: wilcoxon.rank_biserial }
+  };
+}
+
+/**
+ * Compare every pair of prompts or models of a set of observations
+ * Observations from several endpoints compare models endpoint by endpoint (`endpoint/model`, see getQualifiedModel)
+ *
+ * @param {Array<Object>} observations - Scores of the test cases (see pairObservations)
+ * @param {string} factor - The compared factor (see COMPARISON_FACTORS)
+ * @param {Object} options - Comparison options
+ * @param {number} [options.minPairs=2] - Fewest paired test cases for a comparison to be reported
+ * @returns {Array<Object>} - The comparisons (see comparePairs), with the compared `factor`, `a` and `b`, in order of first appearance
+ */
+export function compareAll(observations, factor, { minPairs = 2 } = {}) {
+  const endpoints = new Set(observations.map(observation => observation.endpoint || DEFAULT_ENDPOINT));
+  const getLevel = factor === 'model' && endpoints.size > 1 ? getQualifiedModel : observation => observation[factor];
+  const levels = [...new Set(observations.map(getLevel))];
+  const comparisons = [];
+
+  for (let i = 0; i < levels.length; i++) {
+    for (let j = i + 1; j < levels.length; j++) {
+      const pairs = pairObservations(observations, factor, levels[i], levels[j]);
+      if (pairs.length < minPairs) continue;
+      comparisons.push({ factor, a: levels[i], b: levels[j], ...comparePairs(pairs) });
+    }
+  }
+
+  return comparisons;
+}
+
+/**
+ * Diff the scores of a run and its reproduction, test case by test case
+ *
+ * Key implementation details:
+ * - Test cases are matched on their identifier (model, prompt, data file and parameter set, see getTestCaseId)
+ * - A test case is `identical` when every numeric metric of either side matches within the tolerance, `changed` otherwise;
+ *   test cases only the original has are `missing`, those only the reproduction has are `added`
+ *
+ * @param {Array<Object>} original - Results of the original run
+ * @param {Array<Object>} reproduced - Results of the reproduction
+ * @param {Object} options - Diff options
+ * @param {number} [options.tolerance=1e-9] - Largest difference of two scores considered equal
+ * @returns {{cases: Array<Object>, summary: Object}} - Every test case with its status, overall scores and changed metrics,
+ *   and the number of test cases of every status with the largest overall score difference
+ */
+export function diffScores(original, reproduced, { tolerance = 1e-9 } = {}) {
+  const originalById = new Map(original.map(result => [result.id, result]));
+  const reproducedById = new Map(reproduced.map(result => [result.id, result]));
+  const ids = [...new Set([...originalById.keys(), ...reproducedById.keys()])].sort();
+
+  const cases = ids.map(id => {
+    const before = originalById.get(id)?.quantitative;
+    const after = reproducedById.get(id)?.quantitative;
+    const scores = { id, original: before?.overall ?? null, reproduced: after?.overall ?? null };
+    if (!before || !after) {
+      return { ...scores, status: before ? 'missing' : 'added', difference: null, changed_metrics: [] };
+    }
+
+    const metrics = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+      .filter(name => typeof before[name] === 'number' || typeof after[name] === 'number');
+    const changed = metrics.filter(name => typeof before[name] !== 'number' || typeof after[name] !== 'number' ||
+      Math.abs(before[name] - after[name]) > tolerance);
+    const difference = typeof scores.original === 'number' && typeof scores.reproduced === 'number' ? scores.reproduced - scores.original : null;
+
+    return { ...scores, status: changed.length > 0 ? 'changed' : 'identical', difference, changed_metrics: changed };
+  });
+
+  const count = status => cases.filter(diff => diff.status === status).length;
+  const differences = cases.map(diff => Math.abs(diff.difference ?? 0));
+
+  return {
+    cases,
+    summary: {
+      compared: count('identical') + count('changed'),
+      identical: count('identical'),
+      changed: count('changed'),
+      missing: count('missing'),
+      added: count('added'),
+      max_difference: differences.length > 0 ? Math.max(...differences) : 0
+    }
+  };
+}
@@ -7,16 +7,35 @@ dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * Name of the endpoint built from MODEL_SERVER_URL when no endpoints are declared
+ */
+export const DEFAULT_ENDPOINT = 'default';
+
 // Default configuration values
 const DEFAULT_CONFIGURATION = {
   modelServer: {
     url: 'http://127.0.0.1:1234',
+    adapter: 'openai',
+    timeout: 900000,
+    stream: false,
+    retry: {
+      retries: 3,
+      baseDelayMs: 1000,
+      maxDelayMs: 30000,
+    },
+    circuitBreaker: {
+      failureThreshold: 5,
+      cooldownMs: 60000,
+    },
   },
   models: {
     default: ['phi-3.1-mini-128k-instruct'],
     max_tokens: 30000,
     temperature: 0.7,
     top_p: 0.95,
+    contextWindow: null,
+    tokenizer: 'cl100k_base',
   },
   directories: {
     data: path.join(__dirname, '..', 'input', 'data'),
@@ -25,10 +44,49 @@ const DEFAULT_CONFIGURATION = {
     evaluators: path.join(__dirname, '..', 'input', 'evaluators'),
     results: path.join(__dirname, '..', 'results'),
   },
+  schema: {
+    file: 'response_format.schema.json',
+  },
+  evaluation: {
+    expectedFields: [
+      { alternateNames: ['main_points', 'mainPoints', 'key_points', 'keyPoints'], description: 'key points' },
+      { alternateNames: ['summary', 'overview'], description: 'summary' },
+      { alternateNames: ['analysis', 'evaluation'], description: 'analysis' },
+      { alternateNames: ['recommendations', 'suggestions'], description: 'recommendations' },
+      { alternateNames: ['details', 'specifics'], description: 'details' }
+    ],
+    relevantTerms: ['analysis', 'file', 'text', 'content', 'information', 'important', 'key', 'critical'],
+    numericTolerance: 0,
+    weights: { accuracy: 0.4, completeness: 0.4, relevance: 0.2 },
+    aggregate: 'weighted_mean',
+  },
+  judge: {
+    mode: 'score',
+    temperature: 0,
+    max_tokens: 1024,
+  },
+  chunking: {
+    strategy: 'paragraphs',
+    size: 2000,
+    overlap: 200,
+    merge: 'json',
+  },
 };
 export const CONFIGURATION = {
   modelServer: {
     url: process.env.MODEL_SERVER_URL || DEFAULT_CONFIGURATION.modelServer.url,
+    adapter: process.env.MODEL_SERVER_ADAPTER || DEFAULT_CONFIGURATION.modelServer.adapter,
+    timeout: parseInt(process.env.REQUEST_TIMEOUT_MS || DEFAULT_CONFIGURATION.modelServer.timeout, 10),
+    stream: process.env.STREAM_RESPONSES ? process.env.STREAM_RESPONSES === 'true' : DEFAULT_CONFIGURATION.modelServer.stream,
+    retry: {
+      retries: parseInt(process.env.REQUEST_RETRIES || DEFAULT_CONFIGURATION.modelServer.retry.retries, 10),
+      baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS || DEFAULT_CONFIGURATION.modelServer.retry.baseDelayMs, 10),
+      maxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS || DEFAULT_CONFIGURATION.modelServer.retry.maxDelayMs, 10),
+    },
+    circuitBreaker: {
+      failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD || DEFAULT_CONFIGURATION.modelServer.circuitBreaker.failureThreshold, 10),
+      cooldownMs: parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN_MS || DEFAULT_CONFIGURATION.modelServer.circuitBreaker.cooldownMs, 10),
+    },
   },
   models: {
     default: process.env.DEFAULT_MODELS ? 
@@ -37,6 +95,14 @@ export const CONFIGURATION = {
     max_tokens: parseInt(process.env.MAX_TOKENS || DEFAULT_CONFIGURATION.models.max_tokens, 10),
     temperature: parseFloat(process.env.TEMPERATURE || DEFAULT_CONFIGURATION.models.temperature),
     top_p: parseFloat(process.env.TOP_P || DEFAULT_CONFIGURATION.models.top_p),
+    // Context window used to clamp max_tokens (null = unknown, no clamping)
+    contextWindow: process.env.CONTEXT_WINDOW ?
+      parseInt(process.env.CONTEXT_WINDOW, 10) :
+      DEFAULT_CONFIGURATION.models.contextWindow,
+    // BPE encoding used to count tokens the server doesn't report
+    tokenizer: process.env.TOKENIZER_ENCODING || DEFAULT_CONFIGURATION.models.tokenizer,
+    // Per-model sampling overrides keyed by model ID (declared in experiment files)
+    overrides: Object.create(null),
   },
   directories: {
     prompts: process.env.INPUT_PROMPTS_DIR ? 
@@ -55,6 +121,9 @@ export const CONFIGURATION = {
       path.resolve(process.env.INPUT_EVALUATORS_DIR) : 
       DEFAULT_CONFIGURATION.directories.evaluators,
   },
+  // Named model servers declared in an experiment file (empty = the single modelServer above)
+  // Each endpoint: { name, url, adapter?, timeout?, concurrency?, auth? }
+  endpoints: [],
   performance: {
     concurrencyLimit: parseInt(process.env.CONCURRENCY_LIMIT || '3', 10),
     caching: {
@@ -62,4 +131,179 @@ export const CONFIGURATION = {
       directory: process.env.CACHE_DIR || path.join(__dirname, '..', 'cache')
     }
   },
+  schema: {
+    enabled: process.env.USE_STRUCTURED_OUTPUT_SCHEMA === 'true',
+    file: process.env.SCHEMA_FILE || DEFAULT_CONFIGURATION.schema.file,
+  },
+  evaluation: {
+    expectedFields: DEFAULT_CONFIGURATION.evaluation.expectedFields,
+    relevantTerms: DEFAULT_CONFIGURATION.evaluation.relevantTerms,
+    // Largest absolute difference for numbers to match the expected output of a data file
+    numericTolerance: parseFloat(process.env.REFERENCE_NUMERIC_TOLERANCE || DEFAULT_CONFIGURATION.evaluation.numericTolerance),
+    // Evaluators run on every response, in order (null = the built-in evaluators, then every custom evaluator)
+    pipeline: process.env.EVALUATORS ?
+      process.env.EVALUATORS.split(',').map(name => name.trim()).filter(Boolean) :
+      null,
+    // Weights of the metrics combined into the overall score, and the formula combining them
+    weights: process.env.METRIC_WEIGHTS ?
+      parseWeights(process.env.METRIC_WEIGHTS) :
+      DEFAULT_CONFIGURATION.evaluation.weights,
+    aggregate: process.env.METRIC_AGGREGATE || DEFAULT_CONFIGURATION.evaluation.aggregate,
+  },
+  // LLM-as-judge evaluator: a judge model grades every response (score mode)
+  // or compares it with the baseline model's response to the same test (pairwise mode)
+  judge: {
+    enabled: process.env.JUDGE_ENABLED === 'true',
+    model: process.env.JUDGE_MODEL || null,
+    // Server of the judge model (null = the model server under test)
+    url: process.env.JUDGE_URL || null,
+    mode: process.env.JUDGE_MODE || DEFAULT_CONFIGURATION.judge.mode,
+    // Model whose responses the others are compared with in pairwise mode (null = the first tested model)
+    baseline: process.env.JUDGE_BASELINE_MODEL || null,
+    // Grading instructions, inline or from a file (null = the built-in rubric)
+    rubric: null,
+    rubricFile: process.env.JUDGE_RUBRIC_FILE ? path.resolve(process.env.JUDGE_RUBRIC_FILE) : null,
+    temperature: DEFAULT_CONFIGURATION.judge.temperature,
+    max_tokens: DEFAULT_CONFIGURATION.judge.max_tokens,
+    cache: process.env.JUDGE_CACHE !== 'false',
+  },
+  // Embedding model scoring the semantic similarity of responses to the source document and the expected output
+  embeddings: {
+    enabled: process.env.EMBEDDINGS_ENABLED === 'true',
+    model: process.env.EMBEDDING_MODEL || null,
+    // Server and adapter of the embedding model (null = the model server under test)
+    url: process.env.EMBEDDING_URL || null,
+    adapter: process.env.EMBEDDING_ADAPTER || null,
+    cache: process.env.EMBEDDING_CACHE !== 'false',
+  },
+  // Long documents split into chunks, each sent through the prompt, and the partial outputs combined (map-reduce)
+  chunking: {
+    enabled: process.env.CHUNKING_ENABLED === 'true',
+    // tokens, paragraphs or headings; chunk size and overlap are in tokens
+    strategy: process.env.CHUNK_STRATEGY || DEFAULT_CONFIGURATION.chunking.strategy,
+    size: parseInt(process.env.CHUNK_SIZE || DEFAULT_CONFIGURATION.chunking.size, 10),
+    overlap: parseInt(process.env.CHUNK_OVERLAP || DEFAULT_CONFIGURATION.chunking.overlap, 10),
+    // Merge function combining the partial outputs, unless a reduce prompt (inline or from a file) asks the model to
+    merge: process.env.CHUNK_MERGE || DEFAULT_CONFIGURATION.chunking.merge,
+    reducePrompt: null,
+    reducePromptFile: process.env.CHUNK_REDUCE_PROMPT_FILE ? path.resolve(process.env.CHUNK_REDUCE_PROMPT_FILE) : null,
+  },
+  // Text extraction of PDF and DOCX data files
+  extraction: {
+    cache: process.env.EXTRACTION_CACHE !== 'false',
+  },
+  // Every test case is sent several times (samples), each sample evaluated, and the metrics reported with their spread
+  repeats: {
+    // Number of samples (defaults to one per seed, or one without seeds)
+    count: parseInt(process.env.REPEATS || process.env.REPEAT_SEEDS?.split(',').length || '1', 10),
+    // Sampling seed of every sample, in order (null = no seed, the server samples freely)
+    seeds: process.env.REPEAT_SEEDS ?
+      process.env.REPEAT_SEEDS.split(',').map(seed => parseInt(seed.trim(), 10)) :
+      null,
+  },
+  // Sampling parameters swept over: every combination of the listed values is tested as its own test case (null = not swept)
+  sweep: {
+    temperature: parseNumberList(process.env.SWEEP_TEMPERATURE),
+    top_p: parseNumberList(process.env.SWEEP_TOP_P),
+    max_tokens: parseNumberList(process.env.SWEEP_MAX_TOKENS),
+  },
+  // Name patterns restricting which models, prompts and data files are tested (empty = all)
+  filters: {
+    models: [],
+    prompts: [],
+    data: [],
+  },
+  outputs: {
+    json: true,
+    report: true,
+    csv: true,
+    slack: true,
+  },
+  // Metadata of the experiment file applied to this configuration, if any
+  experiment: null,
 };
+
+/**
+ * Split a model identifier qualified with its endpoint (`endpoint/model`) into the endpoint and the model ID
+ * Model IDs can hold slashes themselves (`mistralai/mistral-nemo-instruct-2407`), so the prefix is only an endpoint when it names one
+ *
+ * @param {string} identifier - Model ID, optionally prefixed with an endpoint name and a slash
+ * @param {string[]} endpointNames - Names of the known endpoints
+ * @returns {{endpoint: string|null, model: string}} - The endpoint (null when not qualified) and the model ID
+ */
+export function parseModelIdentifier(identifier, endpointNames) {
+  const separator = identifier.indexOf('/');
+  if (separator > 0 && endpointNames.includes(identifier.slice(0, separator))) {
+    return { endpoint: identifier.slice(0, separator), model: identifier.slice(separator + 1) };
+  }
+
+  return { endpoint: null, model: identifier };
+}
+
+/**
+ * Get the model servers of the run
+ * Endpoint settings left out fall back to the modelServer and performance settings
+ *
+ * @returns {Array<{name: string, url: string, adapter: string, timeout: number, concurrency: number, auth: object|null}>}
+ */
+export function getEndpoints() {
+  const { modelServer, performance } = CONFIGURATION;
+  const endpoints = CONFIGURATION.endpoints.length > 0 ?
+    CONFIGURATION.endpoints :
+    [{ name: DEFAULT_ENDPOINT, url: modelServer.url }];
+
+  return endpoints.map(endpoint => ({
+    adapter: modelServer.adapter,
+    timeout: modelServer.timeout,
+    auth: null,
+    ...endpoint,
+    concurrency: endpoint.concurrency || performance.concurrencyLimit,
+  }));
+}
+
+/**
+ * Get the sampling and token settings for a model
+ * Per-model overrides from the experiment file take precedence over the global defaults
+ *
+ * @param {string} modelId - The model ID
+ * @returns {{temperature: number, top_p: number, max_tokens: number, contextWindow: number|null, tokenizer: string, sweep?: Object}} -
+ *   The effective settings, with the model's own parameter sweep if it declares one
+ */
+export function getModelSettings(modelId) {
+  const { temperature, top_p, max_tokens, contextWindow, tokenizer } = CONFIGURATION.models;
+  return {
+    temperature,
+    top_p,
+    max_tokens,
+    contextWindow,
+    tokenizer,
+    ...(CONFIGURATION.models.overrides[modelId] || {}),
+  };
+}
+
+/**
+ * Parse a comma-separated list of numbers (`0,0.3,0.7`)
+ *
+ * @param {string|undefined} value - The list
+ * @returns {number[]|null} - The numbers (NaN for entries that aren't numbers), null when the list is unset or empty
+ */
+function parseNumberList(value) {
+  const entries = (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  return entries.length > 0 ? entries.map(Number) : null;
+}
+
+/**
+ * Parse metric weights given as `metric=weight` pairs (`accuracy=0.5,judge=0.5`)
+ * Weights that aren't numbers are kept as given (null when missing), so configureRun can report them
+ *
+ * @param {string} value - Comma-separated pairs
+ * @returns {Object} - Weights by metric name
+ */
+function parseWeights(value) {
+  const weights = Object.create(null);
+  for (const pair of value.split(',').map(entry => entry.trim()).filter(Boolean)) {
+    const [name, weight = null] = pair.split('=').map(part => part.trim());
+    weights[name] = weight !== null && weight !== '' && Number.isFinite(Number(weight)) ? Number(weight) : weight;
+  }
+  return weights;
+}
@@ -0,0 +1,110 @@
+import {expandPartials, parseTemplate, renderTemplate, usesVariable} from './template.js';
+
+/**
+ * Extension of conversation files in the prompts directory
+ */
+export const CONVERSATION_EXTENSION = '.jsonl';
+
+/**
+ * Which model replies of a conversation are evaluated: only the final one, or each of them
+ */
+export const CONVERSATION_EVALUATION_MODES = ['final', 'each'];
+
+const ROLES = ['system', 'user', 'assistant'];
+
+/**
+ * Parse a conversation file: one JSON turn per line
+ *
+ * Key implementation details:
+ * - A turn is `{ "role": "system" | "user" | "assistant", "content": "..." }`; blank lines are ignored
+ * - The model replies to every user turn, unless the file scripts the reply with an assistant turn
+ *   (to test corrections and follow-ups on a known answer); the last turn must be a user turn
+ * - A user turn can carry the `expected` output of the model's reply to it (see loadReferences for the format)
+ * - Turn contents are templates (see renderTemplate); partials are included when parsing
+ *
+ * @param {string} text - The conversation file content (without front-matter)
+ * @param {Object} partials - Partial templates keyed by name (see loadPartials)
+ * @returns {Array<{role: string, content: string, expected: *}>} - The turns
+ * @throws {Error} - If a line isn't a valid turn or the conversation has no final user turn
+ */
+export function parseConversation(text, partials = {}) {
+  const turns = [];
+
+  for (const [index, line] of text.split(/\r?\n/).entries()) {
+    if (!line.trim()) continue;
+
+    let turn;
+    try {
+      turn = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`line ${index + 1}: ${error.message}`);
+    }
+
+    if (turn === null || typeof turn !== 'object' || Array.isArray(turn)) {
+      throw new Error(`line ${index + 1}: a turn must be an object`);
+    }
+    if (!ROLES.includes(turn.role)) {
+      throw new Error(`line ${index + 1}: role must be one of ${ROLES.join(', ')}`);
+    }
+    if (typeof turn.content !== 'string' || !turn.content) {
+      throw new Error(`line ${index + 1}: content must be a non-empty string`);
+    }
+
+    let content;
+    try {
+      content = expandPartials(turn.content, partials);
+      parseTemplate(content);
+    } catch (error) {
+      throw new Error(`line ${index + 1}: ${error.message}`);
+    }
+
+    turns.push({ role: turn.role, content, expected: turn.expected });
+  }
+
+  if (turns.length === 0 || turns[turns.length - 1].role !== 'user') {
+    throw new Error('the last turn must be a user turn for the model to reply to');
+  }
+
+  const scriptedExpectation = turns.findIndex((turn, index) => turn.expected !== undefined && !isModelTurn(turns, index));
+  if (scriptedExpectation !== -1) {
+    throw new Error(`turn ${scriptedExpectation + 1}: only user turns the model replies to have an expected reply`);
+  }
+
+  return turns;
+}
+
+/**
+ * Check whether the model replies to a turn, rather than the conversation scripting the reply
+ *
+ * @param {Array} turns - The conversation turns
+ * @param {number} index - Index of the turn
+ * @returns {boolean} - True for user turns the model replies to
+ */
+export function isModelTurn(turns, index) {
+  return turns[index].role === 'user' && turns[index + 1]?.role !== 'assistant';
+}
+
+/**
+ * Render the turns of a conversation with a data file's template variables
+ * The document goes wherever a turn places `{{document}}`, or is appended to the first user turn when no turn places it
+ *
+ * @param {Array} turns - The conversation turns (see parseConversation)
+ * @param {Object} variables - The data file's template variables
+ * @returns {Array} - The rendered turns
+ * @throws {Error} - If a turn uses a template variable the data file doesn't have
+ */
+export function renderConversation(turns, variables) {
+  const placesDocument = turns.some(turn => usesVariable(turn.content, 'document'));
+  const documentTurn = placesDocument ? -1 : turns.findIndex(turn => turn.role === 'user');
+
+  return turns.map((turn, index) => {
+    let content;
+    try {
+      content = renderTemplate(turn.content, variables);
+    } catch (error) {
+      throw new Error(`turn ${index + 1}: ${error.message}`);
+    }
+
+    return { ...turn, content: index === documentTurn ? `${content}${variables.document}` : content };
+  });
+}
@@ -0,0 +1,276 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const INDEX_VERSION = 1;
+const LOG_FILE = 'correlations.jsonl';
+const INDEX_FILE = 'correlations.index.json';
+
+// Entry fields kept in the index so queries don't have to read the log
+const INDEXED_FIELDS = ['id', 'runId', 'modelId', 'input_data_file', 'input_user_prompt', 'timestamp'];
+
+/**
+ * Append-only correlation store
+ *
+ * Key implementation details:
+ * - Entries are appended as single lines to a JSONL log, so writes never rewrite existing data
+ * - Appends within a process are serialized; appends from other processes are safe because each
+ *   entry is written with a single O_APPEND write
+ * - An index of byte offsets and query fields is kept in memory and persisted next to the log;
+ *   before each query the index catches up with lines appended since it was last written,
+ *   so a stale or missing index file only costs a partial re-scan
+ * - Queries filter the index and only read the matching lines from the log
+ */
+export default class CorrelationStore {
+  /**
+   * @param {string} directory - Directory holding the log and index files
+   */
+  constructor(directory) {
+    this.directory = directory;
+    this.logPath = path.join(directory, LOG_FILE);
+    this.indexPath = path.join(directory, INDEX_FILE);
+    this.entries = [];
+    this.ids = new Set();
+    this.logSize = 0;
+    this.indexLoaded = false;
+    this.indexDirty = false;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Check whether the store has been created on disk
+   *
+   * @returns {Promise<boolean>} - True if the log file exists
+   */
+  async exists() {
+    try {
+      await fs.access(this.logPath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Append a correlation entry
+   *
+   * @param {object} entry - The correlation entry (see createCorrelationEntry in correlator.js)
+   * @returns {Promise<void>}
+   */
+  append(entry) {
+    return this.enqueue(async () => {
+      await fs.mkdir(this.directory, { recursive: true });
+      await fs.appendFile(this.logPath, JSON.stringify(entry) + '\n', 'utf8');
+    });
+  }
+
+  /**
+   * Append many correlation entries, skipping IDs already in the store
+   *
+   * @param {Array} entries - Correlation entries
+   * @returns {Promise<number>} - Number of entries appended
+   */
+  appendMany(entries) {
+    return this.enqueue(async () => {
+      await this.refresh();
+
+      const seen = new Set(this.ids);
+      const newEntries = entries.filter(entry => {
+        if (!entry?.id || seen.has(entry.id)) return false;
+        seen.add(entry.id);
+        return true;
+      });
+
+      if (newEntries.length > 0) {
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.appendFile(this.logPath, newEntries.map(entry => JSON.stringify(entry) + '\n').join(''), 'utf8');
+      }
+
+      return newEntries.length;
+    });
+  }
+
+  /**
+   * Query correlation entries
+   *
+   * @param {object} criteria - Query criteria, all optional
+   * @param {string} [criteria.id] - Correlation ID
+   * @param {string} [criteria.runId] - Run ID
+   * @param {string} [criteria.modelId] - Model ID
+   * @param {string} [criteria.input_data_file] - Data file ID
+   * @param {string} [criteria.input_user_prompt] - Prompt ID
+   * @param {string} [criteria.from] - Earliest timestamp (inclusive, ISO 8601)
+   * @param {string} [criteria.to] - Latest timestamp (inclusive, ISO 8601)
+   * @returns {Promise<Array>} - Matching entries ordered by timestamp
+   */
+  async query(criteria = {}) {
+    await this.enqueue(() => this.refresh());
+
+    const { from, to, ...fields } = criteria;
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+
+    const matches = this.entries.filter(entry => {
+      for (const [key, value] of Object.entries(fields)) {
+        if (value !== undefined && value !== null && entry[key] !== value) return false;
+      }
+      const time = new Date(entry.timestamp).getTime();
+      return !(time < fromTime || time > toTime);
+    });
+
+    return this.readEntries(matches);
+  }
+
+  /**
+   * Persist the index if entries were added since it was last written
+   *
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.enqueue(async () => {
+      await this.refresh();
+      if (!this.indexDirty) return;
+
+      const index = {
+        version: INDEX_VERSION,
+        logSize: this.logSize,
+        entries: this.entries
+      };
+
+      // Write to a temporary file first so readers never see a partial index
+      const tempPath = `${this.indexPath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(index), 'utf8');
+      await fs.rename(tempPath, this.indexPath);
+      this.indexDirty = false;
+    });
+  }
+
+  /**
+   * Bring the in-memory index up to date with the log
+   *
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    if (!this.indexLoaded) {
+      await this.loadIndex();
+    }
+
+    let size;
+    try {
+      size = (await fs.stat(this.logPath)).size;
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    if (size < this.logSize) {
+      // The log was replaced, rebuild the index from scratch
+      console.warn(`Correlation log ${this.logPath} shrank, rebuilding index`);
+      this.entries = [];
+      this.ids = new Set();
+      this.logSize = 0;
+    }
+
+    if (size > this.logSize) {
+      await this.scanLog(this.logSize, size);
+    }
+  }
+
+  /**
+   * Load the persisted index, ignoring it when missing or unreadable
+   *
+   * @returns {Promise<void>}
+   */
+  async loadIndex() {
+    this.indexLoaded = true;
+
+    try {
+      const index = JSON.parse(await fs.readFile(this.indexPath, 'utf8'));
+      if (index.version === INDEX_VERSION && Array.isArray(index.entries)) {
+        this.entries = index.entries;
+        this.ids = new Set(index.entries.map(entry => entry.id));
+        this.logSize = index.logSize || 0;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Ignoring unreadable correlation index ${this.indexPath}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Index the log lines between two byte offsets
+   * A trailing line without newline is still being written and is left for the next refresh
+   *
+   * @param {number} start - Byte offset to start scanning at
+   * @param {number} end - Byte offset to stop scanning at
+   * @returns {Promise<void>}
+   */
+  async scanLog(start, end) {
+    const handle = await fs.open(this.logPath, 'r');
+    try {
+      const buffer = Buffer.alloc(end - start);
+      await handle.read(buffer, 0, buffer.length, start);
+
+      let lineStart = 0;
+      let newline;
+      while ((newline = buffer.indexOf(0x0a, lineStart)) !== -1) {
+        const line = buffer.toString('utf8', lineStart, newline);
+        if (line.trim()) {
+          try {
+            const entry = JSON.parse(line);
+            const indexEntry = { offset: start + lineStart, length: newline - lineStart };
+            for (const field of INDEXED_FIELDS) {
+              indexEntry[field] = entry[field];
+            }
+            this.entries.push(indexEntry);
+            this.ids.add(entry.id);
+          } catch (error) {
+            console.warn(`Skipping corrupt correlation log line at byte ${start + lineStart}: ${error.message}`);
+          }
+        }
+        lineStart = newline + 1;
+      }
+
+      this.logSize = start + lineStart;
+      this.indexDirty = true;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Read full entries from the log
+   *
+   * @param {Array} indexEntries - Index entries with offsets
+   * @returns {Promise<Array>} - Full entries ordered by timestamp
+   */
+  async readEntries(indexEntries) {
+    if (indexEntries.length === 0) return [];
+
+    const handle = await fs.open(this.logPath, 'r');
+    try {
+      const entries = [];
+      for (const { offset, length } of indexEntries) {
+        const buffer = Buffer.alloc(length);
+        await handle.read(buffer, 0, length, offset);
+        entries.push(JSON.parse(buffer.toString('utf8')));
+      }
+
+      return entries.sort((a, b) => (a.timestamp > b.timestamp ? 1 : a.timestamp < b.timestamp ? -1 : 0));
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Run a task after all previously queued tasks of this store
+   *
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} - The task result
+   */
+  enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+}
@@ -1,12 +1,136 @@
 import fs from 'fs/promises';
 import path from 'path';
-import {fileURLToPath} from 'url';
 import {CONFIGURATION} from './config.js';
+import CorrelationStore from './correlation-store.js';
+import {comparePairs, COMPARISON_FACTORS, pairObservations} from './comparison.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Correlation stores keyed by directory, holding the promise of the opened store
+const stores = new Map();
 
-const RESULTS_DIR = path.join(__dirname, '..', CONFIGURATION.directories.results);
+// Criteria answered by the store index, other criteria are matched against full entries
+const INDEXED_CRITERIA = ['id', 'runId', 'modelId', 'input_data_file', 'input_user_prompt', 'from', 'to'];
+
+/**
+ * Get the results directory
+ * Read at call time so experiment files can change it after this module is loaded
+ *
+ * @returns {string} - Absolute path to the results directory
+ */
+function getResultsDir() {
+  return CONFIGURATION.directories.results;
+}
+
+/**
+ * Get the correlation store of the current results directory
+ * Legacy JSON correlation files are migrated the first time the store is created
+ *
+ * @returns {Promise<CorrelationStore>} - The correlation store
+ */
+async function getCorrelationStore() {
+  const directory = path.join(getResultsDir(), 'correlations');
+
+  if (!stores.has(directory)) {
+    stores.set(directory, (async () => {
+      const store = new CorrelationStore(directory);
+      if (!(await store.exists())) {
+        const migrated = await importLegacyCorrelations(store);
+        if (migrated > 0) {
+          console.log(`Migrated ${migrated} legacy correlations to ${store.logPath}`);
+        }
+      }
+      return store;
+    })());
+  }
+
+  return stores.get(directory);
+}
+
+/**
+ * Import correlations from the legacy JSON files into a store
+ *
+ * Key implementation details:
+ * - Reads the master results/correlations.json and every run's correlation_index_*.json
+ * - Skips correlations already in the store, so importing is idempotent
+ * - Renames the master file to correlations.json.migrated once imported; run index files are kept
+ *
+ * @param {CorrelationStore} store - The store to import into
+ * @returns {Promise<number>} - Number of imported correlations
+ */
+async function importLegacyCorrelations(store) {
+  const resultsDir = getResultsDir();
+  const legacyEntries = [];
+
+  const masterCorrelationsPath = path.join(resultsDir, 'correlations.json');
+  let hasMasterFile = false;
+  try {
+    legacyEntries.push(...JSON.parse(await fs.readFile(masterCorrelationsPath, 'utf8')));
+    hasMasterFile = true;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Error reading legacy correlations ${masterCorrelationsPath}:`, error);
+    }
+  }
+
+  let runDirs = [];
+  try {
+    runDirs = (await fs.readdir(resultsDir)).filter(dir => dir.startsWith('run_'));
+  } catch (error) {
+    // No results yet
+  }
+
+  for (const runDir of runDirs) {
+    const runPath = path.join(resultsDir, runDir);
+    let files = [];
+    try {
+      files = await fs.readdir(runPath);
+    } catch (error) {
+      continue;
+    }
+
+    for (const correlationFile of files.filter(file => file.startsWith('correlation_index_'))) {
+      try {
+        const correlations = JSON.parse(await fs.readFile(path.join(runPath, correlationFile), 'utf8'));
+        legacyEntries.push(...correlations.map(correlation => ({
+          runId: runDir.substring('run_'.length),
+          ...correlation
+        })));
+      } catch (error) {
+        console.error(`Error reading correlation file ${correlationFile}:`, error);
+      }
+    }
+  }
+
+  const imported = await store.appendMany(legacyEntries.map(entry => createCorrelationEntry(entry)));
+  await store.flush();
+
+  if (hasMasterFile) {
+    await fs.rename(masterCorrelationsPath, `${masterCorrelationsPath}.migrated`);
+  }
+
+  return imported;
+}
+
+/**
+ * Migrate legacy JSON correlation files into the correlation store
+ * Safe to run repeatedly: correlations already in the store are skipped
+ *
+ * @returns {Promise<number>} - Number of migrated correlations
+ */
+export async function migrateLegacyCorrelations() {
+  const store = await getCorrelationStore();
+  return importLegacyCorrelations(store);
+}
+
+/**
+ * Persist the correlation store index
+ * Call once a batch of correlations has been recorded, e.g. at the end of a run
+ *
+ * @returns {Promise<void>}
+ */
+export async function flushCorrelations() {
+  const store = await getCorrelationStore();
+  await store.flush();
+}
 
 /**
  * Create a correlation ID for a test run
@@ -22,73 +146,88 @@ export function createCorrelationId(modelId, input_data_file, input_user_prompt)
 }
 
 /**
- * Record a correlation between model, file, prompt, and result
+ * Create a correlation entry
  * 
  * @param {object} correlation - The correlation object
+ * @param {string} [correlation.id] - The correlation ID (created when missing)
+ * @param {string} correlation.runId - The run ID the correlation belongs to
  * @param {string} correlation.modelId - The model ID
+ * @param {string} [correlation.endpoint] - The endpoint that served the model
  * @param {string} correlation.input_data_file - The file sample ID
  * @param {string} correlation.input_user_prompt - The prompt ID
- * @param {string} correlation.resultPath - Path to the result file
- * @param {object} correlation.metrics - Evaluation metrics
- * @returns {Promise<string>} - The correlation ID
+ * @param {object|null} [correlation.parameters] - The swept sampling parameters the result was produced with
+ * @param {string} correlation.resultPath - Path to the result JSON file
+ * @param {object} correlation.quantitative - Quantitative evaluation
+ * @param {object} correlation.qualitative - Qualitative evaluation
+ * @param {string} correlation.timestamp - When the result was produced
+ * @returns {object} - The correlation entry, with numeric metrics extracted from the quantitative evaluation
  */
-export async function recordCorrelation(correlation) {
+export function createCorrelationEntry(correlation) {
   const {
+    runId,
     modelId,
+    endpoint,
     input_data_file,
     input_user_prompt,
+    parameters,
     resultPath,
     quantitative,
     qualitative,
     timestamp
   } = correlation;
-  
-  // Create correlation ID
-  const correlationId = createCorrelationId(modelId, input_data_file, input_user_prompt);
-  
-  // Create correlation entry
-  const entry = {
-    id: correlationId,
+
+  const metrics = Object.create(null);
+  for (const [key, value] of Object.entries(quantitative || {})) {
+    if (typeof value === 'number') {
+      metrics[key] = value;
+    }
+  }
+
+  return {
+    id: correlation.id || createCorrelationId(modelId, input_data_file, input_user_prompt),
+    runId,
     modelId,
+    endpoint: endpoint || null,
     input_data_file,
     input_user_prompt,
+    parameters: parameters || null,
     resultPath,
+    metrics,
     quantitative,
     qualitative,
     timestamp
   };
+}
+
+/**
+ * Record a correlation between model, file, prompt, and result
+ * 
+ * @param {object} correlation - The correlation object (see createCorrelationEntry)
+ * @param {string} [correlationDir] - Directory for the correlation file (defaults to the result file's directory)
+ * @returns {Promise<string>} - The correlation ID
+ */
+export async function recordCorrelation(correlation, correlationDir) {
+  const entry = createCorrelationEntry(correlation);
+  const { id: correlationId, modelId, resultPath } = entry;
   
   try {
     // Ensure the result path exists
     if (resultPath) {
-      await fs.mkdir(resultPath, { recursive: true });
-
       // Create correlation directory path
-      const correlationDir = path.join(resultPath, `correlation_${modelId.split('/')[0]}`);
+      const baseDir = correlationDir || path.dirname(resultPath);
+      const modelDir = path.join(baseDir, `correlation_${modelId.split('/')[0]}`);
 
       // Ensure the correlation directory exists
-      await fs.mkdir(correlationDir, {recursive: true});
+      await fs.mkdir(modelDir, {recursive: true});
 
       // Save the correlation data to a JSON file
-      const correlationFilePath = path.join(correlationDir, `${correlationId.replace(/[:.]/g, '-')}.json`);
+      const correlationFilePath = path.join(modelDir, `${correlationId.replace(/[:./]/g, '-')}.json`);
       await fs.writeFile(correlationFilePath, JSON.stringify(entry, null, 2), 'utf8');
       console.log(`Correlation data saved to ${correlationFilePath}`);
       
-      // Also append to a master correlations file for easier lookup
-      const masterCorrelationsPath = path.join(RESULTS_DIR, 'correlations.json');
-      
-      // Check if master file exists, create it if not
-      let masterCorrelations = [];
-      try {
-        const existingData = await fs.readFile(masterCorrelationsPath, 'utf8');
-        masterCorrelations = JSON.parse(existingData);
-      } catch (err) {
-        // File doesn't exist yet, will create it
-      }
-      
-      // Add the new correlation and save
-      masterCorrelations.push(entry);
-      await fs.writeFile(masterCorrelationsPath, JSON.stringify(masterCorrelations, null, 2), 'utf8');
+      // Also append to the correlation store for querying across runs
+      const store = await getCorrelationStore();
+      await store.append(entry);
     } else {
       console.warn('Warning: resultPath is undefined in recordCorrelation');
     }
@@ -101,65 +240,74 @@ export async function recordCorrelation(correlation) {
 }
 
 /**
- * Get all correlations from all run directories
+ * Write the correlation index of a run next to its results
+ * The index keeps a run directory self-contained when it is archived or moved
+ *
+ * @param {string} runDir - Directory of the run
+ * @param {string} runId - The run ID
+ * @param {Array} correlations - Correlation objects of the run (see createCorrelationEntry)
+ * @returns {Promise<string>} - Path to the index file
+ */
+export async function writeCorrelationIndex(runDir, runId, correlations) {
+  const indexPath = path.join(runDir, `correlation_index_${runId}.json`);
+  const entries = correlations.map(correlation => createCorrelationEntry(correlation));
+
+  await fs.writeFile(indexPath, JSON.stringify(entries, null, 2), 'utf8');
+  console.log(`Correlation index saved to ${indexPath}`);
+
+  return indexPath;
+}
+
+/**
+ * Get all correlations from the correlation store
  * 
- * @returns {Promise<Array>} - Array of correlation entries
+ * @returns {Promise<Array>} - Array of correlation entries ordered by timestamp
  */
 export async function getAllCorrelations() {
-  try {
-    const runDirs = await fs.readdir(RESULTS_DIR);
-    const filteredDirs = runDirs.filter(dir => dir.startsWith('run_'));
-    let allCorrelations = [];
-    
-    for (const runDir of filteredDirs) {
-      const runPath = path.join(RESULTS_DIR, runDir);
-      const dirStat = await fs.stat(runPath);
-      
-      if (!dirStat.isDirectory()) continue;
-      
-      const files = await fs.readdir(runPath);
-      const correlationFiles = files.filter(file => file.includes('correlation_index_'));
-      
-      for (const correlationFile of correlationFiles) {
-        try {
-          const filePath = path.join(runPath, correlationFile);
-          const content = await fs.readFile(filePath, 'utf8');
-          const correlations = JSON.parse(content);
-          
-          allCorrelations = allCorrelations.concat(correlations);
-        } catch (error) {
-          console.error(`Error reading correlation file ${correlationFile}:`, error);
-        }
-      }
-    }
-    
-    return allCorrelations;
-  } catch (error) {
-    console.error('Error getting all correlations:', error);
-    return [];
-  }
+  return findCorrelations();
 }
 
 /**
  * Find correlations by criteria
  * 
  * @param {object} criteria - Search criteria
+ * @param {string} [criteria.id] - Filter by correlation ID
+ * @param {string} [criteria.runId] - Filter by run ID
  * @param {string} [criteria.modelId] - Filter by model ID
  * @param {string} [criteria.input_data_file] - Filter by file sample ID
  * @param {string} [criteria.input_user_prompt] - Filter by prompt ID
- * @returns {Promise<Array>} - Array of matching correlation entries
+ * @param {string} [criteria.from] - Only correlations recorded at or after this date (ISO 8601)
+ * @param {string} [criteria.to] - Only correlations recorded at or before this date (ISO 8601)
+ * @returns {Promise<Array>} - Array of matching correlation entries ordered by timestamp
  */
 export async function findCorrelations(criteria = {}) {
-  const correlations = await getAllCorrelations();
-  
-  return correlations.filter(corr => {
+  try {
+    const store = await getCorrelationStore();
+
+    const indexedCriteria = Object.create(null);
+    const otherCriteria = Object.create(null);
     for (const [key, value] of Object.entries(criteria)) {
-      if (corr[key] !== value) {
-        return false;
+      if (INDEXED_CRITERIA.includes(key)) {
+        indexedCriteria[key] = value;
+      } else {
+        otherCriteria[key] = value;
       }
     }
-    return true;
-  });
+
+    const correlations = await store.query(indexedCriteria);
+
+    return correlations.filter(corr => {
+      for (const [key, value] of Object.entries(otherCriteria)) {
+        if (corr[key] !== value) {
+          return false;
+        }
+      }
+      return true;
+    });
+  } catch (error) {
+    console.error('Error getting correlations:', error);
+    return [];
+  }
 }
 
 /**
@@ -169,8 +317,8 @@ export async function findCorrelations(criteria = {}) {
  * @returns {Promise<object|null>} - The correlation entry or null if not found
  */
 export async function getCorrelationById(correlationId) {
-  const correlations = await getAllCorrelations();
-  return correlations.find(entry => entry.id === correlationId) || null;
+  const correlations = await findCorrelations({ id: correlationId });
+  return correlations[0] || null;
 }
 
 /**
@@ -217,3 +365,62 @@ export async function generateComparisonReport(correlationIds) {
     byPrompt
   };
 }
+
+/**
+ * Test whether two prompts or two models score differently over the same test cases
+ *
+ * Key implementation details:
+ * - Correlations matching the filters are paired on everything but the compared factor (see pairObservations),
+ *   so they can come from several runs; a test case recorded more than once keeps its latest score
+ * - A model is a model ID or a model on one endpoint (`endpoint/model`); models are paired on the endpoint
+ *   unless both name theirs, which compares the same model on two machines
+ * - Returns the Wilcoxon signed-rank test, the paired bootstrap and the effect sizes of the paired scores (see comparePairs)
+ *
+ * @param {object} options - Comparison options
+ * @param {string} options.factor - What is compared: `prompt` or `model`
+ * @param {string} options.a - The first prompt, model ID or `endpoint/model`
+ * @param {string} options.b - The second prompt, model ID or `endpoint/model`
+ * @param {string} [options.metric='overall'] - The compared metric
+ * @param {object} [options.filters] - Criteria the correlations must match (see findCorrelations)
+ * @returns {Promise<object>} - The comparison (see comparePairs) and its paired `scores`
+ * @throws {Error} - On an unknown factor or identical sides
+ */
+export async function generatePairedComparison({ factor, a, b, metric = 'overall', filters = {} }) {
+  if (!COMPARISON_FACTORS.includes(factor)) {
+    throw new Error(`Unknown comparison factor "${factor}" (available: ${COMPARISON_FACTORS.join(', ')})`);
+  }
+  if (a === b) {
+    throw new Error(`Cannot compare ${factor} "${a}" with itself`);
+  }
+
+  const correlations = [];
+  for (const side of [a, b]) {
+    if (factor === 'prompt') {
+      correlations.push(...await findCorrelations({ ...filters, input_user_prompt: side }));
+      continue;
+    }
+
+    correlations.push(...await findCorrelations({ ...filters, modelId: side }));
+    // Model IDs can hold slashes, so a side with one is also looked up as `endpoint/model`
+    const separator = side.indexOf('/');
+    if (separator > 0) {
+      correlations.push(...await findCorrelations({
+        ...filters,
+        modelId: side.slice(separator + 1),
+        endpoint: side.slice(0, separator)
+      }));
+    }
+  }
+  const observations = correlations.map(corr => ({
+    model: corr.modelId,
+    endpoint: corr.endpoint,
+    prompt: corr.input_user_prompt,
+    data: corr.input_data_file,
+    parameters: corr.parameters,
+    value: corr.metrics?.[metric],
+    timestamp: corr.timestamp
+  }));
+  const pairs = pairObservations(observations, factor, a, b);
+
+  return { factor, a, b, metric, ...comparePairs(pairs), scores: pairs };
+}
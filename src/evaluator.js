@@ -1,40 +1,182 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { CONFIGURATION } from './config.js';
+import { scoreAgainstReference } from './reference.js';
+import { judgeResponse } from './judge.js';
+import { scoreSimilarity } from './similarity.js';
+import { validateResponse } from './schema.js';
 
 /**
- * Loads a custom evaluator if available
- * 
- * @param {string} type - Type of evaluator ('quantitative' or 'qualitative')
- * @returns {Function|null} - The evaluator function or null if not found
+ * Built-in evaluators, in the order they run when no pipeline is configured
+ * - `schema`: schema_compliance of the response with the response schema (structured output enabled)
+ * - `reference`: exact_match, token_f1 and field_match against the data file's expected output
+ * - `similarity`: semantic similarity to the expected output or the document (with embeddings)
+ * - `default`: accuracy, completeness and relevance, strengths, weaknesses and suggestions
+ * - `judge`: the judge model's score and rationale (judge enabled in score mode)
  */
-async function loadCustomEvaluator(type) {
+export const BUILT_IN_EVALUATORS = ['schema', 'reference', 'similarity', 'default', 'judge'];
+
+/**
+ * Formulas combining the weighted metrics into the overall score
+ */
+export const AGGREGATES = ['weighted_mean', 'weighted_sum', 'geometric_mean', 'min'];
+
+// Metrics computed by the pipeline itself, which evaluators can't report
+const RESERVED_METRICS = ['overall', 'errors'];
+
+const evaluatorCache = new Map();
+const reservedMetricWarnings = new Set();
+
+/**
+ * Load the custom evaluators of a directory
+ *
+ * Key implementation details:
+ * - Every `.js` file exporting an `evaluate(result, context)` function is an evaluator, named after its
+ *   `name` export or its file name; a custom evaluator named like a built-in one replaces it
+ * - `quantitative.js` exporting `evaluateQuantitative` and `qualitative.js` exporting `evaluateQualitative`
+ *   are the legacy custom evaluators, used by the `default` evaluator in place of the default implementations
+ * - Modules are loaded once per directory; a module that fails to load is reported and skipped
+ * - The file and optional `version` export of every evaluator are kept in `sources`, keyed by evaluator name
+ *   (`quantitative` and `qualitative` for the legacy evaluators), so run manifests can record them
+ *
+ * @param {string} directory - Evaluators directory
+ * @returns {Promise<{evaluators: Map<string, Function>, quantitative: Function|null, qualitative: Function|null, sources: Map<string, Object>}>} -
+ *   The custom evaluators
+ */
+async function loadCustomEvaluators(directory) {
+  if (evaluatorCache.has(directory)) {
+    return evaluatorCache.get(directory);
+  }
+
+  const custom = { evaluators: new Map(), quantitative: null, qualitative: null, sources: new Map() };
+
+  let files = [];
   try {
-    const evaluatorPath = path.join(CONFIGURATION.directories.evaluators, `${type}.js`);
-    
-    // Check if the file exists
+    files = (await fs.readdir(directory)).filter(file => file.endsWith('.js')).sort();
+  } catch (error) {
+    // No evaluators directory, only the built-in evaluators run
+  }
+
+  for (const file of files) {
     try {
-      await fs.access(evaluatorPath);
+      const filePath = path.join(directory, file);
+      const evaluatorModule = await import(`file://${filePath}`);
+      const source = { file: filePath, version: typeof evaluatorModule.version === 'string' ? evaluatorModule.version : null };
+
+      if (file === 'quantitative.js' && typeof evaluatorModule.evaluateQuantitative === 'function') {
+        custom.quantitative = evaluatorModule.evaluateQuantitative;
+        custom.sources.set('quantitative', source);
+      } else if (file === 'qualitative.js' && typeof evaluatorModule.evaluateQualitative === 'function') {
+        custom.qualitative = evaluatorModule.evaluateQualitative;
+        custom.sources.set('qualitative', source);
+      } else if (typeof evaluatorModule.evaluate === 'function') {
+        const name = typeof evaluatorModule.name === 'string' ? evaluatorModule.name : path.basename(file, '.js');
+        custom.evaluators.set(name, evaluatorModule.evaluate);
+        custom.sources.set(name, source);
+      } else {
+        console.warn(`Skipping evaluator ${file}: it doesn't export an evaluate() function`);
+      }
     } catch (error) {
-      // File doesn't exist, return null
-      return null;
+      console.error(`Error loading evaluator ${file}:`, error);
     }
-    
-    // Import the evaluator module
-    const evaluatorModule = await import(`file://${evaluatorPath}`);
-    
-    // Get the appropriate function based on type
-    const functionName = type === 'quantitative' ? 'evaluateQuantitative' : 'evaluateQualitative';
-    
-    if (evaluatorModule && typeof evaluatorModule[functionName] === 'function') {
-      return evaluatorModule[functionName];
+  }
+
+  evaluatorCache.set(directory, custom);
+  return custom;
+}
+
+/**
+ * Get the evaluators run on every response
+ *
+ * @param {string[]|null} pipeline - Evaluator names in run order (null = the built-in evaluators, then every custom evaluator)
+ * @param {string} directory - Custom evaluators directory
+ * @returns {Promise<Array<{name: string, evaluate: Function}>>} - The evaluators, in run order
+ * @throws {Error} - If the pipeline names an evaluator that doesn't exist
+ */
+export async function getEvaluatorPipeline(pipeline = CONFIGURATION.evaluation.pipeline, directory = CONFIGURATION.directories.evaluators) {
+  const custom = await loadCustomEvaluators(directory);
+  const builtIns = new Map([
+    ['schema', evaluateSchema],
+    ['reference', evaluateReference],
+    ['similarity', evaluateSimilarity],
+    ['default', (result, context) => evaluateDefault(result, context, custom)],
+    ['judge', evaluateJudge]
+  ]);
+
+  const available = [...new Set([...BUILT_IN_EVALUATORS, ...custom.evaluators.keys()])];
+  return (pipeline || available).map(name => {
+    const evaluate = custom.evaluators.get(name) || builtIns.get(name);
+    if (!evaluate) {
+      throw new Error(`Unknown evaluator "${name}" (available: ${available.join(', ')})`);
     }
-    
-    return null;
-  } catch (error) {
-    console.error(`Error loading ${type} evaluator:`, error);
+    return { name, evaluate };
+  });
+}
+
+/**
+ * Describe the evaluators run on every response, to record what scored a run
+ *
+ * Key implementation details:
+ * - Built-in evaluators have no file: they are versioned with the framework
+ * - Custom evaluators give their file and their `version` export, if any
+ * - The legacy `quantitative.js` and `qualitative.js` evaluators are listed after the `default` evaluator they plug into
+ *
+ * @param {string[]|null} pipeline - Evaluator names in run order (see getEvaluatorPipeline)
+ * @param {string} directory - Custom evaluators directory
+ * @returns {Promise<Array<{name: string, file: string|null, version: string|null}>>} - The evaluators, in run order
+ */
+export async function describeEvaluatorPipeline(pipeline = CONFIGURATION.evaluation.pipeline, directory = CONFIGURATION.directories.evaluators) {
+  const custom = await loadCustomEvaluators(directory);
+  const evaluators = await getEvaluatorPipeline(pipeline, directory);
+
+  return evaluators.flatMap(({ name }) => {
+    const source = custom.evaluators.has(name) ? custom.sources.get(name) : null;
+    const legacy = name === 'default' && !source ?
+      ['quantitative', 'qualitative'].filter(legacyName => custom.sources.has(legacyName))
+        .map(legacyName => ({ name: `default/${legacyName}`, ...custom.sources.get(legacyName) })) :
+      [];
+    return [{ name, file: source?.file ?? null, version: source?.version ?? null }, ...legacy];
+  });
+}
+
+/**
+ * Combine the weighted metrics of a response into its overall score
+ *
+ * Key implementation details:
+ * - Only metrics with a positive weight take part; metrics the response doesn't have are left out,
+ *   so `weighted_mean` and `geometric_mean` renormalize the weights of the metrics present
+ * - `weighted_sum` adds the weighted metrics without normalizing, `min` is the lowest weighted metric
+ *
+ * @param {Object} metrics - Metrics of the response by name
+ * @param {Object} weights - Weights by metric name
+ * @param {string} aggregate - Aggregate formula (see AGGREGATES)
+ * @returns {number|null} - The overall score, or null if the response has none of the weighted metrics
+ * @throws {Error} - If the aggregate formula is unknown
+ */
+export function aggregateMetrics(metrics, weights = CONFIGURATION.evaluation.weights, aggregate = CONFIGURATION.evaluation.aggregate) {
+  const weighted = Object.entries(weights)
+    .filter(([name, weight]) => weight > 0 && typeof metrics[name] === 'number' && Number.isFinite(metrics[name]))
+    .map(([name, weight]) => ({ value: metrics[name], weight }));
+
+  if (weighted.length === 0) {
     return null;
   }
+
+  const totalWeight = weighted.reduce((sum, { weight }) => sum + weight, 0);
+
+  switch (aggregate) {
+    case 'weighted_mean':
+      return weighted.reduce((sum, { value, weight }) => sum + value * weight, 0) / totalWeight;
+    case 'weighted_sum':
+      return weighted.reduce((sum, { value, weight }) => sum + value * weight, 0);
+    case 'geometric_mean':
+      return weighted.some(({ value }) => value <= 0) ? 0 :
+        Math.exp(weighted.reduce((sum, { value, weight }) => sum + Math.log(value) * weight, 0) / totalWeight);
+    case 'min':
+      return Math.min(...weighted.map(({ value }) => value));
+    default:
+      throw new Error(`Unknown metric aggregate "${aggregate}" (available: ${AGGREGATES.join(', ')})`);
+  }
 }
 
 /**
@@ -43,60 +185,236 @@ async function loadCustomEvaluator(type) {
  * Key implementation details:
  * - Automatically parses string results into JSON objects
  * - Falls back to a simple object with raw_text if parsing fails
- * - Dynamically loads custom evaluators from the input/evaluators directory if available
- * - Uses default evaluators as fallback if custom evaluators aren't found
- * - Combines quantitative metrics and qualitative assessments into a single result
- * - Supports expected fields and relevant terms for content evaluation
+ * - Runs the evaluator pipeline (see getEvaluatorPipeline) in order; every evaluator returns named metrics
+ *   and qualitative findings, and sees the metrics of the evaluators before it as `context.metrics`
+ * - A failing evaluator is reported in `quantitative.errors` without stopping the others
+ * - The overall score is computed from the metrics with the configured weights and aggregate formula
+ *   (see aggregateMetrics); it is null when the response has none of the weighted metrics
+ * - Validates the result against the response schema (`options.schema`) when there is one; the validation
+ *   is passed to the evaluators as `context.schemaValidation`, and responses that aren't JSON are validated as text
+ * - Scores the result against the data file's expected output (`options.expected`) when there is one;
+ *   the reference metrics are passed to the evaluators as `context.reference`, and the default
+ *   evaluator uses them for accuracy and to point out mismatching fields
+ * - Scores the semantic similarity of the result to the document and the expected output when embeddings are
+ *   enabled (`options.embeddings`); passed to the evaluators as `context.similarity`, the default evaluator
+ *   uses the similarity to the document as relevance
  * 
  * @param {Object|string} result - The model result (JSON object or string)
  * @param {Object} options - Optional configuration parameters
- * @returns {Object} - Complete evaluation with scores and qualitative insights
+ * @param {string[]|null} [options.pipeline] - Evaluator names in run order (default: CONFIGURATION.evaluation.pipeline)
+ * @param {Object} [options.weights] - Metric weights of the overall score (default: CONFIGURATION.evaluation.weights)
+ * @param {string} [options.aggregate] - Aggregate formula of the overall score (default: CONFIGURATION.evaluation.aggregate)
+ * @param {Object} [options.schema] - Response JSON schema the result must comply with
+ * @param {*} [options.expected] - Expected output of the data file
+ * @param {number} [options.numericTolerance] - Largest absolute difference for numbers to match the expected output
+ * @param {Object} [options.embeddings] - Embedding configuration (see CONFIGURATION.embeddings)
+ * @param {Object} [options.judge] - Judge configuration (see CONFIGURATION.judge)
+ * @param {string} [options.document] - Source document, compared by embeddings and shown to the judge
+ * @param {string} [options.prompt] - Task given to the model, shown to the judge
+ * @returns {Object} - Complete evaluation with scores, qualitative insights, reference metrics (null without expected output)
+ *   and schema validation (null without schema)
  */
 export async function evaluate(result, options = {}) {
   // Parse result if it's a string
   let parsedResult = result;
+  let isJson = true;
   if (typeof result === "string") {
     try {
       parsedResult = JSON.parse(result);
     } catch (error) {
       // If not valid JSON, create a simple object
       parsedResult = { raw_text: result };
+      isJson = false;
     }
   }
 
-  // Load custom evaluators if available
-  const customQuantitative = await loadCustomEvaluator('quantitative');
-  const customQualitative = await loadCustomEvaluator('qualitative');
-  
-  // Use custom evaluators if available, otherwise use default
-  let quantitative = customQuantitative ? 
-    customQuantitative(parsedResult, options) : 
-    quantitativeEvaluation(parsedResult, options);
-    
-  // Ensure all required metrics are present and sensible
-  quantitative = {
-    accuracy: parseFloat(quantitative.accuracy || 0),
-    completeness: parseFloat(quantitative.completeness || 0),
-    relevance: parseFloat(quantitative.relevance || 0),
-    overall: parseFloat(quantitative.overall || 0),
-    errors: quantitative.errors || []
+  const errors = [];
+
+  let schemaValidation = null;
+  if (options.schema) {
+    try {
+      schemaValidation = validateResponse(isJson ? parsedResult : result, options.schema);
+    } catch (error) {
+      console.warn(`Schema validation failed: ${error.message}`);
+      errors.push(`Schema validation failed: ${error.message}`);
+    }
+  }
+
+  const reference = options.expected !== undefined ?
+    scoreAgainstReference(parsedResult, options.expected, options) :
+    null;
+
+  let similarity = null;
+  if (options.embeddings?.enabled) {
+    try {
+      similarity = await scoreSimilarity({ result: parsedResult, document: options.document, expected: options.expected }, options.embeddings);
+    } catch (error) {
+      console.warn(`Semantic similarity failed: ${error.message}`);
+      errors.push(`Semantic similarity failed: ${error.message}`);
+    }
+  }
+
+  const metrics = {};
+  const qualitative = {
+    strengths: [],
+    weaknesses: [],
+    suggestions: []
   };
-  
-  // If overall score is 0 but completeness is high, recalculate using the default formula
-  if (quantitative.overall === 0 && quantitative.completeness > 0) {
-    // Use default formula as fallback
-    const calculatedAccuracy = (quantitative.completeness + quantitative.relevance) / 2;
-    quantitative.accuracy = calculatedAccuracy;
-    quantitative.overall = (calculatedAccuracy * 0.4) + (quantitative.completeness * 0.4) + (quantitative.relevance * 0.2);
+
+  for (const evaluator of await getEvaluatorPipeline(options.pipeline ?? CONFIGURATION.evaluation.pipeline)) {
+    let output;
+    try {
+      output = await evaluator.evaluate(parsedResult, { ...options, schemaValidation, reference, similarity, metrics: { ...metrics } });
+    } catch (error) {
+      console.warn(`Evaluator "${evaluator.name}" failed: ${error.message}`);
+      errors.push(`Evaluator "${evaluator.name}" failed: ${error.message}`);
+      continue;
+    }
+    if (!output) continue;
+
+    const { metrics: evaluatorMetrics = {}, errors: evaluatorErrors = [], ...assessment } = output;
+
+    for (const [name, value] of Object.entries(evaluatorMetrics)) {
+      if (RESERVED_METRICS.includes(name)) {
+        if (!reservedMetricWarnings.has(`${evaluator.name}.${name}`)) {
+          reservedMetricWarnings.add(`${evaluator.name}.${name}`);
+          console.warn(`Evaluator "${evaluator.name}" reports the reserved metric "${name}", which is ignored`);
+        }
+        continue;
+      }
+
+      const number = parseFloat(value);
+      if (Number.isFinite(number)) {
+        metrics[name] = number;
+      } else if (value !== null && value !== undefined) {
+        errors.push(`Evaluator "${evaluator.name}" reported a non-numeric value for metric "${name}"`);
+      }
+    }
+
+    errors.push(...evaluatorErrors.map(String));
+
+    // Lists of findings are combined, other qualitative fields are set by the evaluator reporting them
+    for (const [key, value] of Object.entries(assessment)) {
+      if (Array.isArray(value) && Array.isArray(qualitative[key])) {
+        qualitative[key].push(...value);
+      } else {
+        qualitative[key] = value;
+      }
+    }
   }
-    
-  const qualitative = customQualitative ? 
-    customQualitative(parsedResult, options) : 
-    qualitativeEvaluation(parsedResult, options);
-  
+
+  const quantitative = {
+    overall: aggregateMetrics(metrics, options.weights ?? CONFIGURATION.evaluation.weights, options.aggregate ?? CONFIGURATION.evaluation.aggregate),
+    ...metrics,
+    errors
+  };
+
   return {
     quantitative,
-    qualitative
+    qualitative,
+    reference,
+    schemaValidation
+  };
+}
+
+/**
+ * Built-in `schema` evaluator: 1 when the result complies with the response schema, 0 otherwise;
+ * averaged over results, the metric is the schema-compliance rate
+ *
+ * @param {Object} result - The model result (parsed)
+ * @param {Object} context - Evaluation context
+ * @returns {Object|null} - The compliance metric and a weakness per violation, or null without schema
+ */
+function evaluateSchema(result, context) {
+  const { schemaValidation } = context;
+  if (!schemaValidation) {
+    return null;
+  }
+
+  return {
+    metrics: { schema_compliance: schemaValidation.valid ? 1 : 0 },
+    weaknesses: schemaValidation.errors.map(({ path, message }) => `Schema violation at ${path}: ${message}`),
+    suggestions: schemaValidation.valid ? [] : ['Follow the response schema']
+  };
+}
+
+/**
+ * Built-in `reference` evaluator: the metrics of the result against the data file's expected output
+ *
+ * @param {Object} result - The model result (parsed)
+ * @param {Object} context - Evaluation context
+ * @returns {Object|null} - Reference metrics, or null without expected output
+ */
+function evaluateReference(result, context) {
+  const { reference } = context;
+  if (!reference) {
+    return null;
+  }
+
+  const metrics = { exact_match: reference.exact_match, token_f1: reference.token_f1 };
+  if (reference.field_match !== null) {
+    metrics.field_match = reference.field_match;
+  }
+
+  return { metrics };
+}
+
+/**
+ * Built-in `similarity` evaluator: the similarity to the expected output, or to the document without one
+ *
+ * @param {Object} result - The model result (parsed)
+ * @param {Object} context - Evaluation context
+ * @returns {Object|null} - The similarity metric, or null without embeddings
+ */
+function evaluateSimilarity(result, context) {
+  const { similarity } = context;
+  return similarity ? { metrics: { similarity: similarity.reference ?? similarity.document } } : null;
+}
+
+/**
+ * Built-in `default` evaluator: accuracy, completeness and relevance with the qualitative assessment,
+ * computed by the legacy custom evaluators when they exist
+ *
+ * @param {Object} result - The model result (parsed)
+ * @param {Object} context - Evaluation context
+ * @param {Object} custom - Loaded custom evaluators (see loadCustomEvaluators)
+ * @returns {Promise<Object>} - Metrics and qualitative assessment
+ */
+async function evaluateDefault(result, context, custom) {
+  const quantitative = custom.quantitative ?
+    await custom.quantitative(result, context) :
+    quantitativeEvaluation(result, context);
+  const qualitative = custom.qualitative ?
+    await custom.qualitative(result, context) :
+    qualitativeEvaluation(result, context);
+
+  // The overall score comes from the configured weights, not from the evaluator
+  const { overall, errors = [], ...metrics } = quantitative || {};
+
+  return {
+    metrics,
+    errors: errors.map(error => error?.message || String(error)),
+    ...qualitative
+  };
+}
+
+/**
+ * Built-in `judge` evaluator: the judge model's grade of the result (judge enabled in score mode)
+ * Pairwise judgements need every model's response and are made after the run (see judgeAgainstBaseline in framework.js)
+ *
+ * @param {Object} result - The model result (parsed)
+ * @param {Object} context - Evaluation context
+ * @returns {Promise<Object|null>} - The judge metric and rationale, or null when the judge doesn't grade responses
+ */
+async function evaluateJudge(result, context) {
+  if (!context.judge?.enabled || context.judge.mode !== 'score') {
+    return null;
+  }
+
+  const judgement = await judgeResponse({ response: result, document: context.document, prompt: context.prompt }, context.judge);
+  return {
+    metrics: { judge: judgement.score },
+    judge_rationale: judgement.rationale
   };
 }
 
@@ -114,7 +432,6 @@ export function quantitativeEvaluation(result, options = {}) {
     accuracy: 0,
     completeness: 0,
     relevance: 0,
-    overall: 0,
     errors: []
   };
   
@@ -131,7 +448,10 @@ export function quantitativeEvaluation(result, options = {}) {
       metrics.completeness = expectedFields.length > 0 ? presentFields / expectedFields.length : 0;
     }
     
-    if (relevantTerms.length > 0) {
+    if (options.similarity) {
+      // Semantic similarity to the source document measures relevance by meaning rather than keywords
+      metrics.relevance = options.similarity.document;
+    } else if (relevantTerms.length > 0) {
       // Calculate relevance based on presence of relevant terms
       const responseText = JSON.stringify(result).toLowerCase();
       const relevantTermsFound = relevantTerms.filter(term => responseText.includes(term)).length;
@@ -140,10 +460,10 @@ export function quantitativeEvaluation(result, options = {}) {
 
     }
     
-    // Calculate accuracy and overall score
-    metrics.accuracy = options.accuracyFn ? options.accuracyFn(result, options) : (metrics.completeness + metrics.relevance) / 2;
-    metrics.overall = options.overallFn ? options.overallFn(metrics.accuracy, metrics.completeness, metrics.relevance, options) :
-        (metrics.accuracy * 0.4) + (metrics.completeness * 0.4) + (metrics.relevance * 0.2);
+    // Calculate accuracy; without an expected output, it falls back to the average of completeness and relevance
+    // (the overall score is computed from the configured metric weights, see aggregateMetrics)
+    const defaultAccuracy = options.reference ? options.reference.score : (metrics.completeness + metrics.relevance) / 2;
+    metrics.accuracy = options.accuracyFn ? options.accuracyFn(result, options) : defaultAccuracy;
 
     return metrics
 
@@ -193,6 +513,18 @@ export function qualitativeEvaluation(result, options = {}) {
       }
     }
     
+    // Compare with the expected output
+    if (options.reference) {
+      if (options.reference.exact_match === 1) {
+        assessment.strengths.push("Matches the expected output");
+      }
+      for (const [field, score] of Object.entries(options.reference.fields || {})) {
+        if (score === 0) {
+          assessment.weaknesses.push(`Field "${field}" doesn't match the expected output`);
+        }
+      }
+    }
+
     // Add generic suggestions based on weaknesses
     if (assessment.weaknesses.length > 0) {
       assessment.suggestions.push("Ensure all expected elements are included in the response");
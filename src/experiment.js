@@ -0,0 +1,663 @@
+import fs from 'fs/promises';
+import path from 'path';
+import YAML from 'yaml';
+import {CONFIGURATION, DEFAULT_ENDPOINT} from './config.js';
+import {getAdapterNames} from './adapters/index.js';
+import {TOKENIZER_ENCODINGS} from './tokenizer.js';
+import {JUDGE_MODES} from './judge.js';
+import {CHUNK_STRATEGIES} from './chunking.js';
+import {AGGREGATES} from './evaluator.js';
+import {CONVERSATION_EVALUATION_MODES} from './conversation.js';
+import {SWEEP_PARAMETERS} from './sweep.js';
+
+/**
+ * Experiment file format version supported by this framework
+ */
+export const EXPERIMENT_VERSION = 1;
+
+const TOP_LEVEL_KEYS = [
+  'version',
+  'name',
+  'description',
+  'modelServer',
+  'endpoints',
+  'models',
+  'sampling',
+  'prompts',
+  'datasets',
+  'schema',
+  'evaluators',
+  'embeddings',
+  'judge',
+  'chunking',
+  'repeats',
+  'seeds',
+  'sweep',
+  'outputs',
+  'concurrency',
+];
+
+// Endpoint credentials, given inline or as the name of an environment variable holding them
+const AUTH_KEYS = ['username', 'password', 'token'];
+
+// Settings a prompt file can declare in its front-matter
+const PROMPT_SETTINGS_KEYS = ['schema', 'schemaName', 'expectedFields', 'relevantTerms', 'temperature', 'max_tokens', 'evaluate'];
+
+// Structured output schema names accepted by OpenAI-compatible servers
+const SCHEMA_NAME_PATTERN = /^[\w-]{1,64}$/;
+
+const SAMPLING_RANGES = {
+  temperature: [0, 2],
+  top_p: [0, 1],
+};
+
+// Keys accepted by each section of the experiment file
+const SAMPLING_KEYS = ['temperature', 'top_p', 'max_tokens', 'contextWindow', 'tokenizer'];
+const MODEL_KEYS = ['id', ...SAMPLING_KEYS, 'adapter', 'endpoint', 'sweep'];
+const EMBEDDINGS_KEYS = ['enabled', 'model', 'url', 'adapter', 'cache'];
+const JUDGE_KEYS = ['enabled', 'model', 'url', 'mode', 'baseline', 'rubric', 'rubricFile', 'temperature', 'max_tokens', 'cache'];
+const CHUNKING_KEYS = ['enabled', 'strategy', 'size', 'overlap', 'merge', 'reducePrompt', 'reducePromptFile'];
+
+/**
+ * Load and validate an experiment file
+ *
+ * Key implementation details:
+ * - Supports .json, .yaml and .yml files
+ * - Validates the whole file and reports every problem at once
+ * - Resolves relative directories against the experiment file location,
+ *   so suites checked into the repository are reproducible from any working directory
+ *
+ * @param {string} filePath - Path to the experiment file
+ * @returns {Promise<object>} - The validated experiment with absolute paths
+ */
+export async function loadExperiment(filePath) {
+  const experimentPath = path.resolve(filePath);
+  const extension = path.extname(experimentPath).toLowerCase();
+
+  let content;
+  try {
+    content = await fs.readFile(experimentPath, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read experiment file ${experimentPath}: ${error.message}`);
+  }
+
+  let experiment;
+  try {
+    if (extension === '.json') {
+      experiment = JSON.parse(content);
+    } else if (extension === '.yaml' || extension === '.yml') {
+      experiment = YAML.parse(content);
+    } else {
+      throw new Error(`unsupported extension "${extension}" (expected .json, .yaml or .yml)`);
+    }
+  } catch (error) {
+    throw new Error(`Could not parse experiment file ${experimentPath}: ${error.message}`);
+  }
+
+  const errors = validateExperiment(experiment);
+  if (errors.length > 0) {
+    throw new Error(`Invalid experiment file ${experimentPath}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+
+  return resolveExperimentPaths(experiment, path.dirname(experimentPath), experimentPath);
+}
+
+/**
+ * Validate an experiment definition
+ *
+ * @param {object} experiment - The parsed experiment file
+ * @returns {string[]} - List of human-readable validation errors (empty when valid)
+ */
+export function validateExperiment(experiment) {
+  const errors = [];
+
+  if (!isPlainObject(experiment)) {
+    return ['experiment must be an object'];
+  }
+
+  for (const key of Object.keys(experiment)) {
+    if (!TOP_LEVEL_KEYS.includes(key)) {
+      errors.push(`unknown key "${key}" (allowed: ${TOP_LEVEL_KEYS.join(', ')})`);
+    }
+  }
+
+  if (experiment.version === undefined) {
+    errors.push(`version is required (current version: ${EXPERIMENT_VERSION})`);
+  } else if (experiment.version !== EXPERIMENT_VERSION) {
+    errors.push(`version ${JSON.stringify(experiment.version)} is not supported (expected ${EXPERIMENT_VERSION})`);
+  }
+
+  checkType(errors, experiment, 'name', 'string');
+  checkType(errors, experiment, 'description', 'string');
+
+  if (experiment.modelServer !== undefined) {
+    if (checkObject(errors, experiment.modelServer, 'modelServer')) {
+      checkType(errors, experiment.modelServer, 'url', 'string', 'modelServer');
+      checkPositiveInteger(errors, experiment.modelServer, 'timeoutMs', 'modelServer');
+      checkType(errors, experiment.modelServer, 'stream', 'boolean', 'modelServer');
+      checkAdapter(errors, experiment.modelServer, 'modelServer');
+
+      const { retry, circuitBreaker } = experiment.modelServer;
+      if (retry !== undefined && checkObject(errors, retry, 'modelServer.retry')) {
+        checkNonNegativeInteger(errors, retry, 'retries', 'modelServer.retry');
+        checkNonNegativeInteger(errors, retry, 'baseDelayMs', 'modelServer.retry');
+        checkNonNegativeInteger(errors, retry, 'maxDelayMs', 'modelServer.retry');
+      }
+      if (circuitBreaker !== undefined && checkObject(errors, circuitBreaker, 'modelServer.circuitBreaker')) {
+        checkPositiveInteger(errors, circuitBreaker, 'failureThreshold', 'modelServer.circuitBreaker');
+        checkNonNegativeInteger(errors, circuitBreaker, 'cooldownMs', 'modelServer.circuitBreaker');
+      }
+    }
+  }
+
+  const endpointNames = [];
+  if (experiment.endpoints !== undefined) {
+    if (!Array.isArray(experiment.endpoints) || experiment.endpoints.length === 0) {
+      errors.push('endpoints must be a non-empty array of { name, url, ... } objects');
+    } else {
+      experiment.endpoints.forEach((endpoint, index) => {
+        const location = `endpoints[${index}]`;
+        if (!checkObject(errors, endpoint, location)) return;
+
+        if (typeof endpoint.name !== 'string' || !endpoint.name.trim()) {
+          errors.push(`${location}.name must be a non-empty string`);
+        } else if (endpointNames.includes(endpoint.name)) {
+          errors.push(`${location}.name "${endpoint.name}" is declared more than once`);
+        } else {
+          endpointNames.push(endpoint.name);
+        }
+
+        if (typeof endpoint.url !== 'string' || !endpoint.url.trim()) {
+          errors.push(`${location}.url must be a non-empty string`);
+        }
+        checkAdapter(errors, endpoint, location);
+        checkPositiveInteger(errors, endpoint, 'timeoutMs', location);
+        checkPositiveInteger(errors, endpoint, 'concurrency', location);
+
+        if (endpoint.auth !== undefined && checkObject(errors, endpoint.auth, `${location}.auth`)) {
+          for (const key of AUTH_KEYS) {
+            checkType(errors, endpoint.auth, key, 'string', `${location}.auth`);
+            checkType(errors, endpoint.auth, `${key}Env`, 'string', `${location}.auth`);
+          }
+        }
+      });
+    }
+  } else {
+    endpointNames.push(DEFAULT_ENDPOINT);
+  }
+
+  if (!Array.isArray(experiment.models) || experiment.models.length === 0) {
+    errors.push('models must be a non-empty array of model IDs or { id, ...sampling, sweep } objects');
+  } else {
+    experiment.models.forEach((model, index) => {
+      const location = `models[${index}]`;
+      if (typeof model === 'string') {
+        if (!model.trim()) errors.push(`${location} must not be empty`);
+        return;
+      }
+      if (!checkObject(errors, model, location)) return;
+      checkKeys(errors, model, MODEL_KEYS, location);
+      if (typeof model.id !== 'string' || !model.id.trim()) {
+        errors.push(`${location}.id must be a non-empty string`);
+      }
+      checkSampling(errors, model, location);
+      checkAdapter(errors, model, location);
+      checkEndpointReference(errors, model, location, endpointNames);
+      if (model.sweep !== undefined) {
+        errors.push(...validateSweep(model.sweep, `${location}.sweep`));
+      }
+    });
+  }
+
+  if (experiment.sampling !== undefined && checkObject(errors, experiment.sampling, 'sampling')) {
+    checkKeys(errors, experiment.sampling, SAMPLING_KEYS, 'sampling');
+    checkSampling(errors, experiment.sampling, 'sampling');
+  }
+
+  for (const section of ['prompts', 'datasets']) {
+    if (experiment[section] !== undefined && checkObject(errors, experiment[section], section)) {
+      checkType(errors, experiment[section], 'directory', 'string', section);
+      checkStringArray(errors, experiment[section], 'include', section);
+    }
+  }
+
+  if (experiment.schema !== undefined && checkObject(errors, experiment.schema, 'schema')) {
+    checkType(errors, experiment.schema, 'enabled', 'boolean', 'schema');
+    checkType(errors, experiment.schema, 'directory', 'string', 'schema');
+    checkType(errors, experiment.schema, 'file', 'string', 'schema');
+  }
+
+  if (experiment.evaluators !== undefined && checkObject(errors, experiment.evaluators, 'evaluators')) {
+    checkType(errors, experiment.evaluators, 'directory', 'string', 'evaluators');
+    checkStringArray(errors, experiment.evaluators, 'relevantTerms', 'evaluators');
+    const { numericTolerance } = experiment.evaluators;
+    if (numericTolerance !== undefined && (typeof numericTolerance !== 'number' || numericTolerance < 0)) {
+      errors.push('evaluators.numericTolerance must be a non-negative number');
+    }
+
+    checkExpectedFields(errors, experiment.evaluators, 'evaluators');
+
+    checkStringArray(errors, experiment.evaluators, 'pipeline', 'evaluators');
+    const { weights, aggregate } = experiment.evaluators;
+    if (weights !== undefined && checkObject(errors, weights, 'evaluators.weights')) {
+      for (const [metric, weight] of Object.entries(weights)) {
+        if (metric === 'overall') {
+          errors.push('evaluators.weights.overall is not allowed, the overall score is computed from the other metrics');
+        } else if (typeof weight !== 'number' || weight < 0) {
+          errors.push(`evaluators.weights.${metric} must be a non-negative number`);
+        }
+      }
+    }
+    if (aggregate !== undefined && !AGGREGATES.includes(aggregate)) {
+      errors.push(`evaluators.aggregate must be one of ${AGGREGATES.join(', ')}`);
+    }
+  }
+
+  if (experiment.embeddings !== undefined && checkObject(errors, experiment.embeddings, 'embeddings')) {
+    checkKeys(errors, experiment.embeddings, EMBEDDINGS_KEYS, 'embeddings');
+    checkType(errors, experiment.embeddings, 'enabled', 'boolean', 'embeddings');
+    checkType(errors, experiment.embeddings, 'cache', 'boolean', 'embeddings');
+    for (const key of ['model', 'url']) {
+      checkType(errors, experiment.embeddings, key, 'string', 'embeddings');
+    }
+    checkAdapter(errors, experiment.embeddings, 'embeddings');
+  }
+
+  if (experiment.judge !== undefined && checkObject(errors, experiment.judge, 'judge')) {
+    const { judge } = experiment;
+    checkKeys(errors, judge, JUDGE_KEYS, 'judge');
+    checkType(errors, judge, 'enabled', 'boolean', 'judge');
+    checkType(errors, judge, 'cache', 'boolean', 'judge');
+    for (const key of ['model', 'url', 'baseline', 'rubric', 'rubricFile']) {
+      checkType(errors, judge, key, 'string', 'judge');
+    }
+    if (judge.mode !== undefined && !JUDGE_MODES.includes(judge.mode)) {
+      errors.push(`judge.mode must be one of ${JUDGE_MODES.join(', ')}`);
+    }
+    checkSampling(errors, judge, 'judge');
+  }
+
+  if (experiment.chunking !== undefined && checkObject(errors, experiment.chunking, 'chunking')) {
+    const { chunking } = experiment;
+    checkKeys(errors, chunking, CHUNKING_KEYS, 'chunking');
+    checkType(errors, chunking, 'enabled', 'boolean', 'chunking');
+    if (chunking.strategy !== undefined && !CHUNK_STRATEGIES.includes(chunking.strategy)) {
+      errors.push(`chunking.strategy must be one of ${CHUNK_STRATEGIES.join(', ')}`);
+    }
+    checkPositiveInteger(errors, chunking, 'size', 'chunking');
+    checkNonNegativeInteger(errors, chunking, 'overlap', 'chunking');
+    if (Number.isInteger(chunking.size) && Number.isInteger(chunking.overlap) && chunking.overlap >= chunking.size) {
+      errors.push('chunking.overlap must be smaller than chunking.size');
+    }
+    for (const key of ['merge', 'reducePrompt', 'reducePromptFile']) {
+      checkType(errors, chunking, key, 'string', 'chunking');
+    }
+  }
+
+  checkPositiveInteger(errors, experiment, 'repeats');
+  if (experiment.seeds !== undefined) {
+    const { seeds, repeats } = experiment;
+    if (!Array.isArray(seeds) || seeds.length === 0 || seeds.some(seed => !Number.isInteger(seed))) {
+      errors.push('seeds must be a non-empty array of integers');
+    } else if (Number.isInteger(repeats) && seeds.length !== repeats) {
+      errors.push(`seeds lists ${seeds.length} seeds, but repeats is ${repeats} (one seed per repeat)`);
+    }
+  }
+
+  if (experiment.sweep !== undefined) {
+    errors.push(...validateSweep(experiment.sweep));
+  }
+
+  if (experiment.outputs !== undefined && checkObject(errors, experiment.outputs, 'outputs')) {
+    checkType(errors, experiment.outputs, 'directory', 'string', 'outputs');
+    for (const sink of ['json', 'report', 'csv', 'slack']) {
+      checkType(errors, experiment.outputs, sink, 'boolean', 'outputs');
+    }
+  }
+
+  checkPositiveInteger(errors, experiment, 'concurrency');
+
+  return errors;
+}
+
+/**
+ * Validate a parameter sweep: the values tested for each swept sampling parameter
+ *
+ * @param {object} sweep - Lists of values keyed by parameter (see SWEEP_PARAMETERS)
+ * @param {string} [location='sweep'] - Where the sweep is declared, for the error messages
+ * @returns {string[]} - List of human-readable validation errors (empty when valid)
+ */
+export function validateSweep(sweep, location = 'sweep') {
+  const errors = [];
+  if (!checkObject(errors, sweep, location)) {
+    return errors;
+  }
+
+  for (const [key, values] of Object.entries(sweep)) {
+    if (!SWEEP_PARAMETERS.includes(key)) {
+      errors.push(`unknown ${location} parameter "${key}" (allowed: ${SWEEP_PARAMETERS.join(', ')})`);
+    } else if (!Array.isArray(values) || values.length === 0) {
+      errors.push(`${location}.${key} must be a non-empty array of values`);
+    } else {
+      const [min, max] = SAMPLING_RANGES[key] || [];
+      values.forEach((value, index) => {
+        if (key === 'max_tokens' ? !Number.isInteger(value) || value <= 0 : !Number.isFinite(value) || value < min || value > max) {
+          errors.push(`${location}.${key}[${index}] must be ${key === 'max_tokens' ? 'a positive integer' : `a number between ${min} and ${max}`}`);
+        }
+      });
+      if (new Set(values).size !== values.length) {
+        errors.push(`${location}.${key} must not list a value twice`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the settings declared in the front-matter of a prompt file
+ *
+ * @param {object} settings - Parsed front-matter attributes
+ * @param {object} options - Validation options
+ * @param {boolean} [options.conversation=false] - Whether the prompt file is a conversation
+ * @returns {string[]} - List of human-readable validation errors (empty when valid)
+ */
+export function validatePromptSettings(settings, { conversation = false } = {}) {
+  const errors = [];
+
+  for (const key of Object.keys(settings)) {
+    if (!PROMPT_SETTINGS_KEYS.includes(key)) {
+      errors.push(`unknown front-matter key "${key}" (allowed: ${PROMPT_SETTINGS_KEYS.join(', ')})`);
+    }
+  }
+
+  if (settings.schema !== undefined && settings.schema !== false && typeof settings.schema !== 'string') {
+    errors.push('front-matter.schema must be a schema file name, or false to disable the schema');
+  }
+  if (settings.schemaName !== undefined &&
+    (typeof settings.schemaName !== 'string' || !SCHEMA_NAME_PATTERN.test(settings.schemaName))) {
+    errors.push('front-matter.schemaName must be 1-64 letters, digits, underscores or dashes');
+  }
+  checkExpectedFields(errors, settings, 'front-matter');
+  checkStringArray(errors, settings, 'relevantTerms', 'front-matter');
+  checkSampling(errors, pickDefined(settings, ['temperature', 'max_tokens']), 'front-matter');
+  if (settings.evaluate !== undefined) {
+    if (!conversation) {
+      errors.push('front-matter.evaluate is only supported by conversations');
+    } else if (!CONVERSATION_EVALUATION_MODES.includes(settings.evaluate)) {
+      errors.push(`front-matter.evaluate must be one of ${CONVERSATION_EVALUATION_MODES.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Apply a loaded experiment on top of the environment-based configuration
+ * Values not declared in the experiment keep their environment or default values
+ *
+ * @param {object} experiment - Experiment returned by loadExperiment
+ * @param {object} configuration - Configuration object to update (defaults to the shared CONFIGURATION)
+ * @returns {object} - The updated configuration
+ */
+export function applyExperiment(experiment, configuration = CONFIGURATION) {
+  const {
+    modelServer, endpoints, models, sampling, prompts, datasets, schema, evaluators, embeddings, judge, chunking, outputs
+  } = experiment;
+
+  if (modelServer?.url) configuration.modelServer.url = modelServer.url;
+  if (modelServer?.adapter) configuration.modelServer.adapter = modelServer.adapter;
+  if (modelServer?.timeoutMs) configuration.modelServer.timeout = modelServer.timeoutMs;
+  if (modelServer?.stream !== undefined) configuration.modelServer.stream = modelServer.stream;
+  if (modelServer?.retry) Object.assign(configuration.modelServer.retry, modelServer.retry);
+  if (modelServer?.circuitBreaker) Object.assign(configuration.modelServer.circuitBreaker, modelServer.circuitBreaker);
+
+  if (endpoints) {
+    configuration.endpoints = endpoints.map(endpoint => ({
+      ...pickDefined(endpoint, ['name', 'url', 'adapter', 'concurrency']),
+      ...(endpoint.timeoutMs ? { timeout: endpoint.timeoutMs } : {}),
+      ...(endpoint.auth ? { auth: resolveAuth(endpoint.auth, endpoint.name) } : {}),
+    }));
+  }
+
+  configuration.models.default = models.map(model => typeof model === 'string' ? model.trim() : model.id);
+  configuration.models.overrides = Object.create(null);
+  for (const model of models) {
+    if (typeof model === 'string') continue;
+    const { id, ...overrides } = model;
+    configuration.models.overrides[id] = overrides;
+  }
+
+  if (sampling) {
+    Object.assign(configuration.models, pickDefined(sampling, SAMPLING_KEYS));
+  }
+
+  if (prompts?.directory) configuration.directories.prompts = prompts.directory;
+  if (datasets?.directory) configuration.directories.data = datasets.directory;
+  if (schema?.directory) configuration.directories.schemas = schema.directory;
+  if (evaluators?.directory) configuration.directories.evaluators = evaluators.directory;
+  if (outputs?.directory) configuration.directories.results = outputs.directory;
+
+  configuration.filters.prompts = prompts?.include || [];
+  configuration.filters.data = datasets?.include || [];
+
+  if (schema) {
+    Object.assign(configuration.schema, pickDefined(schema, ['enabled', 'file']));
+  }
+
+  if (evaluators) {
+    Object.assign(configuration.evaluation, pickDefined(evaluators, [
+      'expectedFields', 'relevantTerms', 'numericTolerance', 'pipeline', 'weights', 'aggregate'
+    ]));
+  }
+
+  if (embeddings) {
+    Object.assign(configuration.embeddings, pickDefined(embeddings, EMBEDDINGS_KEYS));
+  }
+
+  if (judge) {
+    Object.assign(configuration.judge, pickDefined(judge, JUDGE_KEYS));
+  }
+
+  if (chunking) {
+    Object.assign(configuration.chunking, pickDefined(chunking, CHUNKING_KEYS));
+  }
+
+  // A seed list without a repeat count runs one sample per seed
+  if (experiment.seeds) {
+    configuration.repeats.seeds = experiment.seeds;
+    configuration.repeats.count = experiment.seeds.length;
+  }
+  if (experiment.repeats) {
+    configuration.repeats.count = experiment.repeats;
+  }
+
+  if (experiment.sweep) {
+    Object.assign(configuration.sweep, pickDefined(experiment.sweep, SWEEP_PARAMETERS));
+  }
+
+  if (outputs) {
+    Object.assign(configuration.outputs, pickDefined(outputs, ['json', 'report', 'csv', 'slack']));
+  }
+
+  if (experiment.concurrency) {
+    configuration.performance.concurrencyLimit = experiment.concurrency;
+  }
+
+  configuration.experiment = {
+    name: experiment.name || path.basename(experiment.path, path.extname(experiment.path)),
+    description: experiment.description || null,
+    path: experiment.path,
+    version: experiment.version,
+  };
+
+  return configuration;
+}
+
+/**
+ * Resolve endpoint credentials, reading `*Env` keys from the environment
+ * so secrets don't have to be checked in with the experiment
+ *
+ * @param {object} auth - The endpoint's auth section
+ * @param {string} endpointName - The endpoint name, for error messages
+ * @returns {{username?: string, password?: string, token?: string}} - The credentials
+ * @throws {Error} - If a referenced environment variable is not set
+ */
+function resolveAuth(auth, endpointName) {
+  const credentials = {};
+
+  for (const key of AUTH_KEYS) {
+    const variable = auth[`${key}Env`];
+    if (variable) {
+      if (process.env[variable] === undefined) {
+        throw new Error(`Endpoint "${endpointName}" reads auth.${key} from ${variable}, which is not set`);
+      }
+      credentials[key] = process.env[variable];
+    } else if (auth[key] !== undefined) {
+      credentials[key] = auth[key];
+    }
+  }
+
+  return credentials;
+}
+
+/**
+ * Resolve every directory declared in the experiment relative to the experiment file
+ *
+ * @param {object} experiment - The validated experiment
+ * @param {string} baseDir - Directory containing the experiment file
+ * @param {string} experimentPath - Absolute path to the experiment file
+ * @returns {object} - A copy of the experiment with absolute directories
+ */
+function resolveExperimentPaths(experiment, baseDir, experimentPath) {
+  const resolved = structuredClone(experiment);
+  resolved.path = experimentPath;
+
+  for (const section of ['prompts', 'datasets', 'schema', 'evaluators', 'outputs']) {
+    if (resolved[section]?.directory) {
+      resolved[section].directory = path.resolve(baseDir, resolved[section].directory);
+    }
+  }
+
+  if (resolved.judge?.rubricFile) {
+    resolved.judge.rubricFile = path.resolve(baseDir, resolved.judge.rubricFile);
+  }
+
+  if (resolved.chunking?.reducePromptFile) {
+    resolved.chunking.reducePromptFile = path.resolve(baseDir, resolved.chunking.reducePromptFile);
+  }
+
+  return resolved;
+}
+
+function checkSampling(errors, settings, location) {
+  for (const [key, [min, max]] of Object.entries(SAMPLING_RANGES)) {
+    const value = settings[key];
+    if (value !== undefined && (typeof value !== 'number' || value < min || value > max)) {
+      errors.push(`${location}.${key} must be a number between ${min} and ${max}`);
+    }
+  }
+  checkPositiveInteger(errors, settings, 'max_tokens', location);
+  checkPositiveInteger(errors, settings, 'contextWindow', location);
+  if (settings.tokenizer !== undefined && !TOKENIZER_ENCODINGS.includes(settings.tokenizer)) {
+    errors.push(`${location}.tokenizer must be one of ${TOKENIZER_ENCODINGS.join(', ')}`);
+  }
+}
+
+function checkExpectedFields(errors, settings, location) {
+  const { expectedFields } = settings;
+  if (expectedFields === undefined) {
+    return;
+  }
+
+  if (!Array.isArray(expectedFields)) {
+    errors.push(`${location}.expectedFields must be an array`);
+    return;
+  }
+
+  expectedFields.forEach((field, index) => {
+    const fieldLocation = `${location}.expectedFields[${index}]`;
+    if (!checkObject(errors, field, fieldLocation)) return;
+    if (!Array.isArray(field.alternateNames) || field.alternateNames.length === 0 ||
+      field.alternateNames.some(name => typeof name !== 'string')) {
+      errors.push(`${fieldLocation}.alternateNames must be a non-empty array of strings`);
+    }
+    if (typeof field.description !== 'string') {
+      errors.push(`${fieldLocation}.description must be a string`);
+    }
+  });
+}
+
+function checkAdapter(errors, settings, location) {
+  const adapterNames = getAdapterNames();
+  if (settings.adapter !== undefined && !adapterNames.includes(settings.adapter)) {
+    errors.push(`${location}.adapter must be one of ${adapterNames.join(', ')}`);
+  }
+}
+
+function checkEndpointReference(errors, settings, location, endpointNames) {
+  if (settings.endpoint === undefined) return;
+
+  const names = Array.isArray(settings.endpoint) ? settings.endpoint : [settings.endpoint];
+  if (names.length === 0 || names.some(name => typeof name !== 'string')) {
+    errors.push(`${location}.endpoint must be an endpoint name or a non-empty array of endpoint names`);
+    return;
+  }
+
+  for (const name of names) {
+    if (!endpointNames.includes(name)) {
+      errors.push(`${location}.endpoint "${name}" is not declared (declared: ${endpointNames.join(', ')})`);
+    }
+  }
+}
+
+function checkKeys(errors, object, keys, location) {
+  for (const key of Object.keys(object)) {
+    if (!keys.includes(key)) {
+      errors.push(`unknown ${location} key "${key}" (allowed: ${keys.join(', ')})`);
+    }
+  }
+}
+
+function checkObject(errors, value, location) {
+  if (!isPlainObject(value)) {
+    errors.push(`${location} must be an object`);
+    return false;
+  }
+  return true;
+}
+
+function checkType(errors, object, key, type, location) {
+  if (object[key] !== undefined && typeof object[key] !== type) {
+    errors.push(`${location ? `${location}.` : ''}${key} must be a ${type}`);
+  }
+}
+
+function checkPositiveInteger(errors, object, key, location) {
+  const value = object[key];
+  if (value !== undefined && (!Number.isInteger(value) || value <= 0)) {
+    errors.push(`${location ? `${location}.` : ''}${key} must be a positive integer`);
+  }
+}
+
+function checkNonNegativeInteger(errors, object, key, location) {
+  const value = object[key];
+  if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+    errors.push(`${location ? `${location}.` : ''}${key} must be a non-negative integer`);
+  }
+}
+
+function checkStringArray(errors, object, key, location) {
+  const value = object[key];
+  if (value !== undefined && (!Array.isArray(value) || value.some(item => typeof item !== 'string'))) {
+    errors.push(`${location}.${key} must be an array of strings`);
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function pickDefined(object, keys) {
+  return Object.fromEntries(keys.filter(key => object[key] !== undefined).map(key => [key, object[key]]));
+}
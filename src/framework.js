@@ -1,13 +1,45 @@
 import fs from 'fs/promises';
 import path from 'path';
-import {evaluate} from './evaluator.js';
-import {CONFIGURATION} from './config.js';
+import {aggregateMetrics, AGGREGATES, evaluate, getEvaluatorPipeline} from './evaluator.js';
+import {CONFIGURATION, DEFAULT_ENDPOINT, getEndpoints, getModelSettings, parseModelIdentifier} from './config.js';
+import {applyExperiment, loadExperiment, validatePromptSettings, validateSweep} from './experiment.js';
+import {createCorrelationId, findCorrelations, flushCorrelations, recordCorrelation, writeCorrelationIndex} from './correlator.js';
 import fetch from 'node-fetch';
-import OpenAIAdapter from './adapters/openai.js';
+import BaseAdapter from './adapters/base.js';
+import {createAdapter} from './adapters/index.js';
+import {clampMaxTokens, getTokenizer} from './tokenizer.js';
+import {isReferenceFile, loadReferences} from './reference.js';
+import {isMetadataFile, loadMetadata} from './metadata.js';
+import {getLoader} from './loaders/index.js';
+import {compareResponses, JUDGE_MODES} from './judge.js';
+import {getSchemaName, loadResponseSchema} from './schema.js';
+import {parseFrontMatter} from './front-matter.js';
+import {expandPartials, loadPartials, parseTemplate, renderTemplate, usesVariable} from './template.js';
+import {CONVERSATION_EXTENSION, isModelTurn, parseConversation, renderConversation} from './conversation.js';
+import {CHUNK_STRATEGIES, formatPartialOutputs, getMergeFunction, getReducePrompt, splitDocument} from './chunking.js';
+import {CONFIDENCE_LEVEL, describeSamples} from './statistics.js';
+import {compareAll, diffScores, formatPValue, getQualifiedModel, SIGNIFICANCE_LEVEL} from './comparison.js';
+import {expandSweep, getParameterLabel} from './sweep.js';
+import {applyRunManifest, compareManifests, createRunManifest, loadRunManifest, MANIFEST_FILE, writeRunManifest} from './manifest.js';
 import {ensureDir} from '../utils/file-utils.js';
-import {CSV_FORMAT, escapeCSV, getCSVColumns, getCSVColumnsJoined, getCSVDataMap} from '../utils/csv-utils.js';
+import {
+  CSV_FORMAT,
+  escapeCSV,
+  formatMetric,
+  getCSVColumns,
+  getCSVColumnsJoined,
+  getCSVDataMap,
+  getMetricLabel,
+  getMetricNames
+} from '../utils/csv-utils.js';
 import {generateCacheKey, getFromCache, saveToCache} from '../utils/cache-utils.js';
 import { sendTestResultsToSlack, sendErrorToSlack } from '../utils/slack.js';
+import {matchesAny} from '../utils/filter-utils.js';
+
+// Result fields recorded for every sample of a repeated test case
+const SAMPLE_FIELDS = [
+  'timestamp', 'attempts', 'performance', 'tokens', 'quantitative', 'qualitative', 'reference', 'schema_validation', 'response', 'turns', 'chunking'
+];
 
 
 /**
@@ -21,21 +53,58 @@ import { sendTestResultsToSlack, sendErrorToSlack } from '../utils/slack.js';
  *   - user_*: For user role in chat completions
  *   - assistant_*: For assistant role in chat completions
  *   - others: For legacy completions endpoint
+ * - Also loads conversations: `.jsonl` files of turns played against the model (see parseConversation)
+ * - Reads the prompt's settings from its YAML front-matter (schema, expected fields, relevant terms, sampling),
+ *   which is removed from the prompt text; prompts with invalid front-matter are reported and skipped
+ * - Prompts are templates (see renderTemplate): partials from the `partials/` subdirectory are included at load time,
+ *   prompts with invalid templates are reported and skipped
  */
 async function loadPrompts() {
   try {
     const promptFiles = await fs.readdir(CONFIGURATION.directories.prompts);
+    const partials = await loadPartials(path.join(CONFIGURATION.directories.prompts, 'partials'));
     const prompts = Object.create(null);
     const extension = '.txt'
 
     for (const file of promptFiles) {
-      if (path.extname(file) === extension) {
-        const input_user_prompt = path.basename(file, extension);
+      const fileExtension = path.extname(file);
+      if (fileExtension === extension || fileExtension === CONVERSATION_EXTENSION) {
+        const conversation = fileExtension === CONVERSATION_EXTENSION;
+        const input_user_prompt = path.basename(file, fileExtension);
         const promptPath = path.join(CONFIGURATION.directories.prompts, file);
-        const promptContent = await fs.readFile(promptPath, 'utf8');
+
+        let promptFile;
+        try {
+          promptFile = parseFrontMatter(await fs.readFile(promptPath, 'utf8'));
+        } catch (error) {
+          console.warn(`Skipping prompt file ${file}: invalid front-matter (${error.message})`);
+          continue;
+        }
+
+        const settingsErrors = validatePromptSettings(promptFile.attributes, { conversation });
+        if (settingsErrors.length > 0) {
+          console.warn(`Skipping prompt file ${file}: invalid front-matter\n${settingsErrors.map(error => `  - ${error}`).join('\n')}`);
+          continue;
+        }
+
+        let template = promptFile.body;
+        let turns = null;
+        try {
+          if (conversation) {
+            turns = parseConversation(promptFile.body, partials);
+          } else {
+            template = expandPartials(promptFile.body, partials);
+            parseTemplate(template);
+          }
+        } catch (error) {
+          console.warn(`Skipping prompt file ${file}: invalid ${conversation ? 'conversation' : 'template'} (${error.message})`);
+          continue;
+        }
 
         let promptType = 'legacy';
-        if (input_user_prompt.startsWith('system_')) {
+        if (conversation) {
+          promptType = 'conversation';
+        } else if (input_user_prompt.startsWith('system_')) {
           promptType = 'system';
         } else if (input_user_prompt.startsWith('user_')) {
           promptType = 'user';
@@ -47,8 +116,10 @@ async function loadPrompts() {
 
         prompts[input_user_prompt] = {
           type: promptType,
-          content: promptContent,
-          name: promptType !== 'legacy' ? input_user_prompt.substring(input_user_prompt.indexOf('_') + 1) : input_user_prompt
+          content: template,
+          name: promptType !== 'legacy' && !conversation ? input_user_prompt.substring(input_user_prompt.indexOf('_') + 1) : input_user_prompt,
+          settings: promptFile.attributes,
+          ...(conversation && { turns })
         };
       }
     }
@@ -64,50 +135,620 @@ async function loadPrompts() {
  * Load all available data from the data directory
  * 
  * Key implementation details:
- * - Only loads files with exact .txt extension
- * - Skips backup files and other non-txt files
- * - Creates a map of data files keyed by filename without extension
+ * - Loads every file a data loader handles (see src/loaders): text and Markdown files are single documents,
+ *   JSONL, JSON and CSV datasets hold one record per test case, named `<file>#<id>`
+ * - Skips backup files and other files no loader handles
+ * - Skips files excluded by the configured data filters; dataset records are kept when the filters match the file or the record
+ * - Expected outputs and metadata come from the records, or from the files next to a document (see loadReferences and loadMetadata)
+ *
+ * @returns {Promise<{data: Object, references: Object, metadata: Object}>} - Documents (`{ content, file }`),
+ *   expected outputs and metadata, each keyed by data name
  */
 async function loadData() {
+  const data = Object.create(null);
+  const references = Object.create(null);
+  const metadata = Object.create(null);
+
   try {
     const dataFiles = await fs.readdir(CONFIGURATION.directories.data);
-    const data = Object.create(null);
-    const extension = '.txt';
 
     for (const file of dataFiles) {
-      if (path.extname(file) === extension) {
-        const inputDataFileBaseName = path.basename(file, extension);
-        const inputDataFilePath = path.join(CONFIGURATION.directories.data, file);
+      // Expected outputs and metadata are loaded with the data files they belong to (see loadReferences and loadMetadata)
+      if (isReferenceFile(file) || isMetadataFile(file)) {
+        continue;
+      }
 
-        data[inputDataFileBaseName] = await fs.readFile(inputDataFilePath, 'utf8');
-        console.log(`Loaded data file: ${file}`);
-      } else {
-        console.log(`Skipping non-txt file: ${file}`);
+      const loader = getLoader(file);
+      if (!loader) {
+        console.log(`Skipping unsupported data file: ${file}`);
+        continue;
+      }
+
+      const inputDataFileBaseName = path.basename(file, path.extname(file));
+      const fileMatches = matchesAny(inputDataFileBaseName, CONFIGURATION.filters.data);
+
+      let records;
+      try {
+        records = await loader(path.join(CONFIGURATION.directories.data, file));
+      } catch (error) {
+        console.warn(`Skipping invalid data file ${file}: ${error.message}`);
+        continue;
+      }
+
+      const isDataset = records.some(record => record.id !== null);
+      if (!fileMatches && !isDataset) {
+        console.log(`Skipping filtered data file: ${file}`);
+        continue;
       }
+
+      let loaded = 0;
+      for (const record of records) {
+        const name = record.id !== null ? `${inputDataFileBaseName}#${record.id}` : inputDataFileBaseName;
+        if (!fileMatches && !matchesAny(name, CONFIGURATION.filters.data)) {
+          continue;
+        }
+        if (name in data) {
+          console.warn(`Skipping ${file}: ${name} is already loaded from ${data[name].file}`);
+          continue;
+        }
+
+        data[name] = { content: record.input, file };
+        if (record.expected !== undefined) references[name] = record.expected;
+        if (record.metadata) metadata[name] = record.metadata;
+        loaded++;
+      }
+
+      console.log(isDataset ? `Loaded data file: ${file} (${loaded} of ${records.length} records)` : `Loaded data file: ${file}`);
     }
 
-    return data;
+    // Expected outputs and metadata of the records take precedence over files next to the data file
+    const names = Object.keys(data);
+    const referenceFiles = await loadReferences(CONFIGURATION.directories.data, names);
+    const metadataFiles = await loadMetadata(CONFIGURATION.directories.data, names);
+    for (const name of names) {
+      if (!(name in references) && name in referenceFiles) references[name] = referenceFiles[name];
+      if (name in metadataFiles) metadata[name] = { ...metadataFiles[name], ...metadata[name] };
+    }
   } catch (error) {
     console.error('Error loading data:', error);
-    return Object.create(null);
   }
+
+  return { data, references, metadata };
+}
+
+/**
+ * Get available models from every endpoint
+ *
+ * Key implementation details:
+ * - Endpoints are queried in parallel; an unreachable endpoint reports no models
+ * - Each endpoint is queried through its own adapter and the per-model adapter overrides,
+ *   since native APIs list models differently
+ *
+ * @returns {Promise<Object>} - Model IDs keyed by endpoint name
+ */
+export async function getAvailableModels() {
+  const modelAdapters = Object.values(CONFIGURATION.models.overrides).map(overrides => overrides.adapter).filter(Boolean);
+
+  const endpointModels = await Promise.all(getEndpoints().map(async endpoint => {
+    const availableModels = new Set();
+
+    for (const adapterName of new Set([endpoint.adapter, ...modelAdapters])) {
+      try {
+        const adapter = createEndpointAdapter(endpoint, adapterName);
+        const data = await adapter.listModels();
+        data.data?.forEach(model => availableModels.add(model.id));
+      } catch (error) {
+        console.error(`Error getting available models from endpoint ${endpoint.name} (${endpoint.url}) with the ${adapterName} adapter:`, error.message);
+      }
+    }
+
+    return [endpoint.name, [...availableModels]];
+  }));
+
+  return Object.fromEntries(endpointModels);
 }
 
 /**
- * Get available models from the server
+ * Create an adapter for an endpoint
+ *
+ * @param {Object} endpoint - The endpoint (see getEndpoints in config.js)
+ * @param {string} adapterName - The adapter to create
+ * @param {Object} config - Additional adapter configuration
+ * @returns {Object} - The adapter
  */
-async function getAvailableModels() {
-  try {
-    const adapter = new OpenAIAdapter({
-      baseUrl: CONFIGURATION.modelServer.url
+function createEndpointAdapter(endpoint, adapterName, config = {}) {
+  return createAdapter(adapterName, {
+    baseUrl: endpoint.url,
+    timeout: endpoint.timeout,
+    auth: endpoint.auth,
+    retry: CONFIGURATION.modelServer.retry,
+    circuitBreaker: CONFIGURATION.modelServer.circuitBreaker,
+    stream: CONFIGURATION.modelServer.stream,
+    ...config
+  });
+}
+
+/**
+ * Get the endpoints a model is pinned to in the experiment file
+ *
+ * @param {string} model - The model ID
+ * @returns {string[]|null} - Endpoint names, or null if the model may run on any endpoint
+ */
+function getPinnedEndpoints(model) {
+  const endpoint = CONFIGURATION.models.overrides[model]?.endpoint;
+  if (!endpoint) return null;
+  return Array.isArray(endpoint) ? endpoint : [endpoint];
+}
+
+/**
+ * Route the selected models to endpoints
+ *
+ * Key implementation details:
+ * - A model pinned to endpoints runs on each of them that serves it, so one run can compare machines
+ * - Other models run on the first endpoint that serves them
+ * - Without discovery results (planning), pinned models are routed as declared and other models
+ *   are only routed when there is a single endpoint
+ *
+ * @param {string[]} models - Model IDs selected for testing
+ * @param {Object|null} availableModels - Model IDs keyed by endpoint name, or null to skip availability checks
+ * @returns {Array<{endpoint: string|null, model: string}>} - Test targets
+ */
+function routeModels(models, availableModels = null) {
+  const endpoints = getEndpoints();
+  const targets = [];
+
+  for (const model of models) {
+    const pinned = getPinnedEndpoints(model);
+    const candidates = pinned ? endpoints.filter(endpoint => pinned.includes(endpoint.name)) : endpoints;
+
+    if (!availableModels) {
+      if (pinned || candidates.length === 1) {
+        candidates.forEach(endpoint => targets.push({ endpoint: endpoint.name, model }));
+      } else {
+        targets.push({ endpoint: null, model });
+      }
+      continue;
+    }
+
+    const serving = candidates.filter(endpoint => availableModels[endpoint.name]?.includes(model));
+    if (serving.length === 0) {
+      console.warn(`Model ${model} is not available on ${candidates.map(endpoint => endpoint.name).join(', ')}, skipping`);
+      continue;
+    }
+
+    for (const endpoint of pinned ? serving : serving.slice(0, 1)) {
+      targets.push({ endpoint: endpoint.name, model });
+    }
+  }
+
+  return targets;
+}
+
+/**
+ * Get the models selected for testing from the configuration
+ *
+ * Key implementation details:
+ * - Starts from the configured default models
+ * - Model filters without wildcards name models explicitly, so they are tested even if not configured
+ * - Applies the model filter patterns to the resulting list
+ *
+ * @returns {string[]} - Model IDs selected for testing
+ */
+function getConfiguredModels() {
+  const candidates = [...CONFIGURATION.models.default];
+  for (const pattern of CONFIGURATION.filters.models) {
+    if (!/[*?]/.test(pattern) && !candidates.includes(pattern)) {
+      candidates.push(pattern);
+    }
+  }
+
+  return candidates.filter(model => matchesAny(model, CONFIGURATION.filters.models));
+}
+
+/**
+ * Apply run options on top of the configuration
+ *
+ * @param {Object} options - Run options
+ * @param {string} [options.experimentFile] - Path to an experiment file declaring the test suite
+ * @param {string[]} [options.models] - Model ID patterns to test
+ * @param {string[]} [options.prompts] - Prompt name patterns to test
+ * @param {string[]} [options.data] - Data file name patterns to test
+ * @param {number} [options.concurrency] - Concurrent test cases per endpoint
+ * @param {number} [options.repeats] - Samples of every test case
+ * @param {string} [options.resume] - Run ID of an interrupted run to resume
+ * @param {Object} [options.manifest] - Manifest of a run to reproduce (see reproduceRun), applied on top of the experiment
+ */
+export async function configureRun(options = {}) {
+  if (options.experimentFile) {
+    const experiment = await loadExperiment(options.experimentFile);
+    applyExperiment(experiment);
+    console.log(`Using experiment "${CONFIGURATION.experiment.name}" from ${CONFIGURATION.experiment.path}`);
+  }
+  if (options.manifest) {
+    // A reproduction asks the servers again instead of replaying cached responses
+    applyRunManifest(options.manifest);
+    CONFIGURATION.performance.caching.enabled = false;
+  }
+
+  if (options.models?.length) CONFIGURATION.filters.models = options.models;
+  if (options.prompts?.length) CONFIGURATION.filters.prompts = options.prompts;
+  if (options.data?.length) CONFIGURATION.filters.data = options.data;
+  if (options.concurrency) {
+    // The command line overrides the concurrency of every endpoint
+    CONFIGURATION.performance.concurrencyLimit = options.concurrency;
+    CONFIGURATION.endpoints.forEach(endpoint => {
+      endpoint.concurrency = options.concurrency;
     });
-    
-    const data = await adapter.listModels();
-    return data.data?.map(model => model.id) || [];
-  } catch (error) {
-    console.error('Error getting available models:', error);
-    return [];
   }
+  if (options.repeats) CONFIGURATION.repeats.count = options.repeats;
+
+  for (const [metric, weight] of Object.entries(CONFIGURATION.evaluation.weights)) {
+    if (!metric || metric === 'overall' || typeof weight !== 'number' || weight < 0) {
+      throw new Error(`Invalid metric weight ${metric || '(no metric)'}=${weight ?? ''} ` +
+        '(metrics other than overall, weighted by non-negative numbers: METRIC_WEIGHTS=accuracy=0.4,completeness=0.6)');
+    }
+  }
+
+  if (!AGGREGATES.includes(CONFIGURATION.evaluation.aggregate)) {
+    throw new Error(`Unknown metric aggregate "${CONFIGURATION.evaluation.aggregate}" (available: ${AGGREGATES.join(', ')})`);
+  }
+
+  // Fails on evaluators the pipeline names but no built-in or custom evaluator provides
+  await getEvaluatorPipeline();
+
+  if (CONFIGURATION.embeddings.enabled && !CONFIGURATION.embeddings.model) {
+    throw new Error('Embeddings are enabled but no embedding model is configured (EMBEDDING_MODEL or embeddings.model in the experiment file)');
+  }
+
+  if (CONFIGURATION.chunking.enabled) {
+    const { chunking } = CONFIGURATION;
+    if (!CHUNK_STRATEGIES.includes(chunking.strategy)) {
+      throw new Error(`Unknown chunking strategy "${chunking.strategy}" (available: ${CHUNK_STRATEGIES.join(', ')})`);
+    }
+    if (!(chunking.size > 0) || !(chunking.overlap >= 0) || chunking.overlap >= chunking.size) {
+      throw new Error(`Invalid chunk size ${chunking.size} and overlap ${chunking.overlap} (the overlap must be smaller than the size)`);
+    }
+
+    const reducePrompt = await getReducePrompt(chunking);
+    if (reducePrompt) {
+      try {
+        parseTemplate(reducePrompt);
+      } catch (error) {
+        throw new Error(`Invalid reduce prompt: ${error.message}`);
+      }
+    } else {
+      // Fails on merge functions nobody registered
+      getMergeFunction(chunking.merge);
+    }
+  }
+
+  const { repeats } = CONFIGURATION;
+  if (!Number.isInteger(repeats.count) || repeats.count < 1) {
+    throw new Error(`Invalid repeat count ${repeats.count} (a positive integer)`);
+  }
+  if (repeats.seeds) {
+    if (repeats.seeds.some(seed => !Number.isInteger(seed))) {
+      throw new Error(`Invalid seeds ${repeats.seeds.join(', ')} (integers)`);
+    }
+    if (repeats.seeds.length !== repeats.count) {
+      throw new Error(`${repeats.seeds.length} seeds for ${repeats.count} repeats (one seed per repeat)`);
+    }
+  }
+
+  // Sweeps from the environment (experiment files are validated when loaded)
+  const sweepErrors = validateSweep(Object.fromEntries(Object.entries(CONFIGURATION.sweep).filter(([, values]) => values !== null)));
+  if (sweepErrors.length > 0) {
+    throw new Error(`Invalid parameter sweep: ${sweepErrors.join('; ')}`);
+  }
+
+  if (CONFIGURATION.judge.enabled) {
+    if (!CONFIGURATION.judge.model) {
+      throw new Error('The judge is enabled but no judge model is configured (JUDGE_MODEL or judge.model in the experiment file)');
+    }
+    if (!JUDGE_MODES.includes(CONFIGURATION.judge.mode)) {
+      throw new Error(`Unknown judge mode "${CONFIGURATION.judge.mode}" (available: ${JUDGE_MODES.join(', ')})`);
+    }
+  }
+}
+
+/**
+ * Build the test matrix for every model, prompt and data file combination
+ * System and assistant prompts are not tested on their own, they are correlated with user prompts
+ * With a parameter sweep, every combination is tested with each of the model's parameter sets (see expandSweep)
+ *
+ * @param {Array<{endpoint: string|null, model: string}>} targets - Models to test and their endpoints
+ * @param {Object} prompts - Prompts keyed by file name
+ * @param {Object} data - Documents keyed by data name (see loadData)
+ * @param {Object} metadata - Metadata keyed by data name (see loadData)
+ * @returns {Array} - Test cases
+ */
+function buildTestCases(targets, prompts, data, metadata = {}) {
+  return targets.reduce((acc, { endpoint, model }) => {
+    const parameterSets = expandSweep(CONFIGURATION.sweep, getModelSettings(model).sweep);
+    const modelCases = Object.entries(prompts).reduce((promptAcc, [input_user_prompt, promptContent]) => {
+      if (promptContent.type === 'system' || promptContent.type === 'assistant') {
+        return promptAcc;
+      }
+
+      if (!matchesAny(input_user_prompt, CONFIGURATION.filters.prompts)) {
+        return promptAcc;
+      }
+
+      const promptCases = Object.entries(data).flatMap(([input_data_file, { content, file }]) => parameterSets.map(parameters => ({
+        endpoint,
+        model,
+        input_user_prompt,
+        promptContent,
+        input_data_file,
+        documentContent: content,
+        variables: getTemplateVariables(input_data_file, content, file, metadata[input_data_file]),
+        parameters
+      })));
+
+      return promptAcc.concat(promptCases);
+    }, []);
+
+    return acc.concat(modelCases);
+  }, []);
+}
+
+/**
+ * Get the template variables of a data file
+ *
+ * Key implementation details:
+ * - `document` is the document text and `filename` the data file name
+ * - `language` comes from the metadata, or from a language code prefixing the data name (`fr_contract` is `fr`)
+ * - Every metadata value is a variable; the metadata can't replace `document` and `filename`
+ *
+ * @param {string} input_data_file - Data name
+ * @param {string} documentContent - The document text
+ * @param {string} file - The data file holding the document
+ * @param {Object} [metadata] - The document's metadata
+ * @returns {Object} - The template variables
+ */
+function getTemplateVariables(input_data_file, documentContent, file, metadata = {}) {
+  return {
+    language: input_data_file.match(/^([a-z]{2})(?:[_-]|$)/)?.[1],
+    ...metadata,
+    document: documentContent,
+    filename: file
+  };
+}
+
+/**
+ * Plan a test run without calling the model server
+ *
+ * Key implementation details:
+ * - Uses the configured models as-is, since availability is only known by asking the servers;
+ *   models not pinned to an endpoint have no endpoint when several endpoints are declared
+ * - Builds the exact messages each test case would send and counts their tokens with the model's tokenizer
+ * - Reports max_tokens per case (the prompt's own, or the model's), clamped to the model's context window, as the upper bound of output tokens;
+ *   cases whose prompt doesn't fit the context window report 0 and are flagged with `exceeds_context_window`
+ * - Conversations count every request they send; the model's replies are unknown before the run,
+ *   so the input tokens of later turns leave them out (see getConversationRequests)
+ * - Chunked documents count the request of every chunk and the reduce request (see getChunkedRequests)
+ * - Repeated cases count the requests of every sample
+ * - Swept cases are planned once per parameter set, with the swept max_tokens as their output bound
+ * - Cases whose prompt can't be rendered for their data file count no tokens and report the error in `render_error`
+ *
+ * @param {Object} options - Run options (see configureRun)
+ * @returns {Promise<Object>} - The test matrix with token estimates and totals
+ */
+export async function planTests(options = {}) {
+  await configureRun(options);
+
+  const models = getConfiguredModels();
+  const prompts = await loadPrompts();
+  const { data, metadata } = await loadData();
+
+  const testCases = await Promise.all(buildTestCases(routeModels(models), prompts, data, metadata).map(async testCase => {
+    const modelSettings = getModelSettings(testCase.model);
+    const promptSettings = getPromptSettings(testCase.promptContent, prompts);
+    const tokenizer = await getTokenizer(modelSettings.tokenizer);
+    // A prompt that can't be rendered for a data file (e.g. a missing template variable) fails that test case only
+    let requests = [];
+    let renderError = null;
+    try {
+      if (testCase.promptContent.type === 'conversation') {
+        requests = getConversationRequests(renderConversation(testCase.promptContent.turns, testCase.variables));
+      } else if (CONFIGURATION.chunking.enabled) {
+        requests = await getChunkedRequests(testCase.promptContent, testCase.variables, testCase.input_user_prompt, prompts, tokenizer);
+      } else {
+        requests = [buildPromptMessages(testCase.promptContent, testCase.variables, testCase.input_user_prompt, prompts, { verbose: false })];
+      }
+    } catch (error) {
+      renderError = error.message;
+    }
+
+    let inputTokens = 0;
+    let maxOutputTokens = 0;
+    let exceedsContextWindow = false;
+    for (const messages of requests) {
+      const requestTokens = tokenizer.countMessageTokens(messages);
+      const requestMaxTokens = clampMaxTokens(
+        testCase.parameters?.max_tokens || promptSettings.max_tokens || modelSettings.max_tokens, requestTokens, modelSettings.contextWindow
+      );
+      inputTokens += requestTokens;
+      maxOutputTokens += requestMaxTokens || 0;
+      exceedsContextWindow ||= Boolean(modelSettings.contextWindow) && requestMaxTokens === 0;
+    }
+    const samples = CONFIGURATION.repeats.count;
+
+    return {
+      endpoint: testCase.endpoint,
+      model: testCase.model,
+      input_user_prompt: testCase.input_user_prompt,
+      input_data_file: testCase.input_data_file,
+      parameters: testCase.parameters,
+      samples,
+      estimated_input_tokens: inputTokens * samples,
+      max_output_tokens: maxOutputTokens * samples,
+      exceeds_context_window: exceedsContextWindow,
+      render_error: renderError
+    };
+  }));
+
+  return {
+    models,
+    testCases,
+    totals: {
+      testCases: testCases.length,
+      exceedingContextWindow: testCases.filter(testCase => testCase.exceeds_context_window).length,
+      notRenderable: testCases.filter(testCase => testCase.render_error).length,
+      estimated_input_tokens: testCases.reduce((sum, testCase) => sum + testCase.estimated_input_tokens, 0),
+      max_output_tokens: testCases.reduce((sum, testCase) => sum + testCase.max_output_tokens, 0)
+    }
+  };
+}
+
+/**
+ * Get the messages a conversation sends at each of the model's turns, without the model's replies
+ *
+ * @param {Array} turns - The rendered conversation turns (see renderConversation)
+ * @returns {Array<Array>} - The messages of each request
+ */
+function getConversationRequests(turns) {
+  const messages = turns.map(turn => ({ role: turn.role, content: turn.content }));
+  return turns
+    .map((turn, index) => isModelTurn(turns, index) ? messages.slice(0, index + 1) : null)
+    .filter(Boolean);
+}
+
+/**
+ * Build the messages sent to the model for a prompt and data file
+ *
+ * Key implementation details:
+ * - Legacy prompts become a single user message
+ * - Chat prompts are combined with prompts sharing the same base name but different roles (system/user/assistant)
+ * - Sets default content for required roles if not found
+ * - Prompts are rendered with the data file's template variables (see getTemplateVariables); the document goes
+ *   wherever a prompt places `{{document}}`, or is appended once to the user message when no prompt places it
+ *
+ * @param {Object} prompt - The prompt object with type, content, and name
+ * @param {Object} variables - The data file's template variables
+ * @param {string} input_user_prompt - The original prompt file name (for reference)
+ * @param {Object} allPrompts - All available prompts for finding matching pairs
+ * @param {Object} options - Build options
+ * @param {boolean} [options.verbose=true] - Log how the messages were assembled
+ * @returns {Array} - Array of message objects with role and content
+ * @throws {Error} - If a prompt uses a template variable the data file doesn't have
+ */
+function buildPromptMessages(prompt, variables, input_user_prompt, allPrompts, { verbose = true } = {}) {
+  const log = verbose ? console.log : () => {};
+  const render = (promptFile, template) => {
+    try {
+      return renderTemplate(template, variables);
+    } catch (error) {
+      throw new Error(`Could not render prompt ${promptFile}: ${error.message}`);
+    }
+  };
+
+  if (prompt.type !== 'system' && prompt.type !== 'user') {
+    const content = render(input_user_prompt, prompt.content);
+    return [{ role: 'user', content: usesVariable(prompt.content, 'document') ? content : `${content}${variables.document}` }];
+  }
+
+  // Initialize messages array
+  const messages = [];
+  const contentMap = {
+    system: null,
+    user: null,
+    assistant: null
+  };
+  const templates = [prompt.content];
+
+  // Add the current prompt to the appropriate content type
+  contentMap[prompt.type] = render(input_user_prompt, prompt.content);
+
+  // Look for matching prompts with the same base name but different roles
+  const baseName = prompt.name;
+  for (const [otherPromptFile, otherPrompt] of Object.entries(allPrompts)) {
+    // Skip if it's the same prompt we're already using
+    if (otherPromptFile === input_user_prompt) continue;
+
+    // Only process if it's a matching prompt with the same base name
+    if (otherPrompt.name === baseName && !contentMap[otherPrompt.type]) {
+      // Add content for this role
+      contentMap[otherPrompt.type] = render(otherPromptFile, otherPrompt.content);
+      templates.push(otherPrompt.content);
+      log(`Found matching ${otherPrompt.type} prompt: ${otherPromptFile}`);
+    }
+  }
+
+  // Set default content for required roles if not found
+  if (!contentMap.system) {
+    contentMap.system = 'You are an AI assistant analyzing data. Provide structured analysis based on the document text.';
+    log('Using default system content');
+  }
+
+  if (!contentMap.user) {
+    contentMap.user = 'Please analyze this document.';
+    log('Using default user content');
+  }
+
+  if (!templates.some(template => usesVariable(template, 'document'))) {
+    contentMap.user = `${contentMap.user}${variables.document}`;
+  }
+
+  // Build messages array in the correct order
+  messages.push({ role: 'system', content: contentMap.system });
+  messages.push({ role: 'user', content: contentMap.user });
+
+  // Add assistant message if available
+  if (contentMap.assistant) {
+    messages.push({ role: 'assistant', content: contentMap.assistant });
+    log(`Using messages with system (${contentMap.system.length} chars), user (${contentMap.user.length} chars), and assistant (${contentMap.assistant.length} chars) roles`);
+  } else {
+    log(`Using messages with system (${contentMap.system.length} chars) and user (${contentMap.user.length} chars) roles`);
+  }
+
+  return messages;
+}
+
+/**
+ * Get the settings a prompt declares in its front-matter
+ * Chat prompts share the settings of the prompts they are combined with (see buildPromptMessages),
+ * so a schema declared in `system_<name>.txt` also applies to `user_<name>.txt`; the prompt's own settings win
+ *
+ * @param {Object} prompt - The prompt object with type, content, name and settings
+ * @param {Object} allPrompts - All available prompts
+ * @returns {Object} - The prompt's settings
+ */
+function getPromptSettings(prompt, allPrompts) {
+  if (prompt.type !== 'system' && prompt.type !== 'user') {
+    return prompt.settings;
+  }
+
+  const combinedPrompts = Object.values(allPrompts)
+    .filter(otherPrompt => otherPrompt !== prompt && otherPrompt.type !== 'legacy' && otherPrompt.name === prompt.name);
+
+  return Object.assign({}, ...combinedPrompts.map(otherPrompt => otherPrompt.settings), prompt.settings);
+}
+
+/**
+ * Get the response schema of a prompt
+ *
+ * Key implementation details:
+ * - A `schema` setting names a file in the schemas directory and applies even when the
+ *   configured schema is disabled; `schema: false` sends no schema for that prompt
+ * - Other prompts use the configured schema when it is enabled
+ * - The schema is named after the `schemaName` setting, or after its file name (`invoice.schema.json` is `invoice`)
+ *
+ * @param {Object} settings - The prompt's settings (see getPromptSettings)
+ * @returns {Promise<{schema: Object, file: string, name: string}|null>} - The schema, or null when the prompt has none
+ */
+async function getPromptSchema(settings) {
+  if (settings.schema === false || (settings.schema === undefined && !CONFIGURATION.schema.enabled)) {
+    return null;
+  }
+
+  const file = settings.schema || CONFIGURATION.schema.file;
+  const schema = await loadResponseSchema(path.resolve(CONFIGURATION.directories.schemas, file));
+  if (!schema) {
+    return null;
+  }
+
+  return { schema, file, name: settings.schemaName || getSchemaName(file) };
 }
 
 /**
@@ -116,24 +757,60 @@ async function getAvailableModels() {
  * Key implementation details:
  * - Supports both chat (system/user/assistant roles) and legacy completion modes
  * - Automatically detects prompt type and uses appropriate API endpoint
- * - Combines prompts with the same base name but different roles (system/user/assistant)
- * - Handles JSON schema validation for structured outputs
- * - Sets default content for required roles if not found
- * - Uses OpenAIAdapter to make API requests with configurable timeout
+ * - Combines prompts with the same base name but different roles (see buildPromptMessages)
+ * - Sends the prompt's response JSON schema for structured outputs (responses are validated against it during evaluation)
+ * - Sampling settings come from the request options, then the prompt's front-matter, then the model settings
+ * - Sends the request to the test case's endpoint, through the model's adapter override or the endpoint's adapter
  * 
  * @param {string} model - The model ID to use
  * @param {Object} prompt - The prompt object with type, content, and name
- * @param {string} file - The file text to analyze
+ * @param {Object} variables - The data file's template variables (see getTemplateVariables)
  * @param {string} input_user_prompt - The original prompt file name (for reference)
  * @param {Object} allPrompts - All available prompts for finding matching pairs
  * @param {Object} options - Additional options for the request
+ * @param {string} [options.endpoint] - Name of the endpoint serving the model (defaults to the first endpoint)
+ * @param {Array} [options.messages] - Messages to send instead of the prompt's (conversation turns, see executeConversation)
+ * @param {number} [options.sample] - Number of the sample, from 1, when the test case is repeated (see CONFIGURATION.repeats)
+ * @param {number} [options.seed] - Sampling seed of the request
+ * @param {number} [options.temperature] - Swept temperature (see CONFIGURATION.sweep)
+ * @param {number} [options.top_p] - Swept top_p
+ * @param {number} [options.max_tokens] - Swept max_tokens
  * @returns {Object} - The model response
  */
-async function executePrompt(model, prompt, file, input_user_prompt, allPrompts, options = {}) {
+async function executePrompt(model, prompt, variables, input_user_prompt, allPrompts, options = {}) {
   try {
+    const messages = options.messages || buildPromptMessages(prompt, variables, input_user_prompt, allPrompts);
+    const endpoints = getEndpoints();
+    const endpoint = endpoints.find(candidate => candidate.name === options.endpoint) || endpoints[0];
+
+    const useChatMode = prompt.type === 'system' || prompt.type === 'user' || prompt.type === 'conversation';
+
+    const promptLength = messages.reduce((length, message) => length + message.content.length, 0);
+    const modelSettings = getModelSettings(model);
+    const promptSettings = getPromptSettings(prompt, allPrompts);
+    const promptSchema = await getPromptSchema(promptSettings);
+
+    // Prepare options for the adapter
+    const adapterOptions = {
+      temperature: options.temperature ?? promptSettings.temperature ?? modelSettings.temperature,
+      max_tokens: options.max_tokens || promptSettings.max_tokens || modelSettings.max_tokens,
+      top_p: options.top_p ?? modelSettings.top_p,
+      schema: promptSchema?.schema ?? null,
+      schemaName: promptSchema?.name,
+      seed: options.seed
+    };
+
+    // Responses are cached by endpoint, rendered messages and request options, so the same model on two servers isn't served
+    // one's responses, and changing a data file's metadata, a prompt's front-matter, a schema or a swept parameter invalidates them;
+    // repeated samples are cached by seed, or by sample number without seeds, so they don't replay the first sample
+    let renderedMessages = `${JSON.stringify(messages)}\nendpoint ${endpoint.name}\noptions ${JSON.stringify(adapterOptions)}`;
+    if (options.seed === undefined && options.sample > 1) {
+      renderedMessages += `\nsample ${options.sample}`;
+    }
+
     // Check cache first if caching is enabled
     if (CONFIGURATION.performance.caching && CONFIGURATION.performance.caching.enabled) {
-      const cacheKey = generateCacheKey(model, prompt, file);
+      const cacheKey = generateCacheKey(model, prompt, renderedMessages);
       const cachedResponse = await getFromCache(CONFIGURATION.performance.caching.directory, cacheKey);
 
       if (cachedResponse) {
@@ -142,130 +819,45 @@ async function executePrompt(model, prompt, file, input_user_prompt, allPrompts,
       }
     }
 
-    const useChatMode = prompt.type === 'system' || prompt.type === 'user';
-
-    const fullPrompt = `${prompt.content}${file}`;
-    const enhancedPrompt = fullPrompt;
-    const useSchema = process.env.USE_STRUCTURED_OUTPUT_SCHEMA === 'true';
-    let schema = null;
-
     console.log(`Using ${useChatMode ? 'chat' : 'legacy'} mode for prompt: ${prompt.name}`);
 
-    if (useSchema) {
-      try {
-        const schemaPath = path.join(CONFIGURATION.directories.schemas, 'response_format.schema.json');
-        const schemaContent = await fs.readFile(schemaPath, 'utf8');
-        schema = JSON.parse(schemaContent);
-        console.log('JSON schema loaded successfully');
-      } catch (schemaError) {
-        console.warn('Could not load JSON schema:', schemaError.message);
-        console.log('Proceeding without schema validation');
-      }
+    if (promptSchema) {
+      console.log(`Using JSON schema ${promptSchema.file} (${promptSchema.name})`);
     } else {
-      console.log('JSON schema validation disabled (temporarily)');
+      console.log('Proceeding without JSON schema');
     }
 
-    const modelAdapter = new OpenAIAdapter({
-      model: model,
-      baseUrl: CONFIGURATION.modelServer.url,
-      temperature: CONFIGURATION.models.temperature,
-      max_tokens: CONFIGURATION.models.max_tokens
-    });
+    const adapterName = CONFIGURATION.models.overrides[model]?.adapter || endpoint.adapter;
 
-    console.log(`Request details: ${JSON.stringify({
+    const modelAdapter = createEndpointAdapter(endpoint, adapterName, {
       model: model,
-      prompt_length: enhancedPrompt.length,
-      max_tokens: CONFIGURATION.models.max_tokens,
-      temperature: CONFIGURATION.models.temperature,
-      top_p: CONFIGURATION.models.top_p
-    })}`);
+      temperature: modelSettings.temperature,
+      max_tokens: modelSettings.max_tokens,
+      contextWindow: modelSettings.contextWindow,
+      tokenizer: modelSettings.tokenizer
+    });
 
-    console.log(`Using OpenAIAdapter to connect to ${CONFIGURATION.modelServer.url}`);
-
-    // Prepare options for the adapter
-    const adapterOptions = {
-      temperature: options.temperature || CONFIGURATION.models.temperature,
-      max_tokens: options.max_tokens || CONFIGURATION.models.max_tokens,
-      top_p: options.top_p || CONFIGURATION.models.top_p,
-      schema: useSchema ? schema : null
-    };
+    console.log(`Using ${adapterName} adapter to connect to endpoint ${endpoint.name} (${endpoint.url})`);
 
     // Debug the request
     console.log('Request details:', JSON.stringify({
       model: model,
-      prompt_length: enhancedPrompt.length,
+      prompt_length: promptLength,
       max_tokens: adapterOptions.max_tokens,
       temperature: adapterOptions.temperature,
-      top_p: adapterOptions.top_p
+      top_p: adapterOptions.top_p,
+      seed: adapterOptions.seed
     }));
 
     // Handle different prompt types
     if (useChatMode) {
-      // Initialize messages array
-      const messages = [];
-      const contentMap = {
-        system: null,
-        user: null,
-        assistant: null
-      };
-
-      // Add the current prompt to the appropriate content type
-      switch (prompt.type) {
-        case 'system':
-          contentMap.system = enhancedPrompt;
-          break;
-        case 'user':
-          contentMap.user = enhancedPrompt;
-          break;
-        case 'assistant':
-          contentMap.assistant = enhancedPrompt;
-          break;
-      }
-
-      // Look for matching prompts with the same base name but different roles
-      const baseName = prompt.name;
-      for (const [otherPromptFile, otherPrompt] of Object.entries(allPrompts)) {
-        // Skip if it's the same prompt we're already using
-        if (otherPromptFile === input_user_prompt) continue;
-
-        // Only process if it's a matching prompt with the same base name
-        if (otherPrompt.name === baseName && !contentMap[otherPrompt.type]) {
-          // Add content for this role
-          contentMap[otherPrompt.type] = `${otherPrompt.content}${file}`;
-          console.log(`Found matching ${otherPrompt.type} prompt: ${otherPromptFile}`);
-        }
-      }
-
-      // Set default content for required roles if not found
-      if (!contentMap.system) {
-        contentMap.system = 'You are an AI assistant analyzing data. Provide structured analysis based on the document text.';
-        console.log('Using default system content');
-      }
-
-      if (!contentMap.user) {
-        contentMap.user = 'Please analyze this document.';
-        console.log('Using default user content');
-      }
-
-      // Build messages array in the correct order
-      messages.push({ role: 'system', content: contentMap.system });
-      messages.push({ role: 'user', content: contentMap.user });
-
-      // Add assistant message if available
-      if (contentMap.assistant) {
-        messages.push({ role: 'assistant', content: contentMap.assistant });
-        console.log(`Using messages with system (${contentMap.system.length} chars), user (${contentMap.user.length} chars), and assistant (${contentMap.assistant.length} chars) roles`);
-      } else {
-        console.log(`Using messages with system (${contentMap.system.length} chars) and user (${contentMap.user.length} chars) roles`);
-      }
-
       // Use the adapter's chat method
       console.log('Using chat completion endpoint with messages format');
       const data = await modelAdapter.chat(messages, adapterOptions);
 
       // Cache the response if caching is enabled
       if (CONFIGURATION.performance.caching && CONFIGURATION.performance.caching.enabled) {
-        const cacheKey = generateCacheKey(model, prompt, file);
+        const cacheKey = generateCacheKey(model, prompt, renderedMessages);
         await saveToCache(CONFIGURATION.performance.caching.directory, cacheKey, data);
       }
 
@@ -273,11 +865,11 @@ async function executePrompt(model, prompt, file, input_user_prompt, allPrompts,
     } else {
       // For legacy prompts, use the execute method which will internally convert to chat format
       console.log('Using legacy completion endpoint (will be converted to chat format)');
-      const data = await modelAdapter.execute(enhancedPrompt, adapterOptions);
+      const data = await modelAdapter.execute(messages[0].content, adapterOptions);
 
       // Cache the response if caching is enabled
       if (CONFIGURATION.performance.caching && CONFIGURATION.performance.caching.enabled) {
-        const cacheKey = generateCacheKey(model, prompt, file);
+        const cacheKey = generateCacheKey(model, prompt, renderedMessages);
         await saveToCache(CONFIGURATION.performance.caching.directory, cacheKey, data);
       }
 
@@ -291,6 +883,169 @@ async function executePrompt(model, prompt, file, input_user_prompt, allPrompts,
   }
 }
 
+/**
+ * Play a conversation against a model
+ *
+ * Key implementation details:
+ * - Sends the turns in order; at every user turn the model replies to, the conversation so far is sent
+ *   and the model's actual reply is fed back in as the next assistant turn
+ * - Scripted assistant turns are sent as-is without calling the model
+ * - Each model reply is a separate request, cached by the conversation so far (see executePrompt)
+ *
+ * @param {string} model - The model ID to use
+ * @param {Object} prompt - The conversation prompt object (see loadPrompts)
+ * @param {Object} variables - The data file's template variables (see getTemplateVariables)
+ * @param {string} input_user_prompt - The conversation file name (for reference)
+ * @param {Object} allPrompts - All available prompts
+ * @param {Object} options - Additional options for the requests (see executePrompt)
+ * @returns {Promise<Array<{turn: number, prompt: string, expected: *, response: Object}>>} - The model replies with
+ *   the (1-based) turn they answer, in conversation order
+ */
+async function executeConversation(model, prompt, variables, input_user_prompt, allPrompts, options = {}) {
+  const turns = renderConversation(prompt.turns, variables);
+  const messages = [];
+  const replies = [];
+
+  for (const [index, turn] of turns.entries()) {
+    messages.push({ role: turn.role, content: turn.content });
+    if (!isModelTurn(turns, index)) continue;
+
+    console.log(`💬 Turn ${index + 1}/${turns.length}: waiting for the model's reply`);
+    const response = await executePrompt(model, prompt, variables, input_user_prompt, allPrompts, { ...options, messages: [...messages] });
+    const reply = response.choices?.[0]?.message?.content || response.choices?.[0]?.text || '';
+
+    messages.push({ role: 'assistant', content: reply });
+    replies.push({ turn: index + 1, prompt: turn.content, expected: turn.expected, response });
+  }
+
+  return replies;
+}
+
+/**
+ * Run a prompt over the chunks of a long document and combine the partial outputs (map-reduce)
+ *
+ * Key implementation details:
+ * - The document is split into chunks of the configured size (see splitDocument), counted with the model's tokenizer
+ * - Each chunk is sent through the prompt in place of the document (see getChunkVariables); requests are cached like any other
+ * - The partial outputs are combined by the model with the reduce prompt when one is configured (see buildReduceMessages),
+ *   or by the configured merge function otherwise
+ * - Documents fitting in a single chunk are sent whole, without a reduce step
+ *
+ * @param {string} model - The model ID to use
+ * @param {Object} prompt - The prompt object with type, content, and name
+ * @param {Object} variables - The data file's template variables (see getTemplateVariables)
+ * @param {string} input_user_prompt - The original prompt file name (for reference)
+ * @param {Object} allPrompts - All available prompts for finding matching pairs
+ * @param {Object} options - Additional options for the requests (see executePrompt)
+ * @returns {Promise<{response: Object, chunks: Array|null}>} - The combined response, and the chunks with their
+ *   responses (null when the document wasn't split)
+ */
+async function executeChunked(model, prompt, variables, input_user_prompt, allPrompts, options = {}) {
+  const { chunking } = CONFIGURATION;
+  const tokenizer = await getTokenizer(getModelSettings(model).tokenizer);
+  const chunks = splitDocument(variables.document, chunking, tokenizer.countTokens, variables.sections);
+
+  if (chunks.length <= 1) {
+    return { response: await executePrompt(model, prompt, variables, input_user_prompt, allPrompts, options), chunks: null };
+  }
+
+  for (const chunk of chunks) {
+    console.log(`🧩 Chunk ${chunk.index}/${chunks.length}: characters ${chunk.start}-${chunk.end}, ${chunk.tokens} tokens`);
+    chunk.response = await executePrompt(model, prompt, getChunkVariables(variables, chunk, chunks.length), input_user_prompt, allPrompts, options);
+    chunk.parsedResponse = await parseJsonFromResponse(chunk.response);
+  }
+
+  const outputs = chunks.map(chunk => chunk.parsedResponse);
+  const reducePrompt = await getReducePrompt(chunking);
+
+  if (reducePrompt) {
+    console.log(`🧩 Reducing ${chunks.length} partial outputs with the reduce prompt`);
+    const systemMessages = buildPromptMessages(prompt, getChunkVariables(variables, chunks[0], chunks.length), input_user_prompt, allPrompts, { verbose: false })
+      .filter(message => message.role === 'system');
+    const messages = buildReduceMessages(reducePrompt, systemMessages, variables, formatPartialOutputs(outputs), chunks.length);
+    return { response: await executePrompt(model, prompt, variables, input_user_prompt, allPrompts, { ...options, messages }), chunks };
+  }
+
+  console.log(`🧩 Merging ${chunks.length} partial outputs with the ${chunking.merge} merge function`);
+  const merged = await getMergeFunction(chunking.merge)(outputs, chunks);
+  const content = typeof merged === 'string' ? merged : JSON.stringify(merged);
+
+  // Merged outputs take no request
+  return { response: { choices: [{ message: { role: 'assistant', content } }], attempts: 0 }, chunks };
+}
+
+/**
+ * Get the messages a chunked test case sends: one request per chunk, then the reduce prompt's request
+ * The partial outputs are unknown before the run, so the reduce request leaves them out
+ *
+ * @param {Object} prompt - The prompt object with type, content, and name
+ * @param {Object} variables - The data file's template variables
+ * @param {string} input_user_prompt - The original prompt file name (for reference)
+ * @param {Object} allPrompts - All available prompts
+ * @param {Object} tokenizer - The model's tokenizer (see getTokenizer)
+ * @returns {Promise<Array<Array>>} - The messages of each request
+ */
+async function getChunkedRequests(prompt, variables, input_user_prompt, allPrompts, tokenizer) {
+  const chunks = splitDocument(variables.document, CONFIGURATION.chunking, tokenizer.countTokens, variables.sections);
+  if (chunks.length <= 1) {
+    return [buildPromptMessages(prompt, variables, input_user_prompt, allPrompts, { verbose: false })];
+  }
+
+  const requests = chunks.map(chunk =>
+    buildPromptMessages(prompt, getChunkVariables(variables, chunk, chunks.length), input_user_prompt, allPrompts, { verbose: false }));
+  const reducePrompt = await getReducePrompt(CONFIGURATION.chunking);
+  if (reducePrompt) {
+    const systemMessages = requests[0].filter(message => message.role === 'system');
+    requests.push(buildReduceMessages(reducePrompt, systemMessages, variables, '', chunks.length));
+  }
+
+  return requests;
+}
+
+/**
+ * Get the template variables of one chunk of a document
+ * The chunk replaces `document`, and `chunk_index` (from 1) and `chunk_count` tell the prompt which part it reads
+ *
+ * @param {Object} variables - The data file's template variables
+ * @param {Object} chunk - The chunk (see splitDocument)
+ * @param {number} chunkCount - Number of chunks of the document
+ * @returns {Object} - The chunk's template variables
+ */
+function getChunkVariables(variables, chunk, chunkCount) {
+  return { ...variables, document: chunk.text, chunk_index: chunk.index, chunk_count: chunkCount };
+}
+
+/**
+ * Build the messages asking the model to combine the partial outputs of a document's chunks
+ *
+ * Key implementation details:
+ * - The reduce prompt is a template rendered with the data file's variables, `results` (the partial outputs,
+ *   see formatPartialOutputs) and `chunk_count`; the results are appended when the reduce prompt doesn't place `{{results}}`
+ * - Chat prompts keep their system message, so the combined output follows the same instructions
+ *
+ * @param {string} reducePrompt - The reduce prompt template
+ * @param {Array} systemMessages - System messages of the prompt
+ * @param {Object} variables - The data file's template variables
+ * @param {string} results - The formatted partial outputs
+ * @param {number} chunkCount - Number of chunks of the document
+ * @returns {Array} - Array of message objects with role and content
+ * @throws {Error} - If the reduce prompt uses a template variable the data file doesn't have
+ */
+function buildReduceMessages(reducePrompt, systemMessages, variables, results, chunkCount) {
+  let content;
+  try {
+    content = renderTemplate(reducePrompt, { ...variables, results, chunk_count: chunkCount });
+  } catch (error) {
+    throw new Error(`Could not render the reduce prompt: ${error.message}`);
+  }
+
+  if (!usesVariable(reducePrompt, 'results')) {
+    content = `${content}\n\n${results}`;
+  }
+
+  return [...systemMessages, { role: 'user', content }];
+}
+
 /**
  * Parse JSON from model response
  * 
@@ -374,13 +1129,8 @@ async function evaluateResponse(parsedResponse, evaluationOptions = {}) {
     // Use the generic evaluate function to evaluate the response
     const evaluation = await evaluate(parsedResponse, evaluationOptions);
 
-    // Extract quantitative metrics from the evaluation
-    const quantitative = {
-      accuracy: evaluation.quantitative?.accuracy || 0,
-      completeness: evaluation.quantitative?.completeness || 0,
-      relevance: evaluation.quantitative?.relevance || 0,
-      overall: evaluation.quantitative?.overall || 0
-    };
+    // Metrics are whatever the evaluator pipeline reported
+    const quantitative = evaluation.quantitative || { overall: null, errors: [] };
 
     // Get qualitative assessment
     const qualitative = evaluation.qualitative || {
@@ -391,7 +1141,9 @@ async function evaluateResponse(parsedResponse, evaluationOptions = {}) {
 
     return {
       qualitative,
-      quantitative
+      quantitative,
+      reference: evaluation.reference || null,
+      schemaValidation: evaluation.schemaValidation || null
     };
   } catch (error) {
     console.warn('Error evaluating response:', error.message);
@@ -410,122 +1162,732 @@ function generateReport(results) {
   let report = `# Model Evaluation Report\n\n`;
   report += `Generated: ${new Date().toLocaleString()}\n\n`;
 
-  // Summary table
-  report += `## Summary\n\n`;
-  report += `| Model | Prompt | Document | Overall Score | Accuracy | Completeness | Relevance |\n`;
-  report += `|-------|--------|----------|--------------|----------|--------------|-----------|\n`;
+  const metricNames = getMetricNames(results);
+  const labels = metricNames.map(getMetricLabel).join(' | ');
+  const separator = metricNames.map(() => '---').join('|');
+
+  // Summary table, with the parameter set of every test case when parameters were swept
+  const swept = results.some(result => result.parameters);
+  report += `## Summary\n\n`;
+  report += `| Model | Prompt | Document |${swept ? ' Parameters |' : ''} ${labels} |\n`;
+  report += `|-------|--------|----------|${swept ? '------------|' : ''}${separator}|\n`;
+
+  for (const result of results) {
+    const { input_user_prompt, input_data_file, quantitative } = result;
+    const values = metricNames.map(name => formatMetric(quantitative[name], 2));
+    const parameters = swept ? ` ${getParameterLabel(result.parameters) || CSV_FORMAT.NA} |` : '';
+    report += `| ${getModelLabel(result)} | ${input_user_prompt} | ${input_data_file} |${parameters} ${values.join(' | ')} |\n`;
+  }
+
+  // Model comparison
+  report += `\n## Model Comparison\n\n`;
+
+  // Group results by model
+  const modelGroups = {};
+  for (const result of results) {
+    const model = getModelLabel(result);
+    if (!modelGroups[model]) {
+      modelGroups[model] = [];
+    }
+    modelGroups[model].push(result.quantitative);
+  }
+
+  // Create model comparison table with the average metrics of each model
+  report += `| Model | ${labels} |\n`;
+  report += `|-------|${separator}|\n`;
+
+  for (const [model, quantitative] of Object.entries(modelGroups)) {
+    const averages = getAverageMetrics(quantitative, metricNames);
+    const values = metricNames.map(name => formatMetric(averages[name], CSV_FORMAT.FRACTION_DIGITS));
+    report += `| ${model} | ${values.join(' | ')} |\n`;
+  }
+
+  // Prompt comparison
+  report += `\n## Prompt Comparison\n\n`;
+
+  // Group results by prompt type and name
+  const promptGroups = {};
+  for (const result of results) {
+    // Create a display key that shows all prompt types used
+    let displayKey = '';
+
+    if (result.input_system_prompt) {
+      displayKey += `System: ${result.input_system_prompt} `;
+    }
+
+    if (result.input_user_prompt) {
+      displayKey += `User: ${result.input_user_prompt} `;
+    }
+
+    if (result.input_assistant_prompt) {
+      displayKey += `Assistant: ${result.input_assistant_prompt}`;
+    }
+
+    // If no specific prompts found, use the original input_user_prompt
+    if (!displayKey) {
+      displayKey = `Legacy: ${result.input_user_prompt}`;
+    }
+
+    // Initialize group if needed
+    if (!promptGroups[displayKey]) {
+      promptGroups[displayKey] = [];
+    }
+
+    promptGroups[displayKey].push(result.quantitative);
+  }
+
+  // Create prompt comparison table with the average metrics of each prompt
+  report += `| Prompt | ${labels} |\n`;
+  report += `|--------|${separator}|\n`;
+
+  for (const [input_user_prompt, quantitative] of Object.entries(promptGroups)) {
+    const averages = getAverageMetrics(quantitative, metricNames);
+    const values = metricNames.map(name => formatMetric(averages[name], 2));
+    report += `| ${input_user_prompt} | ${values.join(' | ')} |\n`;
+  }
+
+  report += generateSweepSection(results);
+  report += generateSignificanceSection(results);
+  report += generatePerformanceSection(results);
+  report += generateSchemaSection(results);
+  report += generateConversationSection(results);
+  report += generateSamplingSection(results);
+  report += generateReferenceSection(results);
+  report += generateSimilaritySection(results);
+  report += generateJudgeSection(results);
+  report += generateTokenSection(results);
+
+  return report;
+}
+
+/**
+ * Average metrics over a group of results
+ * Each metric is averaged over the results that recorded it, so metrics only some results have
+ * (e.g. reference metrics of data files with an expected output) aren't dragged down by the others
+ *
+ * @param {Array<Object>} quantitatives - Quantitative evaluations of the results
+ * @param {string[]} metricNames - Metrics to average
+ * @returns {Object} - Average of each metric, null when no result recorded it
+ */
+function getAverageMetrics(quantitatives, metricNames) {
+  return Object.fromEntries(metricNames.map(name => {
+    const values = quantitatives.map(quantitative => quantitative[name]).filter(value => typeof value === 'number');
+    return [name, values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null];
+  }));
+}
+
+/**
+ * Generate the markdown section comparing model speed
+ * Averages only include results that recorded the metric, so runs mixing streamed and blocking
+ * requests (or results from before performance metrics existed) still compare fairly
+ *
+ * @param {Array} results - The test results
+ * @returns {string} - Markdown section, empty if no result recorded performance metrics
+ */
+function generatePerformanceSection(results) {
+  const metrics = ['completion_ms', 'time_to_first_token_ms', 'inter_token_latency_ms', 'tokens_per_second'];
+  const modelGroups = {};
+
+  for (const result of results) {
+    const { performance } = result;
+    if (!performance) continue;
+
+    const model = getModelLabel(result);
+    if (!modelGroups[model]) {
+      modelGroups[model] = { count: 0, streamed: 0, values: Object.fromEntries(metrics.map(metric => [metric, []])) };
+    }
+
+    const group = modelGroups[model];
+    group.count++;
+    if (performance.streamed) group.streamed++;
+    for (const metric of metrics) {
+      if (typeof performance[metric] === 'number') group.values[metric].push(performance[metric]);
+    }
+  }
+
+  if (Object.keys(modelGroups).length === 0) {
+    return '';
+  }
+
+  const average = (values, fractionDigits) => values.length > 0 ?
+    (values.reduce((sum, value) => sum + value, 0) / values.length).toFixed(fractionDigits) : CSV_FORMAT.NA;
+
+  let section = `\n## Performance\n\n`;
+  section += `| Model | Tests | Streamed | Avg Completion (ms) | Avg Time to First Token (ms) | Avg Inter-Token Latency (ms) | Avg Tokens/s |\n`;
+  section += `|-------|-------|----------|---------------------|------------------------------|------------------------------|--------------|\n`;
+
+  for (const [model, { count, streamed, values }] of Object.entries(modelGroups)) {
+    section += `| ${model} | ${count} | ${streamed} | ${average(values.completion_ms, 0)} | ${average(values.time_to_first_token_ms, 0)} | ${average(values.inter_token_latency_ms, 2)} | ${average(values.tokens_per_second, 2)} |\n`;
+  }
+
+  return section;
+}
+
+/**
+ * Compare every result with the baseline model's result for the same prompt and data file (pairwise judge mode)
+ *
+ * Key implementation details:
+ * - Runs after all test cases completed, since both responses are needed
+ * - The baseline is the configured judge baseline, or the first tested model, on one endpoint: the one the baseline names
+ *   (`endpoint/model`), or else the first endpoint serving the model; only the baseline's own results aren't judged,
+ *   so the baseline model on other endpoints is compared with it
+ * - Results are compared with the baseline's result for the same prompt, data file and swept parameter set
+ * - Stores the score against the baseline (1 win, 0.5 tie, 0 loss) as `quantitative.judge`
+ *   and the judge's rationale as `qualitative.judge_rationale`, then recomputes the overall score,
+ *   since the judge metric may be weighted
+ *
+ * @param {Array} results - The test results, updated in place
+ * @param {Object} data - Documents keyed by data name (see loadData)
+ * @param {Object} prompts - All loaded prompts
+ */
+async function judgeAgainstBaseline(results, data, prompts) {
+  const endpointNames = getEndpoints().map(endpoint => endpoint.name);
+  const configured = parseModelIdentifier(CONFIGURATION.judge.baseline || getConfiguredModels()[0], endpointNames);
+  const baseline = {
+    model: configured.model,
+    endpoint: configured.endpoint || endpointNames.find(name => results.some(result =>
+      result.model === configured.model && (result.endpoint || DEFAULT_ENDPOINT) === name))
+  };
+  const isBaseline = result => result.model === baseline.model && (result.endpoint || DEFAULT_ENDPOINT) === baseline.endpoint;
+  const getBaselineKey = result => getTestCaseId({
+    ...baseline,
+    input_user_prompt: result.input_user_prompt || result.prompt_name,
+    input_data_file: result.input_data_file,
+    parameters: result.parameters
+  });
+  const baselineResults = new Map(results.filter(isBaseline).map(result => [getBaselineKey(result), result]));
+
+  if (baselineResults.size === 0) {
+    console.warn(`Pairwise judge skipped: no results of the baseline model ${getModelLabel(baseline)}`);
+    return;
+  }
+
+  console.log(`\n⚖️ Comparing responses with the baseline model ${getModelLabel(baseline)}`);
+
+  for (const result of results) {
+    const baselineResult = baselineResults.get(getBaselineKey(result));
+    if (!baselineResult || isBaseline(result)) continue;
+
+    try {
+      const comparison = await compareResponses({
+        responseA: result.response,
+        responseB: baselineResult.response,
+        document: data[result.input_data_file]?.content,
+        prompt: prompts[result.input_user_prompt]?.content
+      }, CONFIGURATION.judge);
+
+      result.quantitative.judge = comparison.score;
+      result.quantitative.overall = aggregateMetrics(result.quantitative);
+      result.qualitative.judge_rationale = comparison.rationale;
+      console.log(`  • ${getModelLabel(result)} / ${result.prompt_name} / ${result.input_data_file}: ${comparison.winner === 'A' ? 'win' : comparison.winner === 'B' ? 'loss' : 'tie'}`);
+    } catch (error) {
+      console.warn(`Pairwise judge failed for ${result.id}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Save and correlate the results of a pairwise judged run, once they hold their score against the baseline
+ *
+ * Key implementation details:
+ * - Rewrites every incremental result with its judge metric, so a resumed run reloads judged results
+ * - Records the correlation of every result, except results of a resumed run whose correlation the store already holds
+ *
+ * @param {Array} results - The judged test results (see judgeAgainstBaseline)
+ */
+async function recordJudgedResults(results) {
+  for (const result of results) {
+    const { jsonPath } = await saveIndividualResult(result);
+    const recorded = await findCorrelations({ id: result.correlation_id });
+    if (recorded.length === 0) {
+      await recordCorrelation(getResultCorrelation(result, jsonPath));
+    }
+  }
+}
+
+/**
+ * Generate the markdown section of the semantic similarity scores
+ *
+ * @param {Array} results - The test results
+ * @returns {string} - Markdown section, empty if no result has a similarity score
+ */
+function generateSimilaritySection(results) {
+  const modelGroups = {};
+
+  for (const result of results) {
+    if (typeof result.quantitative.similarity !== 'number') continue;
+
+    const model = getModelLabel(result);
+    if (!modelGroups[model]) {
+      modelGroups[model] = { document: [], reference: [] };
+    }
+    // Results of data files with an expected output are compared with it, the others with the document
+    modelGroups[model][result.reference ? 'reference' : 'document'].push(result.quantitative.similarity);
+  }
+
+  if (Object.keys(modelGroups).length === 0) {
+    return '';
+  }
+
+  const average = values => values.length > 0 ?
+    (values.reduce((sum, value) => sum + value, 0) / values.length).toFixed(2) : CSV_FORMAT.NA;
+
+  let section = `\n## Semantic Similarity\n\n`;
+  section += `Cosine similarity of response embeddings computed by ${CONFIGURATION.embeddings.model}.\n\n`;
+  section += `| Model | Tests | Avg Similarity to Expected Output | Avg Similarity to Document |\n`;
+  section += `|-------|-------|-----------------------------------|----------------------------|\n`;
+
+  for (const [model, { document, reference }] of Object.entries(modelGroups)) {
+    section += `| ${model} | ${document.length + reference.length} | ${average(reference)} | ${average(document)} |\n`;
+  }
+
+  return section;
+}
+
+/**
+ * Generate the markdown section of the judge's scores
+ *
+ * @param {Array} results - The test results
+ * @returns {string} - Markdown section, empty if no result was judged
+ */
+function generateJudgeSection(results) {
+  const modelGroups = {};
+
+  for (const result of results) {
+    if (typeof result.quantitative.judge !== 'number') continue;
+
+    const model = getModelLabel(result);
+    if (!modelGroups[model]) {
+      modelGroups[model] = [];
+    }
+    modelGroups[model].push(result.quantitative.judge);
+  }
+
+  if (Object.keys(modelGroups).length === 0) {
+    return '';
+  }
+
+  const pairwise = CONFIGURATION.judge.mode === 'pairwise';
+  let section = `\n## Judge\n\n`;
+  section += pairwise ?
+    `Responses compared with the baseline model ${CONFIGURATION.judge.baseline || getConfiguredModels()[0]} by ${CONFIGURATION.judge.model} (1 win, 0.5 tie, 0 loss).\n\n` :
+    `Responses graded by ${CONFIGURATION.judge.model} (1-10 rating normalized to 0-1).\n\n`;
+  section += `| Model | Judged Tests | ${pairwise ? 'Win Rate' : 'Avg Judge Score'} |\n`;
+  section += `|-------|--------------|${pairwise ? '----------' : '-----------------'}|\n`;
+
+  for (const [model, scores] of Object.entries(modelGroups)) {
+    const average = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    section += `| ${model} | ${scores.length} | ${average.toFixed(2)} |\n`;
+  }
+
+  return section;
+}
+
+/**
+ * Generate the markdown section of the responses' compliance with the response schema
+ * Lists the paths violated most often, which point at the parts of the schema a model struggles with
+ *
+ * @param {Array} results - The test results
+ * @returns {string} - Markdown section, empty if no response was validated
+ */
+function generateSchemaSection(results) {
+  const modelGroups = {};
+  const schemaFiles = new Set();
+
+  for (const result of results) {
+    const validation = result.schema_validation;
+    if (!validation) continue;
+
+    schemaFiles.add(validation.schema);
+
+    const model = getModelLabel(result);
+    if (!modelGroups[model]) {
+      modelGroups[model] = { count: 0, valid: 0, violations: new Map() };
+    }
+
+    const group = modelGroups[model];
+    group.count++;
+    if (validation.valid) group.valid++;
+    for (const { path: violationPath, message } of validation.errors) {
+      const violation = `\`${violationPath}\` ${message}`;
+      group.violations.set(violation, (group.violations.get(violation) || 0) + 1);
+    }
+  }
+
+  if (Object.keys(modelGroups).length === 0) {
+    return '';
+  }
+
+  let section = `\n## Schema Compliance\n\n`;
+  section += `Responses validated against ${[...schemaFiles].join(', ')}.\n\n`;
+  section += `| Model | Validated | Compliant | Compliance Rate | Most Frequent Violations |\n`;
+  section += `|-------|-----------|-----------|-----------------|--------------------------|\n`;
+
+  for (const [model, { count, valid, violations }] of Object.entries(modelGroups)) {
+    const frequent = [...violations.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([violation, occurrences]) => `${violation} (${occurrences})`)
+      .join(', ');
+    section += `| ${model} | ${count} | ${valid} | ${(valid / count).toFixed(2)} | ${frequent || '-'} |\n`;
+  }
+
+  return section;
+}
+
+/**
+ * Generate the markdown section of the conversations' scores per turn
+ * Shows whether models hold up over follow-up questions and corrections, or only answer the first question well
+ *
+ * @param {Array} results - The test results
+ * @returns {string} - Markdown section, empty if no conversation was evaluated turn by turn
+ */
+function generateConversationSection(results) {
+  const groups = {};
+
+  for (const result of results) {
+    const evaluatedTurns = result.turns?.filter(turn => typeof turn.quantitative?.overall === 'number') || [];
+    if (evaluatedTurns.length < 2) continue;
+
+    const group = groups[`${getModelLabel(result)} | ${result.prompt_name}`] ??= {};
+    for (const { turn, quantitative } of evaluatedTurns) {
+      (group[turn] ??= []).push(quantitative.overall);
+    }
+  }
+
+  if (Object.keys(groups).length === 0) {
+    return '';
+  }
+
+  let section = `\n## Conversations\n\n`;
+  section += `Average overall score of each evaluated model reply, by the turn it answers.\n\n`;
+  section += `| Model | Conversation | Turn Scores |\n`;
+  section += `|-------|--------------|-------------|\n`;
+
+  for (const [label, turns] of Object.entries(groups)) {
+    const scores = Object.entries(turns)
+      .map(([turn, values]) => `${turn}: ${(values.reduce((sum, value) => sum + value, 0) / values.length).toFixed(2)}`)
+      .join(', ');
+    section += `| ${label} | ${scores} |\n`;
+  }
+
+  return section;
+}
+
+/**
+ * Generate the markdown section comparing the parameter sets of a sweep
+ *
+ * Key implementation details:
+ * - Groups the swept test cases by model, then by parameter set, and averages their metrics
+ * - The best parameter set of each model is the one with the highest average overall score, shown in bold
+ *
+ * @param {Array} results - The test results
+ * @returns {string} - Markdown section, empty if no parameters were swept
+ */
+function generateSweepSection(results) {
+  const swept = results.filter(result => result.parameters);
+  if (swept.length === 0) {
+    return '';
+  }
+
+  const metricNames = getMetricNames(swept);
+  const modelGroups = {};
+  for (const result of swept) {
+    const parameterGroups = modelGroups[getModelLabel(result)] ??= {};
+    (parameterGroups[getParameterLabel(result.parameters)] ??= []).push(result.quantitative);
+  }
+
+  let section = `\n## Parameter Sweep\n\n`;
+  section += `Average metrics of every parameter set; the best set of each model (highest average overall score) is in bold.\n\n`;
+  section += `| Model | Parameters | Test Cases | ${metricNames.map(getMetricLabel).join(' | ')} |\n`;
+  section += `|-------|------------|------------|${metricNames.map(() => '---').join('|')}|\n`;
+
+  for (const [model, parameterGroups] of Object.entries(modelGroups)) {
+    const rows = Object.entries(parameterGroups).map(([label, quantitative]) => ({
+      label,
+      count: quantitative.length,
+      averages: getAverageMetrics(quantitative, metricNames)
+    }));
+    const best = rows.reduce((top, row) => (row.averages.overall ?? -Infinity) > (top.averages.overall ?? -Infinity) ? row : top);
+
+    for (const row of rows) {
+      const label = row === best ? `**${row.label}**` : row.label;
+      const values = metricNames.map(name => formatMetric(row.averages[name], CSV_FORMAT.FRACTION_DIGITS));
+      section += `| ${model} | ${label} | ${row.count} | ${values.join(' | ')} |\n`;
+    }
+  }
+
+  return section;
+}
+
+/**
+ * Generate the markdown section testing whether the differences between prompts and between models are significant
+ *
+ * Key implementation details:
+ * - Every pair of prompts is compared on the overall scores of the test cases both ran (same model and data file),
+ *   every pair of models on the test cases both ran (same prompt and data file), see compareAll
+ * - Reports the Wilcoxon signed-rank and paired bootstrap p-values, the mean difference with its bootstrap confidence interval,
+ *   and the effect sizes (Cohen's d_z and rank-biserial correlation)
+ * - Comparisons with fewer than two paired test cases are left out
+ *
+ * @param {Array} results - The test results
+ * @returns {string} - Markdown section, empty if nothing can be compared
+ */
+function generateSignificanceSection(results) {
+  const observations = results.map(result => ({
+    model: result.model,
+    endpoint: result.endpoint || DEFAULT_ENDPOINT,
+    prompt: result.input_user_prompt || result.prompt_name,
+    data: result.input_data_file,
+    parameters: result.parameters,
+    value: result.quantitative?.overall,
+    timestamp: result.timestamp
+  }));
+  const groups = [['Prompts', compareAll(observations, 'prompt')], ['Models', compareAll(observations, 'model')]]
+    .filter(([, comparisons]) => comparisons.length > 0);
+  // Models of runs with several endpoints are compared as `endpoint/model`, shown like the rest of the report
+  const modelLabels = new Map(results.map(result => [getQualifiedModel(result), getModelLabel(result)]));
+  const getLabel = level => modelLabels.get(level) ?? level;
+
+  if (groups.length === 0) {
+    return '';
+  }
+
+  const format = value => formatMetric(value, 2);
+  let section = `\n## Significance\n\n`;
+  section += `Paired comparisons of the overall score over the test cases both sides ran. A positive difference favours A; ` +
+    `p-values below ${SIGNIFICANCE_LEVEL} are marked with *.\n`;
+
+  for (const [title, comparisons] of groups) {
+    section += `\n### ${title}\n\n`;
+    section += `| A | B | Pairs | Mean A | Mean B | Difference | ${Math.round(CONFIDENCE_LEVEL * 100)}% CI | Wins/Losses/Ties | Wilcoxon p | Bootstrap p | Cohen's dz | Rank-Biserial |\n`;
+    section += `|---|---|-------|--------|--------|------------|--------|------------------|------------|-------------|------------|---------------|\n`;
+
+    for (const comparison of comparisons) {
+      const { a, b, pairs, mean_a, mean_b, mean_difference, ci_low, ci_high, wins, losses, ties, wilcoxon, bootstrap, effect_size } = comparison;
+      section += `| ${getLabel(a)} | ${getLabel(b)} | ${pairs} | ${format(mean_a)} | ${format(mean_b)} | ${format(mean_difference)} | ${format(ci_low)} to ${format(ci_high)} | ` +
+        `${wins}/${losses}/${ties} | ${formatPValue(wilcoxon.p_value)} | ${formatPValue(bootstrap.p_value)} | ` +
+        `${format(effect_size.cohens_dz)} | ${format(effect_size.rank_biserial)} |\n`;
+    }
+  }
+
+  return section;
+}
+
+/**
+ * Generate the markdown section of the repeated test cases' spread
+ * Every test case sent several times reports its overall score over the samples: mean, standard deviation,
+ * range and the bootstrap confidence interval of the mean
+ *
+ * @param {Array} results - The test results
+ * @returns {string} - Markdown section, empty if no test case was repeated
+ */
+function generateSamplingSection(results) {
+  const repeated = results.filter(result => result.statistics?.metrics.overall);
+  if (repeated.length === 0) {
+    return '';
+  }
 
-  for (const result of results) {
-    const { model, input_user_prompt, input_data_file, quantitative } = result;
-    report += `| ${model} | ${input_user_prompt} | ${input_data_file} | ${quantitative.overall.toFixed(2)} | ${quantitative.accuracy.toFixed(2)} | ${quantitative.completeness.toFixed(2)} | ${quantitative.relevance.toFixed(2)} |\n`;
+  const format = value => formatMetric(value, 2);
+  let section = `\n## Repeated Sampling\n\n`;
+  section += `Overall score of every test case over its samples; the ${Math.round(CONFIDENCE_LEVEL * 100)}% confidence interval of the mean is bootstrapped.\n\n`;
+  section += `| Model | Prompt | Data File | Samples | Mean | Std | Min | Max | ${Math.round(CONFIDENCE_LEVEL * 100)}% CI |\n`;
+  section += `|-------|--------|-----------|---------|------|-----|-----|-----|--------|\n`;
+
+  for (const result of repeated) {
+    const { samples, mean, std, min, max, ci_low, ci_high } = result.statistics.metrics.overall;
+    section += `| ${getModelLabel(result)} | ${result.prompt_name} | ${result.input_data_file} | ${samples} | ` +
+      `${format(mean)} | ${format(std)} | ${format(min)} | ${format(max)} | ${format(ci_low)}-${format(ci_high)} |\n`;
   }
 
-  // Model comparison
-  report += `\n## Model Comparison\n\n`;
+  return section;
+}
 
-  // Group results by model
+/**
+ * Generate the markdown section comparing models against the expected outputs
+ *
+ * @param {Array} results - The test results
+ * @returns {string} - Markdown section, empty if no data file has an expected output
+ */
+function generateReferenceSection(results) {
+  const metrics = ['exact_match', 'token_f1', 'field_match'];
   const modelGroups = {};
+
   for (const result of results) {
-    const { model, quantitative } = result;
+    const { reference } = result;
+    if (!reference) continue;
+
+    const model = getModelLabel(result);
     if (!modelGroups[model]) {
-      modelGroups[model] = [];
+      modelGroups[model] = Object.fromEntries(metrics.map(metric => [metric, []]));
     }
-    modelGroups[model].push(quantitative);
-  }
-
-  // Calculate average metrics for each model
-  const modelAverages = Object.entries(modelGroups).reduce((acc, [model, quantitative]) => {
-    const count = quantitative.length;
-    const sums = quantitative.reduce((sum, item) => {
-      sum.overall += item.overall;
-      sum.accuracy += item.accuracy;
-      sum.completeness += item.completeness;
-      sum.relevance += item.relevance;
-      return sum;
-    }, { overall: 0, accuracy: 0, completeness: 0, relevance: 0 });
-
-    acc[model] = {
-      overall: sums.overall / count,
-      accuracy: sums.accuracy / count,
-      completeness: sums.completeness / count,
-      relevance: sums.relevance / count
-    };
+    for (const metric of metrics) {
+      if (typeof reference[metric] === 'number') modelGroups[model][metric].push(reference[metric]);
+    }
+  }
+
+  if (Object.keys(modelGroups).length === 0) {
+    return '';
+  }
 
-    return acc;
-  }, Object.create(null));
+  const average = values => values.length > 0 ?
+    (values.reduce((sum, value) => sum + value, 0) / values.length).toFixed(2) : CSV_FORMAT.NA;
 
-  // Create model comparison table
-  report += `| Model | Overall Score | Accuracy | Completeness | Relevance |\n`;
-  report += `|-------|--------------|----------|--------------|-----------|\n`;
+  let section = `\n## Reference Scores\n\n`;
+  section += `| Model | Tests with Reference | Exact Match | Token F1 | Field Match |\n`;
+  section += `|-------|----------------------|-------------|----------|-------------|\n`;
 
-  for (const [model, metrics] of Object.entries(modelAverages)) {
-    report += `| ${model} | ${metrics.overall.toFixed(CSV_FORMAT.FRACTION_DIGITS)} | ${metrics.accuracy.toFixed(CSV_FORMAT.FRACTION_DIGITS)} | ${metrics.completeness.toFixed(CSV_FORMAT.FRACTION_DIGITS)} | ${metrics.relevance.toFixed(CSV_FORMAT.FRACTION_DIGITS)} |\n`;
+  for (const [model, values] of Object.entries(modelGroups)) {
+    section += `| ${model} | ${values.exact_match.length} | ${average(values.exact_match)} | ${average(values.token_f1)} | ${average(values.field_match)} |\n`;
   }
 
-  // Prompt comparison
-  report += `\n## Prompt Comparison\n\n`;
+  return section;
+}
 
-  // Group results by prompt type and name
-  const promptGroups = {};
-  for (const result of results) {
-    // Create a display key that shows all prompt types used
-    let displayKey = '';
+/**
+ * Get the token counts to record on a result
+ *
+ * @param {Object} usage - The response usage, completed by the adapter (see BaseAdapter.finishResponse)
+ * @returns {Object|null} - Prompt, completion and total tokens and their source, or null if unknown
+ */
+function getResultTokens(usage) {
+  if (!usage?.source) {
+    return null;
+  }
 
-    if (result.input_system_prompt) {
-      displayKey += `System: ${result.input_system_prompt} `;
-    }
+  return {
+    prompt: usage.prompt_tokens,
+    completion: usage.completion_tokens,
+    total: usage.total_tokens,
+    source: usage.source
+  };
+}
 
-    if (result.input_user_prompt) {
-      displayKey += `User: ${result.input_user_prompt} `;
-    }
+/**
+ * Add up the token counts of several requests (the replies of a conversation)
+ *
+ * @param {Array<Object|null>} tokenCounts - Token counts of each request (see getResultTokens)
+ * @returns {Object|null} - The total token counts, null if no request recorded them
+ */
+function sumTokens(tokenCounts) {
+  const counted = tokenCounts.filter(Boolean);
+  if (counted.length === 0) {
+    return null;
+  }
 
-    if (result.input_assistant_prompt) {
-      displayKey += `Assistant: ${result.input_assistant_prompt}`;
-    }
+  return {
+    prompt: counted.reduce((sum, tokens) => sum + tokens.prompt, 0),
+    completion: counted.reduce((sum, tokens) => sum + tokens.completion, 0),
+    total: counted.reduce((sum, tokens) => sum + tokens.total, 0),
+    source: counted[counted.length - 1].source
+  };
+}
 
-    // If no specific prompts found, use the original input_user_prompt
-    if (!displayKey) {
-      displayKey = `Legacy: ${result.input_user_prompt}`;
-    }
+/**
+ * Combine several evaluations (the evaluated replies of a conversation, or the samples of a repeated test case):
+ * every metric is averaged over the evaluations that have it (see getAverageMetrics), and the errors of every evaluation are kept
+ *
+ * @param {Array<Object>} evaluations - The evaluations, with their `quantitative` metrics
+ * @returns {Object} - The combined quantitative evaluation
+ */
+function getMeanMetrics(evaluations) {
+  const quantitatives = evaluations.map(evaluation => evaluation.quantitative);
 
-    // Initialize group if needed
-    if (!promptGroups[displayKey]) {
-      promptGroups[displayKey] = [];
-    }
+  return {
+    ...getAverageMetrics(quantitatives, getMetricNames(evaluations)),
+    errors: quantitatives.flatMap(quantitative => quantitative.errors || [])
+  };
+}
 
-    promptGroups[displayKey].push(result.quantitative);
+/**
+ * Combine the results of a test case's repeated samples into one result
+ *
+ * Key implementation details:
+ * - The metrics are averaged over the samples (see getMeanMetrics); attempts and tokens add up
+ * - The response, qualitative evaluation, reference, schema validation and performance are the first sample's
+ * - `samples` keeps every sample's own result and seed, `statistics` the spread of every metric over the samples
+ *   (mean, standard deviation, min, max and bootstrap confidence interval, see describeSamples)
+ *
+ * @param {Array<Object>} samples - Results of every sample, in order
+ * @param {number[]|null} seeds - Sampling seed of every sample
+ * @returns {Object} - The test case's result
+ */
+function combineSamples(samples, seeds) {
+  const metrics = {};
+  for (const name of getMetricNames(samples)) {
+    const statistics = describeSamples(samples.map(sample => sample.quantitative[name]));
+    if (statistics) metrics[name] = statistics;
   }
 
-  // Calculate average metrics for each prompt
-  const promptAverages = Object.entries(promptGroups).reduce((acc, [input_user_prompt, quantitative]) => {
-    const count = quantitative.length;
-    const sums = quantitative.reduce((sum, item) => {
-      sum.overall += item.overall;
-      sum.accuracy += item.accuracy;
-      sum.completeness += item.completeness;
-      sum.relevance += item.relevance;
-      return sum;
-    }, { overall: 0, accuracy: 0, completeness: 0, relevance: 0 });
-
-    acc[input_user_prompt] = {
-      overall: sums.overall / count,
-      accuracy: sums.accuracy / count,
-      completeness: sums.completeness / count,
-      relevance: sums.relevance / count
-    };
+  return {
+    ...samples[0],
+    attempts: samples.reduce((sum, sample) => sum + sample.attempts, 0),
+    tokens: sumTokens(samples.map(sample => sample.tokens)),
+    quantitative: getMeanMetrics(samples),
+    samples: samples.map((sample, index) => ({
+      sample: index + 1,
+      seed: seeds?.[index] ?? null,
+      ...Object.fromEntries(SAMPLE_FIELDS.filter(field => field in sample).map(field => [field, sample[field]]))
+    })),
+    statistics: { samples: samples.length, confidence: CONFIDENCE_LEVEL, metrics }
+  };
+}
 
-    return acc;
-  }, Object.create(null));
+/**
+ * Format the statistics of a metric over repeated samples
+ *
+ * @param {Object} statistics - The metric's statistics (see describeSamples)
+ * @returns {string} - Mean ± standard deviation and the confidence interval
+ */
+function formatSampleStatistics(statistics) {
+  if (!statistics) {
+    return 'N/A';
+  }
+
+  const format = value => formatMetric(value, CSV_FORMAT.FRACTION_DIGITS);
+  return `${format(statistics.mean)} ± ${format(statistics.std)} ` +
+    `(${Math.round(CONFIDENCE_LEVEL * 100)}% CI ${format(statistics.ci_low)}-${format(statistics.ci_high)})`;
+}
+
+/**
+ * Generate the markdown section comparing token usage
+ * Counts come from the server's usage when it reports them and from the local tokenizer otherwise
+ *
+ * @param {Array} results - The test results
+ * @returns {string} - Markdown section, empty if no result recorded token counts
+ */
+function generateTokenSection(results) {
+  const modelGroups = {};
+
+  for (const result of results) {
+    const { tokens } = result;
+    if (!tokens) continue;
+
+    const model = getModelLabel(result);
+    if (!modelGroups[model]) {
+      modelGroups[model] = { count: 0, prompt: 0, completion: 0, sources: new Set() };
+    }
 
-  // Create prompt comparison table
-  report += `| Prompt | Overall Score | Accuracy | Completeness | Relevance |\n`;
-  report += `|--------|--------------|----------|--------------|-----------|\n`;
+    const group = modelGroups[model];
+    group.count++;
+    group.prompt += tokens.prompt;
+    group.completion += tokens.completion;
+    group.sources.add(tokens.source);
+  }
 
-  for (const [input_user_prompt, quantitative] of Object.entries(promptAverages)) {
-    report += `| ${input_user_prompt} | ${quantitative.overall.toFixed(2)} | ${quantitative.accuracy.toFixed(2)} | ${quantitative.completeness.toFixed(2)} | ${quantitative.relevance.toFixed(2)} |\n`;
+  if (Object.keys(modelGroups).length === 0) {
+    return '';
   }
 
-  return report;
+  let section = `\n## Token Usage\n\n`;
+  section += `| Model | Tests | Avg Prompt Tokens | Avg Completion Tokens | Total Tokens | Source |\n`;
+  section += `|-------|-------|-------------------|-----------------------|--------------|--------|\n`;
+
+  for (const [model, { count, prompt, completion, sources }] of Object.entries(modelGroups)) {
+    section += `| ${model} | ${count} | ${Math.round(prompt / count)} | ${Math.round(completion / count)} | ${prompt + completion} | ${[...sources].join(', ')} |\n`;
+  }
+
+  return section;
 }
 
 /**
@@ -536,8 +1898,11 @@ function generateReport(results) {
  */
 async function saveIndividualResult(result) {
   try {
-    // Create a unique directory for this specific test result
-    const resultId = `${result.model}-${result.prompt_name}-${result.input_data_file}`;
+    // Create a unique directory for this specific test result, named after the model without its organization prefix
+    // (`mistralai/...`), so the result stays one level below the incremental directory where resumed runs look for it
+    const endpointPrefix = result.endpoint && result.endpoint !== DEFAULT_ENDPOINT ? `${result.endpoint}-` : '';
+    const parameterSuffix = result.parameters ? `@${getParameterLabel(result.parameters, '+')}` : '';
+    const resultId = `${endpointPrefix}${BaseAdapter.getModelIdForFilePath(result.model)}-${result.prompt_name}-${result.input_data_file}${parameterSuffix}`;
     const timestamp = result.timestamp.replace(/[:.]/g, '-');
     const resultDir = path.join(CONFIGURATION.directories.results, 'incremental', `${resultId}_${timestamp}`);
     await ensureDir(resultDir);
@@ -547,6 +1912,7 @@ async function saveIndividualResult(result) {
     await fs.writeFile(jsonPath, JSON.stringify(result, null, 2));
 
     // Save a simple markdown summary
+    const metricNames = getMetricNames([result]);
     const summaryPath = path.join(resultDir, 'summary.md');
     const summary = `# Test Result: ${resultId}
 
@@ -554,13 +1920,16 @@ async function saveIndividualResult(result) {
 
     ## Prompt: ${result.prompt_name} (${result.prompt_type})
 
-    ## Data File: ${result.input_data_file}
+    ## Data File: ${result.input_data_file}${result.parameters ? `
+
+    ## Parameters: ${getParameterLabel(result.parameters)}` : ''}
 
     ## Metrics
-    - Overall: ${result.quantitative.overall.toFixed(2)}
-    - Accuracy: ${result.quantitative.accuracy.toFixed(2)}
-    - Completeness: ${result.quantitative.completeness.toFixed(2)}
-    - Relevance: ${result.quantitative.relevance.toFixed(2)}
+${metricNames.map(name => `    - ${getMetricLabel(name)}: ${formatMetric(result.quantitative[name], 2)}`).join('\n')}
+
+    ## Tokens
+    - Prompt: ${result.tokens?.prompt ?? CSV_FORMAT.NA}
+    - Completion: ${result.tokens?.completion ?? CSV_FORMAT.NA}
 
     ## Timestamp
     ${result.timestamp}
@@ -569,16 +1938,17 @@ async function saveIndividualResult(result) {
 
     // Save CSV result
     const csvPath = path.join(resultDir, 'result.csv');
-    const headers = getCSVColumnsJoined();
+    const csvOptions = { repeated: Boolean(result.statistics), swept: Boolean(result.parameters) };
+    const headers = getCSVColumnsJoined(metricNames, csvOptions);
 
     // Create CSV content with headers and a single row for this result
     let csvContent = headers + CSV_FORMAT.NEW_LINE;
 
     // Create a data object that maps header fields to values
-    const dataMap = getCSVDataMap(result);
+    const dataMap = getCSVDataMap(result, metricNames);
 
     // Use the same header fields order to build the row
-    const row = getCSVColumns().map(field => dataMap[field]);
+    const row = getCSVColumns(metricNames, csvOptions).map(field => dataMap[field]);
 
     csvContent += row.map(cell => escapeCSV(cell)).join(CSV_FORMAT.COMMA);
 
@@ -592,31 +1962,226 @@ async function saveIndividualResult(result) {
   }
 }
 
+/**
+ * Create a unique run ID based on the current time
+ * The run ID names the run directory and is stored on every result so a run can be resumed
+ *
+ * @returns {string} - The run ID
+ */
+function createRunId() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Report a failed test case
+ *
+ * @param {Object} testCase - The test case (see buildTestCases)
+ * @param {string} testId - Progress label of the test case
+ * @param {Error} error - The error that failed it
+ */
+function logTestFailure({ endpoint, model, input_user_prompt, input_data_file }, testId, error) {
+  // Extract the most useful part of the error message
+  let errorMessage = 'Unknown error';
+  if (error.cause && error.cause.code) {
+    errorMessage = `${error.cause.code}`;
+  } else if (error.message) {
+    // Limit error message length for readability
+    errorMessage = error.message.length > 100 ? 
+      `${error.message.substring(0, 100)}...` : error.message;
+  }
+  
+  // Format error output with clear visual indicators
+  console.log(`\n${'─'.repeat(50)}`);
+  console.log(`❌ TEST ${testId} - FAILED`);
+  console.log(`🚨 Error details:`);
+  console.log(`  • Model: ${model}`);
+  console.log(`  • Endpoint: ${endpoint}`);
+  console.log(`  • Prompt: ${input_user_prompt}`);
+  console.log(`  • File: ${input_data_file}`);
+  console.log(`  • Error: ${errorMessage}`);
+  if (error.attempts) {
+    console.log(`  • Attempts: ${error.attempts}`);
+  }
+  console.log(`${'='.repeat(50)}`);
+}
+
+/**
+ * Get the identifier of a test case (endpoint / model / prompt / data file / parameter set combination)
+ * The default endpoint and the parameter set of runs without a sweep are left out, so identifiers of single-server runs stay unchanged
+ *
+ * @param {Object} testCase - The test case or result
+ * @param {string|null} testCase.endpoint - The endpoint name
+ * @param {string} testCase.model - The model ID
+ * @param {string} testCase.input_user_prompt - The prompt file name
+ * @param {string} testCase.input_data_file - The data file name
+ * @param {Object|null} [testCase.parameters] - The swept parameters (see expandSweep)
+ * @returns {string} - The test case identifier
+ */
+function getTestCaseId({ endpoint, model, input_user_prompt, input_data_file, parameters }) {
+  const prefix = endpoint && endpoint !== DEFAULT_ENDPOINT ? `${endpoint}:` : '';
+  const suffix = parameters ? `@${getParameterLabel(parameters, '+')}` : '';
+  return `${prefix}${model}-${input_user_prompt}-${input_data_file}${suffix}`;
+}
+
+/**
+ * Get the display name of a model, qualified with its endpoint unless it is the default endpoint
+ *
+ * @param {Object} result - The test case or result
+ * @returns {string} - The model label
+ */
+function getModelLabel({ endpoint, model }) {
+  return endpoint && endpoint !== DEFAULT_ENDPOINT ? `${model} @ ${endpoint}` : model;
+}
+
+/**
+ * Get the correlation describing a test result
+ *
+ * @param {Object} result - The test result
+ * @param {string} resultPath - Path to the JSON file holding the result
+ * @returns {Object} - The correlation object (see createCorrelationEntry in correlator.js)
+ */
+function getResultCorrelation(result, resultPath) {
+  return {
+    id: result.correlation_id,
+    runId: result.run_id,
+    modelId: result.model,
+    endpoint: result.endpoint || DEFAULT_ENDPOINT,
+    input_data_file: result.input_data_file,
+    input_user_prompt: result.input_user_prompt || result.prompt_name,
+    parameters: result.parameters || null,
+    resultPath,
+    quantitative: result.quantitative,
+    qualitative: result.qualitative,
+    timestamp: result.timestamp
+  };
+}
+
+/**
+ * Load the results a run already completed from the incremental results directory
+ *
+ * Key implementation details:
+ * - Scans every incremental result and keeps those recorded with the given run ID
+ * - When a test case completed more than once, the latest result wins
+ * - Unreadable result files are skipped with a warning
+ *
+ * @param {string} runId - The run ID to resume
+ * @returns {Promise<Map<string, Object>>} - Completed results keyed by test case ID
+ */
+async function loadCompletedResults(runId) {
+  const completed = new Map();
+  const incrementalDir = path.join(CONFIGURATION.directories.results, 'incremental');
+
+  let resultDirs = [];
+  try {
+    resultDirs = await fs.readdir(incrementalDir);
+  } catch (error) {
+    return completed;
+  }
+
+  for (const resultDir of resultDirs) {
+    const jsonPath = path.join(incrementalDir, resultDir, 'result.json');
+    try {
+      const result = JSON.parse(await fs.readFile(jsonPath, 'utf8'));
+      if (result.run_id !== runId) continue;
+
+      const previous = completed.get(result.id);
+      if (!previous || previous.timestamp < result.timestamp) {
+        completed.set(result.id, result);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Skipping unreadable incremental result ${jsonPath}: ${error.message}`);
+      }
+    }
+  }
+
+  return completed;
+}
+
+/**
+ * Load the results of a run: its results file, or the incremental results of runs without JSON output or interrupted runs
+ *
+ * @param {string} runDir - The run directory
+ * @param {string} runId - The run ID
+ * @returns {Promise<Array<Object>>} - The results
+ */
+async function loadRunResults(runDir, runId) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(runDir, 'results.json'), 'utf8'));
+  } catch (error) {
+    return [...(await loadCompletedResults(runId)).values()];
+  }
+}
+
+/**
+ * Write the manifest of a run to its run directory (see createRunManifest)
+ * A resumed run keeps the manifest of its first attempt, which produced the results it already completed
+ *
+ * @param {Object} run - The run's ID, tested models, prompts and data (see createRunManifest)
+ * @param {boolean} resumed - Whether the run is resumed
+ */
+async function recordRunManifest(run, resumed) {
+  const runDir = path.join(CONFIGURATION.directories.results, `run_${run.runId}`);
+  if (resumed) {
+    try {
+      await loadRunManifest(runDir);
+      return;
+    } catch (error) {
+      // No manifest yet, the resumed run records one
+    }
+  }
+
+  try {
+    const manifestPath = await writeRunManifest(runDir, await createRunManifest(run));
+    console.log(`Run manifest saved to ${manifestPath}`);
+  } catch (error) {
+    console.warn(`Error saving run manifest: ${error.message}`);
+  }
+}
+
 /**
  * Save test results to file
  * 
  * @param {Array} results - The test results to save
+ * @param {string} runId - The run ID naming the run directory
  * @returns {Object} - The paths to the saved files
  */
-async function saveResults(results) {
+async function saveResults(results, runId) {
   try {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const runDir = path.join(CONFIGURATION.directories.results, `run_${timestamp}`);
+    const runDir = path.join(CONFIGURATION.directories.results, `run_${runId}`);
     await ensureDir(runDir);
 
     // Save JSON results
     const jsonPath = path.join(runDir, 'results.json');
-    await fs.writeFile(jsonPath, JSON.stringify(results, null, 2));
-    console.log(`Results saved to ${jsonPath}`);
+    if (CONFIGURATION.outputs.json) {
+      await fs.writeFile(jsonPath, JSON.stringify(results, null, 2));
+      console.log(`Results saved to ${jsonPath}`);
+    }
+
+    // Save the run's correlation index and persist the correlation store index
+    // Without a results file, each correlation points at the incremental result recorded in the store
+    const resultPaths = new Map();
+    if (!CONFIGURATION.outputs.json) {
+      for (const correlation of await findCorrelations({ runId })) {
+        resultPaths.set(correlation.id, correlation.resultPath);
+      }
+    }
+    await writeCorrelationIndex(runDir, runId, results.map(result =>
+      getResultCorrelation(result, CONFIGURATION.outputs.json ? jsonPath : resultPaths.get(result.correlation_id) || null)));
+    await flushCorrelations();
 
     // Generate and save markdown report
     const reportPath = path.join(runDir, 'report.md');
-    const report = generateReport(results);
-    await fs.writeFile(reportPath, report);
-    console.log(`Report saved to ${reportPath}`);
+    if (CONFIGURATION.outputs.report) {
+      const report = generateReport(results);
+      await fs.writeFile(reportPath, report);
+      console.log(`Report saved to ${reportPath}`);
+    }
 
     // Export CSV files by model without correlation
-    await exportCsvByModel(results, timestamp, runDir);
+    if (CONFIGURATION.outputs.csv) {
+      await exportCsvByModel(results, runId, runDir);
+    }
 
     return {
       jsonPath,
@@ -633,15 +2198,18 @@ async function saveResults(results) {
  * Export results to CSV files organized by model
  * 
  * @param {Array} results - The test results to export
- * @param {string} timestamp - The timestamp for the file names
+ * @param {string} runId - The run ID for the file names
  * @param {string} runDir - Directory for this test run
  */
-async function exportCsvByModel(results, timestamp, runDir) {
+async function exportCsvByModel(results, runId, runDir) {
   try {
     const modelGroups = Object.create(null);
+    // Every model's CSV has the metric columns of the whole run, so the files can be concatenated
+    const metricNames = getMetricNames(results);
+    const csvOptions = { repeated: results.some(result => result.statistics), swept: results.some(result => result.parameters) };
 
     for (const result of results) {
-      const { model } = result;
+      const model = getModelLabel(result);
       if (!modelGroups[model]) {
         modelGroups[model] = [];
       }
@@ -649,19 +2217,21 @@ async function exportCsvByModel(results, timestamp, runDir) {
     }
 
     for (const [model, results] of Object.entries(modelGroups)) {
-      let csvContent = getCSVColumnsJoined() + CSV_FORMAT.NEW_LINE;
+      const { endpoint } = results[0];
+      let csvContent = getCSVColumnsJoined(metricNames, csvOptions) + CSV_FORMAT.NEW_LINE;
 
       for (const result of results) {
         // Create a data object that maps header fields to values
-        const dataMap = getCSVDataMap(result);
+        const dataMap = getCSVDataMap(result, metricNames);
 
         // Use the same header fields order to build the row
-        const rowValues = getCSVColumns().map(field => escapeCSV(dataMap[field]));
+        const rowValues = getCSVColumns(metricNames, csvOptions).map(field => escapeCSV(dataMap[field]));
         csvContent += rowValues.join(CSV_FORMAT.COMMA).concat(CSV_FORMAT.NEW_LINE);
       }
 
-      const normalizedModelId = OpenAIAdapter.getModelIdForFilePath(model);
-      const csvFilePath = path.join(runDir, `${normalizedModelId}_results_${timestamp}.csv`);
+      const endpointPrefix = endpoint && endpoint !== DEFAULT_ENDPOINT ? `${endpoint}_` : '';
+      const normalizedModelId = `${endpointPrefix}${BaseAdapter.getModelIdForFilePath(results[0].model)}`;
+      const csvFilePath = path.join(runDir, `${normalizedModelId}_results_${runId}.csv`);
       await fs.writeFile(csvFilePath, csvContent, 'utf8');
       console.log(`Exported CSV for model ${model} to ${csvFilePath}`);
     }
@@ -674,61 +2244,136 @@ async function exportCsvByModel(results, timestamp, runDir) {
  * Main function to run the tests
  * 
  * Key implementation details:
- * - Loads available models from the server and filters based on configuration
+ * - Loads available models from every endpoint, filters them based on configuration and routes them to endpoints
+ * - Runs endpoints in parallel with their own concurrency limit; models of an endpoint run one after another
  * - Loads prompts (system, user, assistant) and data files from directories
  * - Only evaluates user prompts and legacy prompts, skips system and assistant prompts
  * - Executes prompts with models and evaluates responses
  * - Correlates matching system, user, and assistant prompts based on base name
  * - Generates reports and exports results to CSV files
  * - Implements request timeout controlled by REQUEST_TIMEOUT_MS environment variable
+ * - Applies an experiment file (JSON or YAML) and model/prompt/data filters on top of the environment configuration
+ * - Returns a summary of the run; errors are reported (including Slack) and rethrown
+ * - Resumes an interrupted run by skipping test cases its incremental results already cover,
+ *   then assembles the final results from the previous and new results together
+ * - Records the run's configuration and input hashes in the run directory's manifest before sending anything (see createRunManifest)
+ *
+ * @param {Object} options - Run options (see configureRun)
+ * @returns {Promise<{totalTests: number, successful: number, failed: number, runId?: string, runDir?: string}>} - Run summary
  */
-async function runTests() {
+export async function runTests(options = {}) {
+  const emptySummary = { totalTests: 0, successful: 0, failed: 0 };
+
   try {
     console.log('Starting tests...');
 
+    await configureRun(options);
+
+    const runId = options.resume || createRunId();
+    const completedResults = options.resume ? await loadCompletedResults(runId) : new Map();
+
+    if (options.resume) {
+      if (completedResults.size === 0) {
+        console.warn(`No completed test cases found for run ${runId}, running all test cases`);
+      } else {
+        console.log(`Resuming run ${runId}: ${completedResults.size} test cases already completed`);
+      }
+    } else {
+      console.log(`Run ID: ${runId} (resume with --resume ${runId})`);
+    }
+
     await ensureDir(CONFIGURATION.directories.results);
 
     const availableModels = await getAvailableModels();
-    const modelsToTest = CONFIGURATION.models.default.filter(model => availableModels.includes(model));
+    for (const [endpointName, endpointModels] of Object.entries(availableModels)) {
+      console.log(`Available models on ${endpointName}: ${endpointModels.join(', ')}`);
+    }
 
-    console.log(`Available models: ${availableModels.join(', ')}`);
+    const targets = routeModels(getConfiguredModels(), availableModels);
 
-    if (modelsToTest.length === 0) {
+    if (targets.length === 0) {
       console.error('No models available for testing. Please check your configuration.');
-      return;
+      return emptySummary;
     }
 
-    console.log(`Models to test: ${modelsToTest.join(', ')}`);
+    console.log(`Models to test: ${targets.map(getModelLabel).join(', ')}`);
 
     const prompts = await loadPrompts();
-    const data = await loadData();
+    const { data, references, metadata } = await loadData();
 
     if (Object.keys(prompts).length === 0) {
       console.error('No prompts found. Please add prompt files to the prompts directory.');
-      return;
+      return emptySummary;
     }
 
     if (Object.keys(data).length === 0) {
       console.error('No data found. Please add file files to the data directory.');
-      return;
+      return emptySummary;
     }
 
     console.log(`Loaded ${Object.keys(prompts).length} prompts and ${Object.keys(data).length} data.`);
 
+    console.log(`Loaded expected outputs for ${Object.keys(references).length} of ${Object.keys(data).length} data files.`);
+
+    await recordRunManifest({ runId, targets, prompts, data, references, metadata }, Boolean(options.resume));
+
     const results = [];
+    // Pairwise judge scores are only known once every test case completed, so the results are correlated after the comparison
+    const pairwiseJudge = CONFIGURATION.judge.enabled && CONFIGURATION.judge.mode === 'pairwise';
     const evaluationOptions = {
-      expectedFields: [
-        { alternateNames: ['main_points', 'mainPoints', 'key_points', 'keyPoints'], description: 'key points' },
-        { alternateNames: ['summary', 'overview'], description: 'summary' },
-        { alternateNames: ['analysis', 'evaluation'], description: 'analysis' },
-        { alternateNames: ['recommendations', 'suggestions'], description: 'recommendations' },
-        { alternateNames: ['details', 'specifics'], description: 'details' }
-      ],
-      relevantTerms: ['analysis', 'file', 'text', 'content', 'information', 'important', 'key', 'critical']
+      expectedFields: CONFIGURATION.evaluation.expectedFields,
+      relevantTerms: CONFIGURATION.evaluation.relevantTerms,
+      numericTolerance: CONFIGURATION.evaluation.numericTolerance,
+      pipeline: CONFIGURATION.evaluation.pipeline,
+      weights: CONFIGURATION.evaluation.weights,
+      aggregate: CONFIGURATION.evaluation.aggregate,
+      embeddings: CONFIGURATION.embeddings,
+      judge: CONFIGURATION.judge
     };
 
-    // Create a function to process a single test case
-    async function processTestCase(model, input_user_prompt, promptContent, input_data_file, documentContent, testId = 'N/A') {
+    // Create a function to process a single test case: every sample, combined into one result
+    // A failed sample fails the whole test case, so the statistics never cover fewer samples than requested
+    // and a resumed run sends the test case again
+    async function processTestCase(testCase, testId = 'N/A') {
+      const { count, seeds } = CONFIGURATION.repeats;
+      const samples = [];
+
+      try {
+        for (let sample = 1; sample <= count; sample++) {
+          const seed = seeds?.[sample - 1];
+          const sampleId = count > 1 ? `${testId} - SAMPLE ${sample}/${count}${seed !== undefined ? ` (seed ${seed})` : ''}` : testId;
+          const result = await processSample(testCase, sampleId, { sample, seed });
+          if (!result) {
+            if (samples.length > 0) {
+              console.warn(`⚠️ TEST ${testId}: sample ${sample}/${count} failed, discarding the ${samples.length} completed samples`);
+            }
+            return null;
+          }
+          samples.push(result);
+        }
+
+        const result = samples.length > 1 ? combineSamples(samples, seeds) : samples[0];
+        if (samples.length > 1) {
+          const { overall } = result.statistics.metrics;
+          console.log(`🎲 TEST ${testId}: overall ${formatSampleStatistics(overall)} over ${samples.length} samples`);
+        }
+
+        // Write individual result to disk immediately and correlate it with its inputs
+        const { jsonPath } = await saveIndividualResult(result);
+        if (!pairwiseJudge) {
+          await recordCorrelation(getResultCorrelation(result, jsonPath));
+        }
+
+        return result;
+      } catch (error) {
+        logTestFailure(testCase, testId, error);
+        return null;
+      }
+    }
+
+    // Send a test case once and evaluate the response
+    async function processSample(testCase, testId, sampleOptions) {
+      const { endpoint, model, input_user_prompt, promptContent, input_data_file, documentContent, variables, parameters } = testCase;
       const displayName = promptContent.type !== 'legacy' ?
         `${promptContent.type}_${promptContent.name}` : input_user_prompt;
 
@@ -738,43 +2383,108 @@ async function runTests() {
       console.log(`${'='.repeat(50)}`);
       console.log(`📋 Test Details:`);
       console.log(`  • Model: ${model}`);
+      console.log(`  • Endpoint: ${endpoint}`);
       console.log(`  • Prompt: ${displayName} (${promptContent.type} type)`);
       console.log(`  • File: ${input_data_file}`);
+      if (parameters) {
+        console.log(`  • Parameters: ${getParameterLabel(parameters)}`);
+      }
       console.log(`${'─'.repeat(50)}`);
 
       try {
+        // Swept parameters take precedence over the prompt's and the model's sampling settings
+        const executionOptions = { endpoint, ...parameters, ...sampleOptions };
         console.log(`⏳ Executing prompt...`);
-        const response = await executePrompt(model, promptContent, documentContent, input_user_prompt, prompts);
-        
+        const conversation = promptContent.type === 'conversation';
+        let replies;
+        let chunks = null;
+        if (conversation) {
+          replies = await executeConversation(model, promptContent, variables, input_user_prompt, prompts, executionOptions);
+        } else if (CONFIGURATION.chunking.enabled) {
+          const execution = await executeChunked(model, promptContent, variables, input_user_prompt, prompts, executionOptions);
+          chunks = execution.chunks;
+          replies = [{ turn: null, prompt: promptContent.content, response: execution.response }];
+        } else {
+          replies = [{ turn: null, prompt: promptContent.content, response: await executePrompt(model, promptContent, variables, input_user_prompt, prompts, executionOptions) }];
+        }
+        // Every request of the test case: the model replies, and the chunks of a split document
+        const requests = [...(chunks || []), ...replies];
+        const finalReply = replies[replies.length - 1];
+        const response = finalReply.response;
+
         console.log(`🔍 Parsing response...`);
-        const parsedResponse = await parseJsonFromResponse(response);
-        
-        console.log(`📝 Evaluating response...`);
-        const evaluation = await evaluateResponse(parsedResponse, evaluationOptions);
+        for (const reply of replies) {
+          reply.parsedResponse = await parseJsonFromResponse(reply.response);
+        }
+        const parsedResponse = finalReply.parsedResponse;
 
-        if (!evaluation) {
-          console.error(`❌ Error: Failed to evaluate response for model ${model}, prompt ${input_user_prompt}, file ${input_data_file}.`);
-          return null;
+        console.log(`📝 Evaluating response...`);
+        const promptSettings = getPromptSettings(promptContent, prompts);
+        const promptSchema = await getPromptSchema(promptSettings);
+        // Conversations evaluate their final reply, or every reply; a reply's expected output is the one its turn declares,
+        // and the final reply falls back to the data file's expected output
+        const evaluatedReplies = conversation && promptSettings.evaluate === 'each' ? replies : [finalReply];
+        for (const reply of evaluatedReplies) {
+          reply.evaluation = await evaluateResponse(reply.parsedResponse, {
+            ...evaluationOptions,
+            expectedFields: promptSettings.expectedFields ?? evaluationOptions.expectedFields,
+            relevantTerms: promptSettings.relevantTerms ?? evaluationOptions.relevantTerms,
+            schema: promptSchema?.schema ?? null,
+            expected: reply.expected ?? (reply === finalReply ? references[input_data_file] : undefined),
+            document: documentContent,
+            metadata: metadata[input_data_file] || {},
+            prompt: reply.prompt
+          });
+
+          if (!reply.evaluation) {
+            console.error(`❌ Error: Failed to evaluate response for model ${model}, prompt ${input_user_prompt}, file ${input_data_file}.`);
+            return null;
+          }
         }
 
-        const {quantitative, qualitative} = evaluation;
+        const {qualitative, reference, schemaValidation} = finalReply.evaluation;
+        const quantitative = evaluatedReplies.length > 1 ?
+          getMeanMetrics(evaluatedReplies.map(reply => reply.evaluation)) :
+          finalReply.evaluation.quantitative;
         let input_system_prompt = null;
         let input_assistant_prompt = null;
 
         console.log(`\n${'─'.repeat(50)}`);
-        console.log(`✅ TEST ${testId} - COMPLETED in ${response.usage?.completion_ms || 'unknown'} ms`);
-        console.log(`📊 Scores:`);
-        console.log(`  • Overall: ${quantitative.overall.toFixed(CSV_FORMAT.FRACTION_DIGITS)}`);
-        console.log(`  • Accuracy: ${quantitative.accuracy.toFixed(CSV_FORMAT.FRACTION_DIGITS)}`);
-        console.log(`  • Completeness: ${quantitative.completeness.toFixed(CSV_FORMAT.FRACTION_DIGITS)}`);
-        console.log(`  • Relevance: ${quantitative.relevance.toFixed(CSV_FORMAT.FRACTION_DIGITS)}`);
+        console.log(`✅ TEST ${testId} - COMPLETED in ${response.performance?.completion_ms ?? response.usage?.completion_ms ?? 'unknown'} ms`);
+        console.log(`📊 Scores${evaluatedReplies.length > 1 ? ` (average of ${evaluatedReplies.length} turns)` : ''}:`);
+        for (const name of getMetricNames([{ quantitative }])) {
+          console.log(`  • ${getMetricLabel(name)}: ${formatMetric(quantitative[name], CSV_FORMAT.FRACTION_DIGITS)}`);
+        }
+        if (evaluatedReplies.length > 1) {
+          for (const reply of evaluatedReplies) {
+            console.log(`💬 Turn ${reply.turn}: overall ${formatMetric(reply.evaluation.quantitative.overall, CSV_FORMAT.FRACTION_DIGITS)}`);
+          }
+        }
+        if (schemaValidation) {
+          console.log(schemaValidation.valid ?
+            `📐 Schema: valid` :
+            `📐 Schema: ${schemaValidation.errors.length} violations (${schemaValidation.errors.slice(0, 3).map(({ path, message }) => `${path} ${message}`).join('; ')})`);
+        }
+        if (reference) {
+          console.log(`🎯 Reference: exact match ${reference.exact_match}, token F1 ${reference.token_f1.toFixed(CSV_FORMAT.FRACTION_DIGITS)}` +
+            (reference.field_match !== null ? `, field match ${reference.field_match.toFixed(CSV_FORMAT.FRACTION_DIGITS)}` : ''));
+        }
+        if (response.usage?.source) {
+          console.log(`🔢 Tokens: ${response.usage.prompt_tokens} prompt, ${response.usage.completion_tokens} completion (${response.usage.source})`);
+        }
+        if (response.performance?.tokens_per_second) {
+          const firstToken = response.performance.time_to_first_token_ms !== null ?
+            `, first token after ${response.performance.time_to_first_token_ms} ms` : '';
+          console.log(`⚡ Speed: ${response.performance.tokens_per_second.toFixed(2)} tokens/s${firstToken}`);
+        }
         console.log(`${'='.repeat(50)}`);
 
         const baseName = promptContent.name;
         let foundMatchingSystem = false;
         let fallbackSystemPrompt = null;
 
-        for (const [otherPromptFile, otherPrompt] of Object.entries(prompts)) {
+        // Conversations carry their own system turns
+        for (const [otherPromptFile, otherPrompt] of conversation ? [] : Object.entries(prompts)) {
           if (otherPrompt.name === baseName) {
             if (otherPrompt.type === 'system') {
               input_system_prompt = otherPromptFile;
@@ -797,85 +2507,94 @@ async function runTests() {
         }
 
         const result = {
-          id: `${model}-${input_user_prompt}-${input_data_file}`,
+          id: getTestCaseId(testCase),
+          run_id: runId,
+          correlation_id: createCorrelationId(model, input_data_file, input_user_prompt),
           timestamp: new Date().toISOString(),
           model,
-          input_user_prompt: promptContent.type === 'user' ? input_user_prompt : null,
+          endpoint,
+          input_user_prompt: promptContent.type === 'user' || conversation ? input_user_prompt : null,
           input_system_prompt,
           input_assistant_prompt,
           prompt_type: promptContent.type,
           prompt_name: promptContent.name,
           input_data_file,
+          parameters,
+          tags: metadata[input_data_file]?.tags || null,
+          attempts: requests.reduce((sum, request) => sum + (request.response.attempts ?? 1), 0),
+          performance: response.performance || null,
+          tokens: sumTokens(requests.map(request => getResultTokens(request.response.usage))),
           quantitative,
           qualitative,
+          reference,
+          schema_validation: schemaValidation && { schema: promptSchema.file, ...schemaValidation },
           response: parsedResponse,
+          ...(conversation && {
+            turns: replies.map(reply => ({
+              turn: reply.turn,
+              prompt: reply.prompt,
+              response: reply.parsedResponse,
+              tokens: getResultTokens(reply.response.usage),
+              performance: reply.response.performance || null,
+              quantitative: reply.evaluation?.quantitative ?? null,
+              qualitative: reply.evaluation?.qualitative ?? null,
+              reference: reply.evaluation?.reference ?? null
+            }))
+          }),
+          ...(chunks && {
+            chunking: {
+              strategy: CONFIGURATION.chunking.strategy,
+              size: CONFIGURATION.chunking.size,
+              overlap: CONFIGURATION.chunking.overlap,
+              reduce: await getReducePrompt(CONFIGURATION.chunking) ? 'prompt' : CONFIGURATION.chunking.merge,
+              chunks: chunks.map(chunk => ({
+                chunk: chunk.index,
+                start: chunk.start,
+                end: chunk.end,
+                document_tokens: chunk.tokens,
+                response: chunk.parsedResponse,
+                tokens: getResultTokens(chunk.response.usage),
+                performance: chunk.response.performance || null
+              }))
+            }
+          })
         };
 
-        // Write individual result to disk immediately
-        await saveIndividualResult(result);
-
         return result;
       } catch (error) {
-        // Extract the most useful part of the error message
-        let errorMessage = 'Unknown error';
-        if (error.cause && error.cause.code) {
-          errorMessage = `${error.cause.code}`;
-        } else if (error.message) {
-          // Limit error message length for readability
-          errorMessage = error.message.length > 100 ? 
-            `${error.message.substring(0, 100)}...` : error.message;
-        }
-        
-        // Format error output with clear visual indicators
-        console.log(`\n${'─'.repeat(50)}`);
-        console.log(`❌ TEST ${testId} - FAILED`);
-        console.log(`🚨 Error details:`);
-        console.log(`  • Model: ${model}`);
-        console.log(`  • Prompt: ${input_user_prompt}`);
-        console.log(`  • File: ${input_data_file}`);
-        console.log(`  • Error: ${errorMessage}`);
-        console.log(`${'='.repeat(50)}`);
+        logTestFailure(testCase, testId, error);
         return null;
       }
     }
 
-    // Generate all test cases
-    const testCases = modelsToTest.reduce((acc, model) => {
-      const modelCases = Object.entries(prompts).reduce((promptAcc, [input_user_prompt, promptContent]) => {
-        if (promptContent.type === 'system' || promptContent.type === 'assistant') {
-          console.log(`Skipping evaluation for ${promptContent.type} prompt: ${input_user_prompt} (will be correlated with user prompts)`);
-          return promptAcc;
-        }
-
-        const promptCases = Object.entries(data).map(([input_data_file, documentContent]) => ({
-          model,
-          input_user_prompt,
-          promptContent,
-          input_data_file,
-          documentContent
-        }));
+    for (const [input_user_prompt, promptContent] of Object.entries(prompts)) {
+      if (promptContent.type === 'system' || promptContent.type === 'assistant') {
+        console.log(`Skipping evaluation for ${promptContent.type} prompt: ${input_user_prompt} (will be correlated with user prompts)`);
+      }
+    }
 
-        return promptAcc.concat(promptCases);
-      }, []);
+    // Generate all test cases, skipping those a resumed run already completed
+    const allTestCases = buildTestCases(targets, prompts, data, metadata);
+    const testCases = allTestCases.filter(testCase =>
+      !completedResults.has(getTestCaseId(testCase))
+    );
 
-      return acc.concat(modelCases);
-    }, []);
+    if (testCases.length < allTestCases.length) {
+      console.log(`Skipping ${allTestCases.length - testCases.length} test cases completed before the run was interrupted`);
+    }
 
     // No sampling - using all test cases
     console.log(`Running all ${testCases.length} test cases`);
 
 
-    // Get concurrency limit from environment or use default
-    const concurrencyLimit = parseInt(process.env.CONCURRENCY_LIMIT || '3', 10);
-    console.log(`Running tests with concurrency limit: ${concurrencyLimit}`);
-
-    // Group test cases by model
-    const testCasesByModel = Object.create(null);
+    // Group test cases by endpoint, then by model
+    const testCasesByEndpoint = Object.create(null);
     for (const testCase of testCases) {
-      if (!testCasesByModel[testCase.model]) {
-        testCasesByModel[testCase.model] = [];
+      const endpointCases = testCasesByEndpoint[testCase.endpoint] ??= Object.create(null);
+      if (!endpointCases[testCase.model]) {
+        endpointCases[testCase.model] = [];
       }
-      testCasesByModel[testCase.model].push(testCase);
+      endpointCases[testCase.model].push(testCase);
     }
 
     // Process test cases for a single model in parallel with concurrency limit
@@ -892,14 +2611,7 @@ async function runTests() {
         }
 
         // Process the next test case
-        const promise = processTestCase(
-          testCase.model,
-          testCase.input_user_prompt,
-          testCase.promptContent,
-          testCase.input_data_file,
-          testCase.documentContent,
-          testId
-        ).then(result => {
+        const promise = processTestCase(testCase, testId).then(result => {
           inProgress.delete(promise);
           if (result) results.push(result);
         });
@@ -912,65 +2624,75 @@ async function runTests() {
       return results;
     };
 
-    // Process models sequentially, but prompt-data combinations in parallel
-    const allResults = [];
-    const modelEntries = Object.entries(testCasesByModel);
-    const totalModels = modelEntries.length;
-    
+    // Process the models of an endpoint sequentially, but prompt-data combinations in parallel
+    const processEndpointTestCases = async (endpoint, testCasesByModel) => {
+      const endpointResults = [];
+      const modelEntries = Object.entries(testCasesByModel);
+      const totalModels = modelEntries.length;
+      const concurrencyLimit = endpoint.concurrency;
+
+      console.log(`Running tests on endpoint ${endpoint.name} (${endpoint.url}) with concurrency limit: ${concurrencyLimit}`);
+
+      for (let i = 0; i < modelEntries.length; i++) {
+        const [model, modelTestCases] = modelEntries[i];
+        const modelProgress = `(${i + 1}/${totalModels})`;
+        const modelLabel = getModelLabel({ endpoint: endpoint.name, model });
+
+        console.log(`\n${'─'.repeat(60)}`);
+        console.log(`📦 Processing model ${modelProgress}: ${modelLabel}`);
+        console.log(`📋 Test cases: ${modelTestCases.length}`);
+        console.log(`⏳ Estimated time: ~${Math.round(modelTestCases.length * 5 / concurrencyLimit)} minutes`);
+        console.log(`${'─'.repeat(60)}`);
+
+        const startTime = Date.now();
+        const modelResults = await processModelTestCases(modelTestCases, concurrencyLimit);
+        const elapsedTime = ((Date.now() - startTime) / 1000 / 60).toFixed(2);
+
+        console.log(`\n✅ Model ${modelLabel} completed in ${elapsedTime} minutes`);
+        console.log(`📊 Results: ${modelResults.length}/${modelTestCases.length} tests passed`);
+
+        endpointResults.push(...modelResults);
+      }
+
+      return endpointResults;
+    };
+
+    // Endpoints are separate servers, so they run in parallel
+    const endpointEntries = getEndpoints().filter(endpoint => testCasesByEndpoint[endpoint.name]);
+    const totalModels = endpointEntries.reduce((sum, endpoint) => sum + Object.keys(testCasesByEndpoint[endpoint.name]).length, 0);
+
     console.log(`\n${'='.repeat(60)}`);
-    console.log(`🔍 STARTING TEST EXECUTION - ${testCases.length} total test cases across ${totalModels} models`);
+    console.log(`🔍 STARTING TEST EXECUTION - ${testCases.length} total test cases across ${totalModels} models on ${endpointEntries.length} endpoints`);
     console.log(`${'='.repeat(60)}`);
-    
-    for (let i = 0; i < modelEntries.length; i++) {
-      const [model, modelTestCases] = modelEntries[i];
-      const modelProgress = `(${i + 1}/${totalModels})`;
-      
-      console.log(`\n${'─'.repeat(60)}`);
-      console.log(`📦 Processing model ${modelProgress}: ${model}`);
-      console.log(`📋 Test cases: ${modelTestCases.length}`);
-      console.log(`⏳ Estimated time: ~${Math.round(modelTestCases.length * 5 / concurrencyLimit)} minutes`);
-      console.log(`${'─'.repeat(60)}`);
-      
-      const startTime = Date.now();
-      const modelResults = await processModelTestCases(modelTestCases, concurrencyLimit);
-      const elapsedTime = ((Date.now() - startTime) / 1000 / 60).toFixed(2);
-      
-      console.log(`\n✅ Model ${model} completed in ${elapsedTime} minutes`);
-      console.log(`📊 Results: ${modelResults.length}/${modelTestCases.length} tests passed`);
-      
-      allResults.push(...modelResults);
-    }
 
-    results.push(...allResults.filter(result => result !== null));
+    const allResults = (await Promise.all(
+      endpointEntries.map(endpoint => processEndpointTestCases(endpoint, testCasesByEndpoint[endpoint.name]))
+    )).flat();
+
+    // Keep previously completed results of a resumed run that are still part of the test matrix
+    const previousResults = allTestCases
+      .map(testCase => completedResults.get(getTestCaseId(testCase)))
+      .filter(Boolean);
+
+    results.push(...previousResults, ...allResults.filter(result => result !== null));
+
+    if (pairwiseJudge) {
+      await judgeAgainstBaseline(results, data, prompts);
+      await recordJudgedResults(results);
+    }
 
     if (results.length > 0) {
-      const saveInfo = await saveResults(results);
+      const saveInfo = await saveResults(results, runId);
       
       console.log(`\n${'='.repeat(60)}`);
       console.log(`📊 TEST EXECUTION SUMMARY`);
       console.log(`${'='.repeat(60)}`);
       
-      const totalTests = testCases.length;
+      const totalTests = allTestCases.length;
       const successfulTests = results.length;
       const failedTests = totalTests - successfulTests;
       
-      const avgScores = {
-        overall: 0,
-        accuracy: 0,
-        completeness: 0,
-        relevance: 0
-      };
-      
-      results.forEach(result => {
-        avgScores.overall += result.quantitative.overall;
-        avgScores.accuracy += result.quantitative.accuracy;
-        avgScores.completeness += result.quantitative.completeness;
-        avgScores.relevance += result.quantitative.relevance;
-      });
-      
-      Object.keys(avgScores).forEach(key => {
-        avgScores[key] = (avgScores[key] / successfulTests).toFixed(CSV_FORMAT.FRACTION_DIGITS);
-      });
+      const avgScores = getAverageMetrics(results.map(result => result.quantitative), getMetricNames(results));
       
       console.log(`📊 Test Statistics:`);
       console.log(`  • Total Tests: ${totalTests}`);
@@ -978,49 +2700,54 @@ async function runTests() {
       console.log(`  • Failed: ${failedTests} (${Math.round(failedTests/totalTests*100)}%)`);
       
       console.log(`\n📊 Average Scores:`);
-      console.log(`  • Overall: ${avgScores.overall}`);
-      console.log(`  • Accuracy: ${avgScores.accuracy}`);
-      console.log(`  • Completeness: ${avgScores.completeness}`);
-      console.log(`  • Relevance: ${avgScores.relevance}`);
+      for (const [name, value] of Object.entries(avgScores)) {
+        console.log(`  • ${getMetricLabel(name)}: ${formatMetric(value, CSV_FORMAT.FRACTION_DIGITS)}`);
+      }
       
       console.log(`\n✅ Tests completed successfully!`);
       console.log(`${'='.repeat(60)}`);
       
-      try {
-        const runDir = saveInfo.runDir;
-        const files = await fs.readdir(runDir);
-        let csvContent = '';
+      if (CONFIGURATION.outputs.slack) {
+        try {
+          const runDir = saveInfo.runDir;
+          const files = await fs.readdir(runDir);
+          let csvContent = '';
         
-        const csvFile = files.find(file => file.endsWith('.csv'));
-        if (csvFile) {
-          const csvPath = path.join(runDir, csvFile);
-          try {
-            csvContent = await fs.readFile(csvPath, 'utf8');
-            console.log(`Found CSV file for Slack webhook: ${csvPath}`);
-          } catch (err) {
-            console.warn(`Could not read CSV file ${csvPath} for Slack webhook:`, err.message);
+          const csvFile = files.find(file => file.endsWith('.csv'));
+          if (csvFile) {
+            const csvPath = path.join(runDir, csvFile);
+            try {
+              csvContent = await fs.readFile(csvPath, 'utf8');
+              console.log(`Found CSV file for Slack webhook: ${csvPath}`);
+            } catch (err) {
+              console.warn(`Could not read CSV file ${csvPath} for Slack webhook:`, err.message);
+            }
           }
-        }
         
-        const testSummary = {
-          totalTests,
-          successful: successfulTests,
-          failed: failedTests,
-          averageScores: {
-            overall: parseFloat(avgScores.overall),
-            accuracy: parseFloat(avgScores.accuracy),
-            completeness: parseFloat(avgScores.completeness),
-            relevance: parseFloat(avgScores.relevance)
-          }
-        };
+          const testSummary = {
+            totalTests,
+            successful: successfulTests,
+            failed: failedTests,
+            averageScores: avgScores
+          };
         
-        console.log('Sending test results to Slack...');
-        await sendTestResultsToSlack(testSummary, csvContent);
-      } catch (slackError) {
-        console.error('Error sending test results to Slack:', slackError);
+          console.log('Sending test results to Slack...');
+          await sendTestResultsToSlack(testSummary, csvContent);
+        } catch (slackError) {
+          console.error('Error sending test results to Slack:', slackError);
+        }
       }
+
+      return {
+        totalTests,
+        successful: successfulTests,
+        failed: failedTests,
+        runId,
+        runDir: saveInfo.runDir
+      };
     } else {
       console.error('\n❌ No test results were generated.');
+      return { ...emptySummary, totalTests: allTestCases.length, failed: allTestCases.length };
     }
   } catch (error) {
     console.log(`\n${'='.repeat(60)}`);
@@ -1039,7 +2766,7 @@ async function runTests() {
     
     if (errorMessage.includes('ECONNREFUSED') || errorMessage.includes('ETIMEDOUT')) {
       console.log(`\n🔧 Troubleshooting suggestions:`);
-      console.log(`  • Check if the model server is running at ${CONFIGURATION.modelServer.url}`);
+      console.log(`  • Check if the model servers are running at ${getEndpoints().map(endpoint => endpoint.url).join(', ')}`);
       console.log(`  • Verify network connectivity to the model server`);
       console.log(`  • Consider increasing the request timeout in the environment variables`);
     } else if (errorMessage.includes('HeadersTimeoutError')) {
@@ -1063,8 +2790,50 @@ async function runTests() {
     } catch (slackError) {
       console.error('Failed to send error notification to Slack:', slackError);
     }
+
+    throw error;
   }
 }
 
-// Run the tests
-runTests().catch(console.error);
+/**
+ * Run a previous run again from its manifest and diff the scores
+ *
+ * Key implementation details:
+ * - The manifest's configuration replaces the current one (see applyRunManifest) and responses aren't read from the cache,
+ *   so every test case is sent again, with the run's seeds; servers supporting seeds can then return the same responses
+ * - The reproduction is a new run, with its own run directory and manifest; the differences between both manifests
+ *   (git commit, prompts, data files, schemas, evaluators) explain scores that changed
+ * - The score diff is saved as `reproduction.json` in the reproduction's run directory
+ *
+ * @param {string} runDir - Directory of the run to reproduce
+ * @param {Object} options - Run options (see configureRun); the manifest is loaded from the run directory unless given
+ * @returns {Promise<Object>} - The reproduction's `run` summary (see runTests), the manifest differences and the score diff (see diffScores)
+ * @throws {Error} - If the run has no manifest, or the reproduction produced no results
+ */
+export async function reproduceRun(runDir, options = {}) {
+  const manifest = options.manifest || await loadRunManifest(runDir);
+  console.log(`Reproducing run ${manifest.run_id} from ${path.join(runDir, MANIFEST_FILE)}`);
+  if (!manifest.configuration.repeats.seeds) {
+    console.warn('The run sent no sampling seeds: responses sampled with a non-zero temperature may differ');
+  }
+
+  const summary = await runTests({ ...options, manifest, resume: null });
+  if (!summary.runDir) {
+    throw new Error(`Reproducing run ${manifest.run_id} produced no results`);
+  }
+
+  const original = await loadRunResults(runDir, manifest.run_id);
+  const reproduced = await loadRunResults(summary.runDir, summary.runId);
+  const reproduction = {
+    original_run: manifest.run_id,
+    reproduction_run: summary.runId,
+    manifest_differences: compareManifests(manifest, await loadRunManifest(summary.runDir)),
+    ...diffScores(original, reproduced)
+  };
+
+  const reproductionPath = path.join(summary.runDir, 'reproduction.json');
+  await fs.writeFile(reproductionPath, JSON.stringify(reproduction, null, 2));
+  console.log(`Reproduction saved to ${reproductionPath}`);
+
+  return { run: summary, ...reproduction };
+}
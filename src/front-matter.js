@@ -0,0 +1,25 @@
+import YAML from 'yaml';
+
+// A front-matter block opens the file with a `---` line and ends at the next `---` line
+const FRONT_MATTER_PATTERN = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Split a file into its YAML front-matter and its body
+ *
+ * @param {string} text - The file content
+ * @returns {{attributes: Object, body: string}} - The front-matter attributes (empty without front-matter) and the rest of the file
+ * @throws {Error} - If the front-matter isn't valid YAML or isn't a mapping
+ */
+export function parseFrontMatter(text) {
+  const match = text.match(FRONT_MATTER_PATTERN);
+  if (!match) {
+    return { attributes: {}, body: text };
+  }
+
+  const attributes = YAML.parse(match[1]) ?? {};
+  if (typeof attributes !== 'object' || Array.isArray(attributes)) {
+    throw new Error('front-matter must be a mapping of settings');
+  }
+
+  return { attributes, body: text.slice(match[0].length) };
+}
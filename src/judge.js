@@ -0,0 +1,228 @@
+import fs from 'fs/promises';
+import path from 'path';
+import {CONFIGURATION} from './config.js';
+import OpenAIAdapter from './adapters/openai.js';
+import {generateCacheKey, getFromCache, saveToCache} from '../utils/cache-utils.js';
+
+/**
+ * Judge modes: grade every response on its own, or compare it with a baseline response
+ */
+export const JUDGE_MODES = ['score', 'pairwise'];
+
+/**
+ * Rubric used when the configuration doesn't provide one
+ */
+export const DEFAULT_RUBRIC = `- Correctness: statements are supported by the source document, nothing is invented
+- Completeness: the response covers everything the task asks for
+- Relevance: the response focuses on the task and the document, without filler
+- Clarity: the response is well structured and easy to follow`;
+
+const SCORE_SCHEMA = {
+  type: 'object',
+  properties: {
+    score: { type: 'integer', minimum: 1, maximum: 10 },
+    rationale: { type: 'string' }
+  },
+  required: ['score', 'rationale']
+};
+
+const PAIRWISE_SCHEMA = {
+  type: 'object',
+  properties: {
+    winner: { type: 'string', enum: ['A', 'B', 'tie'] },
+    rationale: { type: 'string' }
+  },
+  required: ['winner', 'rationale']
+};
+
+/**
+ * Grade a response with the judge model
+ *
+ * Key implementation details:
+ * - Sends the rubric, the task, the source document and the response to the judge model
+ * - The judge answers with a 1-10 rating and a rationale (structured output, with a fallback for judges
+ *   that wrap their JSON in text); the rating is normalized to a 0-1 score like the other metrics
+ *
+ * @param {Object} input - What to judge
+ * @param {Object|string} input.response - The model response
+ * @param {string} input.document - The source document
+ * @param {string} [input.prompt] - The task given to the model
+ * @param {Object} judge - Judge configuration (see CONFIGURATION.judge)
+ * @returns {Promise<{score: number, rating: number, rationale: string}>} - The judgement
+ * @throws {Error} - If the judge call fails or its answer can't be parsed
+ */
+export async function judgeResponse({ response, document, prompt }, judge = CONFIGURATION.judge) {
+  const messages = [
+    {
+      role: 'system',
+      content: 'You are an impartial judge evaluating the response of an AI model to a task. ' +
+        'Grade the response against the rubric on a scale from 1 (unusable) to 10 (excellent). ' +
+        'Reply with JSON only: {"score": <integer 1-10>, "rationale": "<one or two sentences>"}.'
+    },
+    {
+      role: 'user',
+      content: `# Rubric\n${await getRubric(judge)}\n\n${formatTask(prompt, document)}# Response\n${formatResponse(response)}`
+    }
+  ];
+
+  const { score, rationale } = await callJudge(messages, SCORE_SCHEMA, judge);
+  const rating = Math.min(10, Math.max(1, Math.round(Number(score))));
+  if (!Number.isFinite(rating)) {
+    throw new Error(`Judge returned an invalid score: ${JSON.stringify(score)}`);
+  }
+
+  return { score: (rating - 1) / 9, rating, rationale: String(rationale || '') };
+}
+
+/**
+ * Compare two responses to the same task with the judge model
+ *
+ * Key implementation details:
+ * - Judges both orders (A/B and B/A) to cancel out the judge's position bias;
+ *   a response only wins when it wins in both orders, anything else is a tie
+ * - The rationale is the one of the verdict both orders agree on; when the orders disagree, the tie's rationale holds both,
+ *   with the response each order chose
+ *
+ * @param {Object} input - What to compare
+ * @param {Object|string} input.responseA - The response being evaluated
+ * @param {Object|string} input.responseB - The baseline response
+ * @param {string} input.document - The source document
+ * @param {string} [input.prompt] - The task given to the models
+ * @param {Object} judge - Judge configuration (see CONFIGURATION.judge)
+ * @returns {Promise<{winner: string, score: number, rationale: string}>} - The winner (`A`, `B` or `tie`),
+ *   the score of response A (1 win, 0.5 tie, 0 loss) and the judge's rationale
+ * @throws {Error} - If a judge call fails or its answer can't be parsed
+ */
+export async function compareResponses({ responseA, responseB, document, prompt }, judge = CONFIGURATION.judge) {
+  const rubric = await getRubric(judge);
+  const compare = (first, second) => callJudge([
+    {
+      role: 'system',
+      content: 'You are an impartial judge comparing the responses of two AI models to the same task. ' +
+        'Decide which response better satisfies the rubric; the order of the responses must not influence you. ' +
+        'Reply with JSON only: {"winner": "A" | "B" | "tie", "rationale": "<one or two sentences>"}.'
+    },
+    {
+      role: 'user',
+      content: `# Rubric\n${rubric}\n\n${formatTask(prompt, document)}` +
+        `# Response A\n${formatResponse(first)}\n\n# Response B\n${formatResponse(second)}`
+    }
+  ], PAIRWISE_SCHEMA, judge);
+
+  const forward = await compare(responseA, responseB);
+  const backward = await compare(responseB, responseA);
+
+  let winner = 'tie';
+  if (forward.winner === 'A' && backward.winner === 'B') {
+    winner = 'A';
+  } else if (forward.winner === 'B' && backward.winner === 'A') {
+    winner = 'B';
+  }
+
+  const agreed = winner !== 'tie' || (forward.winner === 'tie' && backward.winner === 'tie');
+  const choice = verdict => verdict === 'A' || verdict === 'B' ? `response ${verdict}` : 'a tie';
+  const swapped = { A: 'B', B: 'A' };
+  const rationale = agreed ?
+    String(forward.rationale || '') :
+    `The verdict depends on the order of the responses. In the A/B order the judge chose ${choice(forward.winner)}: ` +
+    `${forward.rationale || ''} In the B/A order, where "Response A" is response B, it chose ` +
+    `${choice(swapped[backward.winner] || backward.winner)}: ${backward.rationale || ''}`;
+
+  return {
+    winner,
+    score: winner === 'A' ? 1 : winner === 'B' ? 0 : 0.5,
+    rationale
+  };
+}
+
+/**
+ * Send messages to the judge model and parse its JSON answer
+ * Answers are cached by judge model and messages when judge caching is enabled
+ *
+ * @param {Array} messages - The judge messages
+ * @param {Object} schema - JSON schema of the answer
+ * @param {Object} judge - Judge configuration
+ * @returns {Promise<Object>} - The parsed answer
+ */
+async function callJudge(messages, schema, judge) {
+  if (!judge.model) {
+    throw new Error('No judge model configured (JUDGE_MODEL or judge.model in the experiment file)');
+  }
+
+  const cacheDirectory = path.join(CONFIGURATION.performance.caching.directory, 'judge');
+  const cacheKey = generateCacheKey(judge.model, { type: 'judge', name: judge.mode, content: messages[0].content }, messages[1].content);
+
+  if (judge.cache) {
+    const cached = await getFromCache(cacheDirectory, cacheKey);
+    if (cached) {
+      return cached;
+    }
+  }
+
+  const adapter = new OpenAIAdapter({
+    baseUrl: judge.url || CONFIGURATION.modelServer.url,
+    model: judge.model,
+    temperature: judge.temperature,
+    max_tokens: judge.max_tokens,
+    timeout: CONFIGURATION.modelServer.timeout,
+    retry: CONFIGURATION.modelServer.retry,
+    circuitBreaker: CONFIGURATION.modelServer.circuitBreaker
+  });
+
+  const data = await adapter.chat(messages, { schema, stream: false });
+  const answer = parseJudgeAnswer(data.choices?.[0]?.message?.content || '');
+
+  if (judge.cache) {
+    await saveToCache(cacheDirectory, cacheKey, answer);
+  }
+
+  return answer;
+}
+
+/**
+ * Parse the judge's answer, tolerating text or code fences around the JSON object
+ *
+ * @param {string} content - The judge's message content
+ * @returns {Object} - The parsed answer
+ * @throws {Error} - If the answer contains no JSON object
+ */
+function parseJudgeAnswer(content) {
+  try {
+    return JSON.parse(content);
+  } catch {
+    const match = content.match(/\{[\s\S]*\}/);
+    if (match) {
+      try {
+        return JSON.parse(match[0]);
+      } catch {
+        // Reported below
+      }
+    }
+  }
+
+  throw new Error(`Could not parse the judge's answer: ${content.slice(0, 100)}`);
+}
+
+/**
+ * Get the grading rubric: inline, from the rubric file, or the built-in rubric
+ *
+ * @param {Object} judge - Judge configuration
+ * @returns {Promise<string>} - The rubric
+ */
+async function getRubric(judge) {
+  if (judge.rubric) {
+    return judge.rubric;
+  }
+  if (judge.rubricFile) {
+    return (await fs.readFile(judge.rubricFile, 'utf8')).trim();
+  }
+  return DEFAULT_RUBRIC;
+}
+
+function formatTask(prompt, document) {
+  return `${prompt ? `# Task\n${prompt}\n\n` : ''}# Source document\n${document || '(none)'}\n\n`;
+}
+
+function formatResponse(response) {
+  return typeof response === 'string' ? response : JSON.stringify(response, null, 2);
+}
@@ -0,0 +1,249 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import {CONFIGURATION} from '../config.js';
+import {getFromCache, saveToCache} from '../../utils/cache-utils.js';
+
+// Bumped when the extracted text or metadata changes shape, so cached extractions are redone
+const EXTRACTION_VERSION = 1;
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Load a PDF data file as a single document
+ *
+ * Key implementation details:
+ * - The text layer of every page is extracted locally (pdf.js); pages are separated by a blank line
+ * - `page_count` and `pages` (`{ page, start, end }` offsets of each page in the text) are metadata variables,
+ *   `sections` (`{ title, level, page, start }`) lists the document outline (bookmarks), if it has one
+ * - Pages without text are reported, as they are usually scanned images that need OCR
+ *
+ * @param {string} filePath - Path to the data file
+ * @returns {Promise<Array>} - A single record holding the extracted text
+ * @throws {Error} - If the file can't be parsed or has no text at all
+ */
+export async function loadPdf(filePath) {
+  const { text, pages, sections } = await extractCached(filePath, extractPdf);
+
+  return [{ id: null, input: text, metadata: { page_count: pages.length, pages, sections } }];
+}
+
+/**
+ * Load a DOCX data file as a single document
+ *
+ * Key implementation details:
+ * - The text is extracted locally (mammoth): paragraphs, headings, lists and tables are separated by a blank line,
+ *   list items and table rows by a line break, table cells by a tab
+ * - `sections` (`{ title, level, start, end }` offsets of each heading's section in the text) is a metadata variable;
+ *   DOCX files have no fixed pages, so there is no page metadata
+ * - Content the converter doesn't understand (unknown styles, embedded objects) is reported
+ *
+ * @param {string} filePath - Path to the data file
+ * @returns {Promise<Array>} - A single record holding the extracted text
+ * @throws {Error} - If the file can't be parsed or has no text at all
+ */
+export async function loadDocx(filePath) {
+  const { text, sections } = await extractCached(filePath, extractDocx);
+
+  return [{ id: null, input: text, metadata: { sections } }];
+}
+
+/**
+ * Extract the text of a document, going through the extraction cache
+ *
+ * Key implementation details:
+ * - Extractions are cached in `CACHE_DIR/extraction` by file content, so unchanged documents aren't parsed again
+ *   (`EXTRACTION_CACHE=false` disables it)
+ * - Warnings are cached with the text and reported on every load, so a cached run shows the same warnings
+ *
+ * @param {string} filePath - Path to the data file
+ * @param {Function} extract - Async function extracting `{ text, warnings, ... }` from the file content
+ * @returns {Promise<Object>} - The extraction
+ * @throws {Error} - If the extraction fails or finds no text
+ */
+async function extractCached(filePath, extract) {
+  const content = await fs.readFile(filePath);
+  const cacheDirectory = path.join(CONFIGURATION.performance.caching.directory, 'extraction');
+  const cacheKey = crypto.createHash('md5')
+    .update(`${extract.name}:${EXTRACTION_VERSION}:`)
+    .update(content)
+    .digest('hex');
+
+  let extraction = CONFIGURATION.extraction.cache ? await getFromCache(cacheDirectory, cacheKey) : null;
+  if (!extraction) {
+    extraction = await extract(content);
+    if (CONFIGURATION.extraction.cache) {
+      await saveToCache(cacheDirectory, cacheKey, extraction);
+    }
+  }
+
+  for (const warning of extraction.warnings) {
+    console.warn(`${path.basename(filePath)}: ${warning}`);
+  }
+  if (!extraction.text.trim()) {
+    throw new Error('no text could be extracted (scanned documents need OCR first)');
+  }
+
+  return extraction;
+}
+
+/**
+ * Extract the text, pages and outline of a PDF
+ *
+ * @param {Buffer} content - The PDF file content
+ * @returns {Promise<{text: string, pages: Array, sections: Array, warnings: string[]}>} - The extraction
+ */
+async function extractPdf(content) {
+  // Loaded on first use, so runs without PDF files don't pay for the parser
+  const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const document = await pdfjs.getDocument({
+    data: new Uint8Array(content),
+    isEvalSupported: false,
+    useSystemFonts: true,
+    verbosity: pdfjs.VerbosityLevel.ERRORS
+  }).promise;
+
+  try {
+    const pages = [];
+    const warnings = [];
+    let text = '';
+
+    for (let number = 1; number <= document.numPages; number++) {
+      const page = await document.getPage(number);
+      const { items } = await page.getTextContent();
+      const pageText = items.map(item => `${item.str ?? ''}${item.hasEOL ? '\n' : ''}`).join('').trim();
+
+      if (!pageText) {
+        warnings.push(`page ${number} has no text layer`);
+      }
+
+      if (number > 1) text += '\n\n';
+      pages.push({ page: number, start: text.length, end: text.length + pageText.length });
+      text += pageText;
+    }
+
+    let sections = [];
+    try {
+      sections = await getPdfOutline(document, await document.getOutline(), pages);
+    } catch (error) {
+      warnings.push(`could not read the outline: ${error.message}`);
+    }
+
+    return { text, pages, sections, warnings };
+  } finally {
+    await document.destroy();
+  }
+}
+
+/**
+ * Flatten a PDF outline into sections, with the page each bookmark points to
+ *
+ * @param {Object} document - The pdf.js document
+ * @param {Array|null} outline - Outline items (`{ title, dest, items }`)
+ * @param {Array} pages - The extracted pages (for their offsets)
+ * @param {number} level - Nesting level of the outline items, from 1
+ * @returns {Promise<Array<{title: string, level: number, page: number|null, start: number|null}>>} - The sections
+ */
+async function getPdfOutline(document, outline, pages, level = 1) {
+  const sections = [];
+
+  for (const item of outline || []) {
+    let page = null;
+    // Bookmarks point to a page reference, directly or through a named destination; links to URLs have none
+    const destination = typeof item.dest === 'string' ? await document.getDestination(item.dest) : item.dest;
+    if (Array.isArray(destination) && destination[0] && typeof destination[0] === 'object') {
+      page = await document.getPageIndex(destination[0]) + 1;
+    } else if (Array.isArray(destination) && Number.isInteger(destination[0])) {
+      page = destination[0] + 1;
+    }
+
+    sections.push({ title: item.title.trim(), level, page, start: page ? pages[page - 1]?.start ?? null : null });
+    sections.push(...await getPdfOutline(document, item.items, pages, level + 1));
+  }
+
+  return sections;
+}
+
+/**
+ * Extract the text and headings of a DOCX document
+ *
+ * @param {Buffer} content - The DOCX file content
+ * @returns {Promise<{text: string, sections: Array, warnings: string[]}>} - The extraction
+ */
+async function extractDocx(content) {
+  // Loaded on first use, so runs without DOCX files don't pay for the parser
+  const { default: mammoth } = await import('mammoth');
+  const { value: html, messages } = await mammoth.convertToHtml({ buffer: content });
+
+  const sections = [];
+  let text = '';
+  let heading = null;
+  let cell = null;
+  let lists = 0;
+
+  // mammoth writes simple, well-formed HTML: headings, paragraphs, lists, tables, inline formatting and images
+  for (const [, closing, tag, textNode] of html.matchAll(/<(\/?)(\w+)[^>]*>|([^<]+)/g)) {
+    if (textNode !== undefined) {
+      const value = decodeEntities(textNode);
+      text += value;
+      if (heading) heading.title += value;
+      continue;
+    }
+
+    const name = tag.toLowerCase();
+    const level = /^h([1-6])$/.exec(name)?.[1];
+
+    if (level && !closing) {
+      if (text) text += '\n\n';
+      heading = { title: '', level: Number(level), start: text.length };
+    } else if (level && closing) {
+      if (heading) sections.push({ ...heading, title: heading.title.trim() });
+      heading = null;
+    } else if (!closing && name === 'p' && cell) {
+      // Paragraphs of a table cell stay on the row's line
+      if (cell === 'text') text += ' ';
+      cell = 'text';
+    } else if (name === 'ul' || name === 'ol') {
+      // Nested lists continue their parent list
+      if (!closing && text && !lists) text += '\n\n';
+      lists += closing ? -1 : 1;
+    } else if (!closing && (name === 'p' || name === 'table') && text) {
+      text += '\n\n';
+    } else if (!closing && (name === 'li' || name === 'tr') && text && !text.endsWith('\n')) {
+      text += '\n';
+    } else if (name === 'td' || name === 'th') {
+      if (!closing && text && !text.endsWith('\n')) text += '\t';
+      cell = closing ? null : 'start';
+    } else if (name === 'br') {
+      text += '\n';
+    }
+  }
+
+  // A section runs until the next heading of the same or a higher level
+  for (const [index, section] of sections.entries()) {
+    const next = sections.slice(index + 1).find(other => other.level <= section.level);
+    section.end = next ? text.slice(0, next.start).trimEnd().length : text.length;
+  }
+
+  const warnings = messages
+    .filter(message => message.type === 'warning' || message.type === 'error')
+    .map(message => message.message);
+
+  return { text, sections, warnings };
+}
+
+/**
+ * Decode the HTML entities of a text node
+ *
+ * @param {string} text - Escaped text
+ * @returns {string} - Plain text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return String.fromCodePoint(point);
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
@@ -0,0 +1,55 @@
+import path from 'path';
+import {loadMarkdown, loadText} from './text.js';
+import {loadCsv, loadJsonArray, loadJsonLines} from './records.js';
+import {loadDocx, loadPdf} from './documents.js';
+
+/**
+ * Data loaders by file extension
+ *
+ * A loader reads a data file into records `{ id, input, expected, metadata }`:
+ * - `id` is null for a file holding a single document, named after the file; datasets name each record `<file>#<id>`
+ * - `input` is the document sent to the model, `expected` its expected output (optional)
+ *   and `metadata` its template variables and tags (optional)
+ */
+const loaders = new Map([
+  ['.txt', loadText],
+  ['.md', loadMarkdown],
+  ['.jsonl', loadJsonLines],
+  ['.json', loadJsonArray],
+  ['.csv', loadCsv],
+  ['.pdf', loadPdf],
+  ['.docx', loadDocx]
+]);
+
+/**
+ * Register a data loader, so data files with its extension are loaded
+ *
+ * @param {string} extension - File extension, with the dot (`.xml`)
+ * @param {Function} loader - Async function reading a file path into records
+ */
+export function registerLoader(extension, loader) {
+  if (typeof loader !== 'function') {
+    throw new Error(`Loader for "${extension}" must be a function`);
+  }
+
+  loaders.set(extension.toLowerCase(), loader);
+}
+
+/**
+ * Get the extensions of all registered loaders
+ *
+ * @returns {string[]} - File extensions
+ */
+export function getLoaderExtensions() {
+  return [...loaders.keys()];
+}
+
+/**
+ * Get the loader of a data file
+ *
+ * @param {string} file - File name or path
+ * @returns {Function|null} - The loader, or null if no loader handles the file's extension
+ */
+export function getLoader(file) {
+  return loaders.get(path.extname(file).toLowerCase()) || null;
+}
@@ -0,0 +1,195 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const ID_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Load a JSON Lines dataset: one record object per line
+ *
+ * @param {string} filePath - Path to the data file
+ * @returns {Promise<Array>} - The dataset records (see toRecords)
+ */
+export async function loadJsonLines(filePath) {
+  const lines = (await fs.readFile(filePath, 'utf8')).split(/\r?\n/);
+  const values = [];
+
+  for (const [index, line] of lines.entries()) {
+    if (!line.trim()) continue;
+
+    // Unparsable lines keep their position, so the records after them keep their numbers
+    try {
+      values.push({ value: JSON.parse(line), location: `line ${index + 1}` });
+    } catch (error) {
+      values.push({ error, location: `line ${index + 1}` });
+    }
+  }
+
+  return toRecords(values, filePath);
+}
+
+/**
+ * Load a JSON dataset: an array of record objects
+ *
+ * @param {string} filePath - Path to the data file
+ * @returns {Promise<Array>} - The dataset records (see toRecords)
+ * @throws {Error} - If the file isn't a JSON array
+ */
+export async function loadJsonArray(filePath) {
+  const values = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  if (!Array.isArray(values)) {
+    throw new Error('a JSON dataset must be an array of records');
+  }
+
+  return toRecords(values.map((value, index) => ({ value, location: `record ${index + 1}` })), filePath);
+}
+
+/**
+ * Load a CSV dataset: a header row, then one record per row
+ *
+ * Key implementation details:
+ * - Fields follow RFC 4180: comma-separated, optionally double-quoted, with `""` for a quote inside quotes
+ *   and line breaks allowed in quoted fields
+ * - `expected` cells holding a JSON object or array are parsed, other cells are strings;
+ *   `tags` cells are lists separated by semicolons
+ *
+ * @param {string} filePath - Path to the data file
+ * @returns {Promise<Array>} - The dataset records (see toRecords)
+ * @throws {Error} - If the file has no header row or a quoted field isn't closed
+ */
+export async function loadCsv(filePath) {
+  const [header, ...rows] = parseCsv((await fs.readFile(filePath, 'utf8')).replace(/^\uFEFF/, ''));
+  if (!header) {
+    throw new Error('a CSV dataset needs a header row');
+  }
+
+  const columns = header.map(column => column.trim());
+  const values = rows
+    .map((row, index) => ({ row, location: `row ${index + 2}` }))
+    .filter(({ row }) => row.some(cell => cell.trim()))
+    .map(({ row, location }) => {
+      const value = Object.fromEntries(columns.map((column, index) => [column, row[index] ?? '']));
+      if (/^\s*[[{]/.test(value.expected ?? '')) {
+        try {
+          value.expected = JSON.parse(value.expected);
+        } catch {
+          // Not JSON, compared as text
+        }
+      }
+      if (value.tags) {
+        value.tags = value.tags.split(';').map(tag => tag.trim()).filter(Boolean);
+      }
+      // Empty cells are missing values
+      for (const key of ['id', 'expected', 'tags']) {
+        if (value[key] === '') delete value[key];
+      }
+      return { value, location };
+    });
+
+  return toRecords(values, filePath);
+}
+
+/**
+ * Turn the parsed entries of a dataset into records
+ *
+ * Key implementation details:
+ * - `input` (a string) is the document sent to the model
+ * - `expected` is the expected output (see loadReferences for how it is scored)
+ * - `id` names the record (`<file>#<id>`); records without one are numbered from 1 in file order
+ * - `tags` (a list of strings), the keys of a `metadata` object and every other field are metadata variables
+ * - Invalid records and duplicate ids are reported and skipped, so one broken record doesn't drop the dataset
+ *
+ * @param {Array<{value: *, error: Error, location: string}>} values - Parsed entries (or their parse error) and their position in the file
+ * @param {string} filePath - Path to the data file (for messages)
+ * @returns {Array<{id: string, input: string, expected: *, metadata: Object}>} - The records
+ */
+function toRecords(values, filePath) {
+  const records = [];
+  const ids = new Set();
+
+  for (const [index, { value, error: parseError, location }] of values.entries()) {
+    try {
+      if (parseError) {
+        throw parseError;
+      }
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('a record must be an object');
+      }
+
+      const { id = index + 1, input, expected, metadata = {}, ...fields } = value;
+      if (typeof input !== 'string' || !input) {
+        throw new Error('input must be a non-empty string');
+      }
+      if (!ID_PATTERN.test(String(id))) {
+        throw new Error('id must only contain letters, digits, dots, dashes and underscores');
+      }
+      if (ids.has(String(id))) {
+        throw new Error(`duplicate id "${id}"`);
+      }
+      if (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata)) {
+        throw new Error('metadata must be an object');
+      }
+      if (fields.tags !== undefined && (!Array.isArray(fields.tags) || fields.tags.some(tag => typeof tag !== 'string'))) {
+        throw new Error('tags must be an array of strings');
+      }
+
+      ids.add(String(id));
+      records.push({ id: String(id), input, expected, metadata: { ...fields, ...metadata } });
+    } catch (error) {
+      console.warn(`Skipping ${location} of ${path.basename(filePath)}: ${error.message}`);
+    }
+  }
+
+  return records;
+}
+
+/**
+ * Split CSV text into rows of fields
+ *
+ * @param {string} text - The CSV text
+ * @returns {string[][]} - The rows
+ * @throws {Error} - If a quoted field isn't closed
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('a quoted field is not closed');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
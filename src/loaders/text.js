@@ -0,0 +1,35 @@
+import fs from 'fs/promises';
+import {parseFrontMatter} from '../front-matter.js';
+
+/**
+ * Load a plain text data file as a single document
+ *
+ * @param {string} filePath - Path to the data file
+ * @returns {Promise<Array>} - A single record holding the file text
+ */
+export async function loadText(filePath) {
+  return [{ id: null, input: await fs.readFile(filePath, 'utf8') }];
+}
+
+/**
+ * Load a Markdown data file as a single document
+ *
+ * Key implementation details:
+ * - A YAML front-matter block holds the document's metadata and is removed from the text
+ * - The front-matter's `expected` key is the document's expected output, `tags` a list of tags,
+ *   every other key a metadata variable
+ *
+ * @param {string} filePath - Path to the data file
+ * @returns {Promise<Array>} - A single record holding the Markdown text
+ * @throws {Error} - If the front-matter is invalid
+ */
+export async function loadMarkdown(filePath) {
+  const { attributes, body } = parseFrontMatter(await fs.readFile(filePath, 'utf8'));
+  const { expected, ...metadata } = attributes;
+
+  if (metadata.tags !== undefined && (!Array.isArray(metadata.tags) || metadata.tags.some(tag => typeof tag !== 'string'))) {
+    throw new Error('tags must be an array of strings');
+  }
+
+  return [{ id: null, input: body, expected, metadata }];
+}
@@ -0,0 +1,294 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import {execFile} from 'child_process';
+import {promisify} from 'util';
+import {fileURLToPath} from 'url';
+import {CONFIGURATION, getModelSettings} from './config.js';
+import {describeEvaluatorPipeline} from './evaluator.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FRAMEWORK_DIR = path.resolve(__dirname, '..');
+
+/**
+ * File name of the manifest in every run directory
+ */
+export const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Manifest format version written by this framework
+ */
+export const MANIFEST_VERSION = 1;
+
+// Configuration sections recorded in the manifest and restored to reproduce a run
+const CONFIGURATION_SECTIONS = [
+  'modelServer', 'endpoints', 'models', 'directories', 'schema', 'evaluation', 'judge', 'embeddings', 'chunking', 'extraction', 'repeats', 'sweep', 'filters'
+];
+
+/**
+ * Create the manifest of a run: everything needed to tell what produced its scores, and to run it again
+ *
+ * Key implementation details:
+ * - Records the configuration sections that change scores (servers, models and their effective sampling, repeats and their seeds, sweep,
+ *   evaluation, judge, embeddings, chunking, filters and directories), without endpoint credentials
+ * - Hashes (SHA-256) what the run sent and scored with: every prompt as loaded (after partials and front-matter),
+ *   every data file's document, expected output and metadata, the response schemas and custom evaluators, the judge's rubric file,
+ *   chunking's reduce prompt file and the experiment file
+ * - Records the framework version, Node.js version and git commit (and whether the working tree had changes),
+ *   null when the framework isn't a git checkout
+ *
+ * @param {Object} run - The run
+ * @param {string} run.runId - The run ID
+ * @param {Array<{endpoint: string|null, model: string}>} run.targets - Models tested and their endpoints
+ * @param {Object} run.prompts - Prompts keyed by file name (see loadPrompts)
+ * @param {Object} run.data - Documents keyed by data name (see loadData)
+ * @param {Object} run.references - Expected outputs keyed by data name
+ * @param {Object} run.metadata - Metadata keyed by data name
+ * @returns {Promise<Object>} - The manifest
+ */
+export async function createRunManifest({ runId, targets, prompts, data, references, metadata }) {
+  const packageJson = JSON.parse(await fs.readFile(path.join(FRAMEWORK_DIR, 'package.json'), 'utf8'));
+  const evaluators = await describeEvaluatorPipeline();
+
+  return {
+    version: MANIFEST_VERSION,
+    run_id: runId,
+    created: new Date().toISOString(),
+    framework: {
+      version: packageJson.version,
+      node: process.version,
+      git: await getGitState()
+    },
+    experiment: CONFIGURATION.experiment && {
+      name: CONFIGURATION.experiment.name,
+      path: CONFIGURATION.experiment.path,
+      hash: await hashFile(CONFIGURATION.experiment.path)
+    },
+    configuration: getConfigurationSnapshot(),
+    models: targets.map(({ endpoint, model }) => ({ endpoint, model, settings: getModelSettings(model) })),
+    prompts: Object.fromEntries(Object.entries(prompts).map(([name, prompt]) => [
+      name,
+      hashContent({ content: prompt.content, settings: prompt.settings, turns: prompt.turns ?? null })
+    ])),
+    data: Object.fromEntries(Object.entries(data).map(([name, { content }]) => [
+      name,
+      hashContent({ content, expected: references[name] ?? null, metadata: metadata[name] ?? null })
+    ])),
+    schemas: await hashDirectory(CONFIGURATION.directories.schemas, '.json'),
+    evaluators: await Promise.all(evaluators.map(async ({ name, file, version }) => ({
+      name,
+      file,
+      version: file ? version : version ?? packageJson.version,
+      hash: file ? await hashFile(file) : null
+    }))),
+    // Files read by the judge and chunking, null when not set
+    files: {
+      rubricFile: CONFIGURATION.judge.rubricFile ? await hashFile(CONFIGURATION.judge.rubricFile) : null,
+      reducePromptFile: CONFIGURATION.chunking.reducePromptFile ? await hashFile(CONFIGURATION.chunking.reducePromptFile) : null
+    }
+  };
+}
+
+/**
+ * Write the manifest of a run to its run directory
+ *
+ * @param {string} runDir - The run directory
+ * @param {Object} manifest - The manifest (see createRunManifest)
+ * @returns {Promise<string>} - Path to the manifest file
+ */
+export async function writeRunManifest(runDir, manifest) {
+  const manifestPath = path.join(runDir, MANIFEST_FILE);
+  await fs.mkdir(runDir, { recursive: true });
+  await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+  return manifestPath;
+}
+
+/**
+ * Load the manifest of a run directory
+ *
+ * @param {string} runDir - The run directory
+ * @returns {Promise<Object>} - The manifest
+ * @throws {Error} - If the run directory has no readable manifest, or one written by a newer framework
+ */
+export async function loadRunManifest(runDir) {
+  const manifestPath = path.join(path.resolve(runDir), MANIFEST_FILE);
+
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read run manifest ${manifestPath}: ${error.message}`);
+  }
+
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`Run manifest ${manifestPath} has version ${JSON.stringify(manifest.version)} (expected ${MANIFEST_VERSION})`);
+  }
+
+  return manifest;
+}
+
+/**
+ * Apply the configuration recorded in a manifest, to run the same test matrix again
+ *
+ * Key implementation details:
+ * - Every recorded section replaces the current one; settings the manifest doesn't record (outputs, concurrency, caching) are kept
+ * - Endpoint credentials aren't recorded: endpoints keep the credentials of the current endpoint with the same name
+ *
+ * @param {Object} manifest - The manifest (see createRunManifest)
+ * @param {Object} configuration - Configuration object to update (defaults to the shared CONFIGURATION)
+ * @returns {Object} - The updated configuration
+ */
+export function applyRunManifest(manifest, configuration = CONFIGURATION) {
+  const recorded = structuredClone(manifest.configuration);
+
+  for (const section of CONFIGURATION_SECTIONS) {
+    if (recorded[section] === undefined) continue;
+
+    if (section === 'endpoints') {
+      configuration.endpoints = recorded.endpoints.map(endpoint => {
+        const current = configuration.endpoints.find(candidate => candidate.name === endpoint.name);
+        return current?.auth ? { ...endpoint, auth: current.auth } : endpoint;
+      });
+    } else if (section === 'models') {
+      // Overrides keyed by model ID, looked up like the ones of experiment files
+      configuration.models = { ...recorded.models, overrides: Object.assign(Object.create(null), recorded.models.overrides) };
+    } else {
+      configuration[section] = recorded[section];
+    }
+  }
+
+  return configuration;
+}
+
+/**
+ * Compare two manifests and list what changed in between, to explain why scores of a reproduced run differ
+ *
+ * @param {Object} original - Manifest of the original run
+ * @param {Object} current - Manifest of the new run
+ * @returns {string[]} - Human-readable differences (empty when the runs used the same code and inputs)
+ */
+export function compareManifests(original, current) {
+  const differences = [];
+
+  const originalGit = original.framework.git;
+  const currentGit = current.framework.git;
+  if (originalGit?.commit !== currentGit?.commit) {
+    differences.push(`git commit ${originalGit?.commit || 'unknown'} is now ${currentGit?.commit || 'unknown'}`);
+  } else if (currentGit?.dirty) {
+    differences.push('the framework has uncommitted changes');
+  }
+
+  for (const [label, key] of [['prompt', 'prompts'], ['data file', 'data'], ['schema', 'schemas']]) {
+    const before = original[key] || {};
+    const after = current[key] || {};
+    for (const name of Object.keys(before)) {
+      if (!(name in after)) {
+        differences.push(`${label} ${name} is missing`);
+      } else if (before[name] !== after[name]) {
+        differences.push(`${label} ${name} changed`);
+      }
+    }
+    for (const name of Object.keys(after).filter(name => !(name in before))) {
+      differences.push(`${label} ${name} is new`);
+    }
+  }
+
+  // Manifests written before the files were hashed don't record them
+  for (const [label, key] of [['judge rubric file', 'rubricFile'], ['chunking reduce prompt file', 'reducePromptFile']]) {
+    const before = original.files?.[key];
+    const after = current.files?.[key];
+    if (before !== undefined && after !== undefined && before !== after) {
+      differences.push(`${label} ${after === null ? 'is missing' : before === null ? 'is new' : 'changed'}`);
+    }
+  }
+
+  const evaluatorKey = ({ name, version, hash }) => `${name} ${version} ${hash}`;
+  const originalEvaluators = (original.evaluators || []).map(evaluatorKey);
+  const currentEvaluators = (current.evaluators || []).map(evaluatorKey);
+  if (originalEvaluators.join('\n') !== currentEvaluators.join('\n')) {
+    differences.push(`evaluators changed (${(original.evaluators || []).map(describeEvaluator).join(', ')} are now ` +
+      `${(current.evaluators || []).map(describeEvaluator).join(', ')})`);
+  }
+
+  return differences;
+}
+
+/**
+ * Hash content for a manifest
+ *
+ * @param {string|Object} content - Text, or a value hashed as JSON
+ * @returns {string} - SHA-256 hex digest
+ */
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(typeof content === 'string' ? content : JSON.stringify(content)).digest('hex');
+}
+
+/**
+ * Snapshot the configuration sections a manifest records, without endpoint credentials
+ *
+ * @returns {Object} - Deep copy of the recorded sections
+ */
+function getConfigurationSnapshot() {
+  const snapshot = structuredClone(Object.fromEntries(CONFIGURATION_SECTIONS.map(section => [section, CONFIGURATION[section]])));
+  snapshot.endpoints = snapshot.endpoints.map(({ auth, ...endpoint }) => endpoint);
+  snapshot.models.overrides = { ...snapshot.models.overrides };
+  return snapshot;
+}
+
+/**
+ * Get the git commit of the framework, and whether its working tree has uncommitted changes
+ *
+ * @returns {Promise<{commit: string, dirty: boolean}|null>} - The git state, null outside a git checkout or without git
+ */
+async function getGitState() {
+  const git = args => promisify(execFile)('git', args, { cwd: FRAMEWORK_DIR, timeout: 5000 });
+  try {
+    const { stdout: commit } = await git(['rev-parse', 'HEAD']);
+    const { stdout: status } = await git(['status', '--porcelain']);
+    return { commit: commit.trim(), dirty: status.trim().length > 0 };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Hash a text file for a manifest
+ *
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string|null>} - SHA-256 hex digest of the file's content, null when it can't be read
+ */
+async function hashFile(filePath) {
+  try {
+    return hashContent(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Hash every file of a directory with an extension
+ *
+ * @param {string} directory - The directory
+ * @param {string} extension - Extension of the hashed files (e.g. `.json`)
+ * @returns {Promise<Object>} - Digests keyed by file name, in file name order; empty when the directory doesn't exist
+ */
+async function hashDirectory(directory, extension) {
+  let files = [];
+  try {
+    files = (await fs.readdir(directory)).filter(file => file.endsWith(extension)).sort();
+  } catch (error) {
+    // No directory, nothing to hash
+  }
+
+  return Object.fromEntries(await Promise.all(files.map(async file => [file, await hashFile(path.join(directory, file))])));
+}
+
+/**
+ * Describe an evaluator of a manifest for a difference message
+ *
+ * @param {Object} evaluator - The evaluator (see createRunManifest)
+ * @returns {string} - The evaluator's name, with its version when it has one (`brevity@1.2.0`)
+ */
+function describeEvaluator({ name, version }) {
+  return version ? `${name}@${version}` : name;
+}
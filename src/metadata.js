@@ -0,0 +1,61 @@
+import fs from 'fs/promises';
+import path from 'path';
+import YAML from 'yaml';
+
+/**
+ * Suffixes of metadata files next to a data file (`en_sample_one.meta.json` for `en_sample_one.txt`)
+ */
+export const METADATA_SUFFIXES = ['.meta.json', '.meta.yaml', '.meta.yml'];
+
+/**
+ * Check whether a file in the data directory is a metadata file rather than input data
+ *
+ * @param {string} file - File name
+ * @returns {boolean} - True for metadata files
+ */
+export function isMetadataFile(file) {
+  return METADATA_SUFFIXES.some(suffix => file.endsWith(suffix));
+}
+
+/**
+ * Load the metadata of data files, used as prompt template variables
+ *
+ * Key implementation details:
+ * - `<name>.meta.json` or `<name>.meta.yaml` holds a mapping of variables (`{ "author": "ACME", "language": "fr" }`)
+ * - Data files without a metadata file have no custom variables
+ * - An unreadable or invalid metadata file is reported and skipped, so one broken file doesn't stop the run
+ *
+ * @param {string} directory - Data directory
+ * @param {string[]} dataNames - Base names of the loaded data files
+ * @returns {Promise<Object>} - Metadata keyed by data file base name
+ */
+export async function loadMetadata(directory, dataNames) {
+  const metadata = Object.create(null);
+
+  for (const name of dataNames) {
+    for (const suffix of METADATA_SUFFIXES) {
+      const metadataPath = path.join(directory, `${name}${suffix}`);
+
+      let content;
+      try {
+        content = await fs.readFile(metadataPath, 'utf8');
+      } catch {
+        continue;
+      }
+
+      try {
+        const values = suffix === '.meta.json' ? JSON.parse(content) : YAML.parse(content);
+        if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+          throw new Error('metadata must be a mapping of variables');
+        }
+        metadata[name] = values;
+        console.log(`Loaded metadata: ${name}${suffix}`);
+      } catch (error) {
+        console.warn(`Skipping invalid metadata ${metadataPath}: ${error.message}`);
+      }
+      break;
+    }
+  }
+
+  return metadata;
+}
@@ -0,0 +1,274 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Suffixes of expected-output files next to a data file (`en_sample_one.expected.json` for `en_sample_one.txt`)
+ */
+export const REFERENCE_SUFFIXES = ['.expected.json', '.expected.txt'];
+
+/**
+ * Check whether a file in the data directory is an expected-output file rather than input data
+ *
+ * @param {string} file - File name
+ * @returns {boolean} - True for expected-output files
+ */
+export function isReferenceFile(file) {
+  return REFERENCE_SUFFIXES.some(suffix => file.endsWith(suffix));
+}
+
+/**
+ * Load the expected outputs of data files
+ *
+ * Key implementation details:
+ * - `<name>.expected.json` holds a structured answer (any JSON value), `<name>.expected.txt` a string answer
+ * - Data files without an expected-output file have no reference and are scored as before
+ * - An unreadable or invalid reference is reported and skipped, so one broken file doesn't stop the run
+ *
+ * @param {string} directory - Data directory
+ * @param {string[]} dataNames - Base names of the loaded data files
+ * @returns {Promise<Object>} - Expected outputs keyed by data file base name
+ */
+export async function loadReferences(directory, dataNames) {
+  const references = Object.create(null);
+
+  for (const name of dataNames) {
+    for (const suffix of REFERENCE_SUFFIXES) {
+      const referencePath = path.join(directory, `${name}${suffix}`);
+
+      let content;
+      try {
+        content = await fs.readFile(referencePath, 'utf8');
+      } catch {
+        continue;
+      }
+
+      try {
+        references[name] = suffix === '.expected.json' ? JSON.parse(content) : content.trim();
+        console.log(`Loaded expected output: ${name}${suffix}`);
+      } catch (error) {
+        console.warn(`Skipping invalid expected output ${referencePath}: ${error.message}`);
+      }
+      break;
+    }
+  }
+
+  return references;
+}
+
+/**
+ * Score a model result against its expected output
+ *
+ * Key implementation details:
+ * - String references are compared with the result's text (see getAnswerText)
+ * - `exact_match` compares normalized answers (case, punctuation, articles and whitespace are ignored);
+ *   structured answers must match field by field
+ * - `token_f1` is the overlap of normalized answer tokens (SQuAD-style)
+ * - `field_match` (structured references only) averages the scores of every expected leaf field:
+ *   numbers match within the numeric tolerance, strings score their token F1, arrays the F1 of their items,
+ *   other values must be equal; missing fields score 0
+ * - `score` is the headline metric: `field_match` for structured references, `token_f1` for string references
+ *
+ * @param {Object} result - The model result (parsed)
+ * @param {*} expected - The expected output
+ * @param {Object} options - Scoring options
+ * @param {number} [options.numericTolerance=0] - Largest absolute difference for numbers to match
+ * @returns {{score: number, exact_match: number, token_f1: number, field_match: number|null, fields: Object|null}} - Reference metrics
+ */
+export function scoreAgainstReference(result, expected, options = {}) {
+  const numericTolerance = options.numericTolerance || 0;
+
+  if (typeof expected === 'string') {
+    const answer = getAnswerText(result);
+    const tokenF1 = getTokenF1(answer, expected);
+
+    return {
+      score: tokenF1,
+      exact_match: normalizeText(answer) === normalizeText(expected) ? 1 : 0,
+      token_f1: tokenF1,
+      field_match: null,
+      fields: null
+    };
+  }
+
+  const fields = Object.create(null);
+  for (const [fieldPath, expectedValue] of getLeafFields(expected)) {
+    fields[fieldPath] = scoreValue(getPath(result, fieldPath), expectedValue, numericTolerance);
+  }
+
+  const scores = Object.values(fields);
+  const fieldMatch = scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : 0;
+
+  return {
+    score: fieldMatch,
+    exact_match: scores.length > 0 && scores.every(score => score === 1) ? 1 : 0,
+    token_f1: getTokenF1(getAnswerText(result), getAnswerText(expected)),
+    field_match: fieldMatch,
+    fields
+  };
+}
+
+/**
+ * Get the text of an answer: the `raw_text` of an unstructured result, or the string and number values of
+ * a structured one, joined in document order
+ *
+ * @param {*} value - The parsed result or expected output
+ * @returns {string} - The answer text
+ */
+export function getAnswerText(value) {
+  return typeof value?.raw_text === 'string' ? value.raw_text : getLeafValues(value).join(' ');
+}
+
+/**
+ * Score a single value against its expected value
+ *
+ * @param {*} actual - The result's value
+ * @param {*} expected - The expected value
+ * @param {number} numericTolerance - Largest absolute difference for numbers to match
+ * @returns {number} - Score between 0 and 1
+ */
+function scoreValue(actual, expected, numericTolerance) {
+  if (actual === undefined) {
+    return 0;
+  }
+
+  if (typeof expected === 'number') {
+    const number = typeof actual === 'string' ? parseFloat(actual.replace(/[^\d.eE+-]/g, '')) : actual;
+    return typeof number === 'number' && Math.abs(number - expected) <= numericTolerance ? 1 : 0;
+  }
+
+  if (typeof expected === 'string') {
+    return typeof actual === 'string' || typeof actual === 'number' ? getTokenF1(String(actual), expected) : 0;
+  }
+
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) ? getItemF1(actual, expected) : 0;
+  }
+
+  return actual === expected ? 1 : 0;
+}
+
+/**
+ * Compute the F1 score of two lists of items, compared by their normalized form
+ *
+ * @param {Array} actual - The result's items
+ * @param {Array} expected - The expected items
+ * @returns {number} - F1 score between 0 and 1
+ */
+function getItemF1(actual, expected) {
+  if (expected.length === 0 || actual.length === 0) {
+    return expected.length === actual.length ? 1 : 0;
+  }
+
+  const normalizeItem = item => typeof item === 'string' ? normalizeText(item) : JSON.stringify(item);
+  return getF1(actual.map(normalizeItem), expected.map(normalizeItem));
+}
+
+/**
+ * Compute the token F1 score of an answer against the expected answer
+ *
+ * @param {string} answer - The answer
+ * @param {string} expected - The expected answer
+ * @returns {number} - F1 score between 0 and 1
+ */
+function getTokenF1(answer, expected) {
+  const answerTokens = normalizeText(answer).split(' ').filter(Boolean);
+  const expectedTokens = normalizeText(expected).split(' ').filter(Boolean);
+
+  if (answerTokens.length === 0 || expectedTokens.length === 0) {
+    return answerTokens.length === expectedTokens.length ? 1 : 0;
+  }
+
+  return getF1(answerTokens, expectedTokens);
+}
+
+/**
+ * Compute the F1 score of two multisets
+ *
+ * @param {string[]} actual - The actual items
+ * @param {string[]} expected - The expected items
+ * @returns {number} - F1 score between 0 and 1
+ */
+function getF1(actual, expected) {
+  const remaining = new Map();
+  for (const item of expected) {
+    remaining.set(item, (remaining.get(item) || 0) + 1);
+  }
+
+  let common = 0;
+  for (const item of actual) {
+    if (remaining.get(item) > 0) {
+      remaining.set(item, remaining.get(item) - 1);
+      common++;
+    }
+  }
+
+  if (common === 0) {
+    return 0;
+  }
+
+  const precision = common / actual.length;
+  const recall = common / expected.length;
+  return (2 * precision * recall) / (precision + recall);
+}
+
+/**
+ * Normalize an answer for comparison: lower case, no punctuation, no articles, single spaces
+ *
+ * @param {string} text - The text
+ * @returns {string} - The normalized text
+ */
+function normalizeText(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\b(a|an|the)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * List the leaf fields of a structured value as dotted paths; arrays are leaves
+ *
+ * @param {*} value - The value
+ * @param {string} prefix - Path of the value
+ * @returns {Array<[string, *]>} - Path and value of every leaf field
+ */
+function getLeafFields(value, prefix = '') {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return [[prefix || '$', value]];
+  }
+
+  return Object.entries(value).flatMap(([key, child]) => getLeafFields(child, prefix ? `${prefix}.${key}` : key));
+}
+
+/**
+ * Get a field by its dotted path
+ *
+ * @param {*} value - The value
+ * @param {string} fieldPath - Dotted path, `$` for the value itself
+ * @returns {*} - The field value, or undefined if missing
+ */
+function getPath(value, fieldPath) {
+  if (fieldPath === '$') {
+    return value;
+  }
+
+  return fieldPath.split('.').reduce((current, key) => current !== null && typeof current === 'object' ? current[key] : undefined, value);
+}
+
+/**
+ * Collect the string and number values of a result, in document order
+ *
+ * @param {*} value - The value
+ * @returns {string[]} - The values as strings
+ */
+function getLeafValues(value) {
+  if (typeof value === 'string' || typeof value === 'number') {
+    return [String(value)];
+  }
+  if (value === null || typeof value !== 'object') {
+    return [];
+  }
+
+  return Object.values(value).flatMap(getLeafValues);
+}
@@ -0,0 +1,91 @@
+import fs from 'fs/promises';
+import path from 'path';
+import Ajv2020 from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+import {CONFIGURATION} from './config.js';
+
+// Schemas are loaded and compiled once per file, since compiling is much slower than validating
+const schemas = new Map();
+const validators = new WeakMap();
+
+const ajv = new Ajv2020({ allErrors: true, strict: false });
+addFormats(ajv);
+
+/**
+ * Load the response schema sent to the model servers for structured output
+ * The schema is read once per file and shared by every test case
+ *
+ * @param {string} [schemaPath] - Path to the schema file (default: the configured schema file in the schemas directory)
+ * @returns {Promise<Object|null>} - The parsed schema, or null if it can't be read or parsed
+ */
+export async function loadResponseSchema(schemaPath = path.resolve(CONFIGURATION.directories.schemas, CONFIGURATION.schema.file)) {
+  if (!schemas.has(schemaPath)) {
+    schemas.set(schemaPath, fs.readFile(schemaPath, 'utf8')
+      .then(content => JSON.parse(content))
+      .catch(error => {
+        console.warn(`Could not load JSON schema ${schemaPath}: ${error.message}`);
+        return null;
+      }));
+  }
+
+  return schemas.get(schemaPath);
+}
+
+/**
+ * Get the structured output name of a schema file: its base name without the `.schema.json` or `.json` extension,
+ * limited to the letters, digits, underscores and dashes OpenAI-compatible servers accept
+ *
+ * @param {string} schemaFile - Schema file name or path
+ * @returns {string} - The schema name
+ */
+export function getSchemaName(schemaFile) {
+  const name = path.basename(schemaFile).replace(/(\.schema)?\.json$/i, '').replace(/[^\w-]+/g, '_').slice(0, 64);
+  return name || 'response';
+}
+
+/**
+ * Validate a parsed response against the response schema
+ *
+ * Key implementation details:
+ * - Uses a JSON Schema draft 2020-12 validator with format checking (`date-time`, `email`, `uri`, ...)
+ * - Collects every violation rather than stopping at the first one
+ * - Violations are reported per JSON pointer path (`/main_points/2`); missing and unexpected
+ *   properties point at the property itself rather than at the object holding it
+ *
+ * @param {*} response - The parsed response (a string when the response isn't JSON)
+ * @param {Object} schema - The JSON schema
+ * @returns {{valid: boolean, errors: Array<{path: string, keyword: string, message: string}>}} - The validation result
+ * @throws {Error} - If the schema itself is invalid
+ */
+export function validateResponse(response, schema) {
+  let validate = validators.get(schema);
+  if (!validate) {
+    validate = ajv.compile(schema);
+    validators.set(schema, validate);
+  }
+
+  if (validate(response)) {
+    return { valid: true, errors: [] };
+  }
+
+  return {
+    valid: false,
+    errors: validate.errors.map(error => ({
+      path: getViolationPath(error),
+      keyword: error.keyword,
+      message: error.message
+    }))
+  };
+}
+
+/**
+ * Get the JSON pointer path of a violation
+ *
+ * @param {Object} error - Validation error
+ * @returns {string} - The path, `/` for the response itself
+ */
+function getViolationPath(error) {
+  const property = error.params?.missingProperty ?? error.params?.additionalProperty ?? error.params?.unevaluatedProperty;
+  const instancePath = property !== undefined ? `${error.instancePath}/${property}` : error.instancePath;
+  return instancePath || '/';
+}
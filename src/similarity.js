@@ -0,0 +1,105 @@
+import path from 'path';
+import {CONFIGURATION} from './config.js';
+import {createAdapter} from './adapters/index.js';
+import {getAnswerText} from './reference.js';
+import {generateCacheKey, getFromCache, saveToCache} from '../utils/cache-utils.js';
+
+/**
+ * Compute the cosine similarity of two vectors
+ *
+ * @param {number[]} a - First vector
+ * @param {number[]} b - Second vector
+ * @returns {number} - Cosine similarity between -1 and 1 (0 for zero vectors)
+ * @throws {Error} - If the vectors have different dimensions
+ */
+export function cosineSimilarity(a, b) {
+  if (a.length !== b.length) {
+    throw new Error(`Cannot compare embeddings of ${a.length} and ${b.length} dimensions`);
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA > 0 && normB > 0 ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+/**
+ * Score the semantic similarity of a result to its source document and expected output
+ *
+ * Key implementation details:
+ * - Embeds the result's text, the document and the expected output (when there is one) in a single request
+ * - Similarities are cosine similarities clamped to 0-1, since opposite meanings aren't more relevant than unrelated ones
+ *
+ * @param {Object} input - What to compare
+ * @param {Object} input.result - The model result (parsed)
+ * @param {string} input.document - The source document
+ * @param {*} [input.expected] - The expected output of the data file
+ * @param {Object} embeddings - Embedding configuration (see CONFIGURATION.embeddings)
+ * @returns {Promise<{document: number, reference: number|null}>} - Similarity to the document and to the expected output
+ * @throws {Error} - If the embedding model is not configured or the request fails
+ */
+export async function scoreSimilarity({ result, document, expected }, embeddings = CONFIGURATION.embeddings) {
+  const texts = [getAnswerText(result), document || ''];
+  if (expected !== undefined) {
+    texts.push(getAnswerText(expected));
+  }
+
+  const [answerVector, documentVector, referenceVector] = await embedTexts(texts, embeddings);
+  const similarity = vector => Math.max(0, cosineSimilarity(answerVector, vector));
+
+  return {
+    document: similarity(documentVector),
+    reference: referenceVector ? similarity(referenceVector) : null
+  };
+}
+
+/**
+ * Embed texts with the configured embedding model
+ * Embeddings are cached on disk by model and text when embedding caching is enabled,
+ * so the same documents and expected outputs are only embedded once across test cases and runs
+ *
+ * @param {string[]} texts - Texts to embed
+ * @param {Object} embeddings - Embedding configuration (see CONFIGURATION.embeddings)
+ * @returns {Promise<number[][]>} - The embeddings, in input order
+ */
+export async function embedTexts(texts, embeddings = CONFIGURATION.embeddings) {
+  if (!embeddings.model) {
+    throw new Error('No embedding model configured (EMBEDDING_MODEL or embeddings.model in the experiment file)');
+  }
+
+  const cacheDirectory = path.join(CONFIGURATION.performance.caching.directory, 'embeddings');
+  const cacheKeys = texts.map(text => generateCacheKey(embeddings.model, { type: 'embedding' }, text));
+  const vectors = embeddings.cache ?
+    await Promise.all(cacheKeys.map(cacheKey => getFromCache(cacheDirectory, cacheKey))) :
+    texts.map(() => null);
+
+  const missing = vectors.map((vector, index) => vector ? null : index).filter(index => index !== null);
+  if (missing.length > 0) {
+    const adapter = createAdapter(embeddings.adapter || CONFIGURATION.modelServer.adapter, {
+      baseUrl: embeddings.url || CONFIGURATION.modelServer.url,
+      model: embeddings.model,
+      timeout: CONFIGURATION.modelServer.timeout,
+      retry: CONFIGURATION.modelServer.retry,
+      circuitBreaker: CONFIGURATION.modelServer.circuitBreaker
+    });
+
+    const response = await adapter.embed(missing.map(index => texts[index]));
+    for (const [position, index] of missing.entries()) {
+      vectors[index] = response.data[position]?.embedding;
+      if (!vectors[index]) {
+        throw new Error(`Embedding model ${embeddings.model} returned no embedding for input ${index}`);
+      }
+      if (embeddings.cache) {
+        await saveToCache(cacheDirectory, cacheKeys[index], vectors[index]);
+      }
+    }
+  }
+
+  return vectors;
+}
@@ -0,0 +1,260 @@
+/**
+ * Confidence level of the reported intervals
+ */
+export const CONFIDENCE_LEVEL = 0.95;
+
+// Bootstrap resamples: enough for stable 95% percentile intervals, cheap for a handful of samples
+const BOOTSTRAP_RESAMPLES = 2000;
+
+// Fixed seed of the bootstrap, so the same samples always give the same interval
+const BOOTSTRAP_SEED = 0x5eed;
+
+/**
+ * Describe repeated samples of a metric
+ *
+ * Key implementation details:
+ * - The standard deviation is the sample standard deviation (n - 1), null for a single sample
+ * - The confidence interval of the mean is a percentile bootstrap: the samples are resampled with replacement,
+ *   and the interval spans the middle `confidence` share of the resampled means
+ * - The bootstrap uses a seeded random generator, so reports are reproducible
+ *
+ * @param {number[]} values - The metric's value in every sample (non-numbers are ignored)
+ * @param {Object} options - Statistics options
+ * @param {number} [options.confidence] - Confidence level of the interval
+ * @param {number} [options.resamples] - Number of bootstrap resamples
+ * @returns {{samples: number, mean: number, std: number|null, min: number, max: number, ci_low: number, ci_high: number}|null} -
+ *   The statistics, null when no sample has a value
+ */
+export function describeSamples(values, { confidence = CONFIDENCE_LEVEL, resamples = BOOTSTRAP_RESAMPLES } = {}) {
+  const samples = values.filter(value => typeof value === 'number' && Number.isFinite(value));
+  if (samples.length === 0) {
+    return null;
+  }
+
+  const average = mean(samples);
+  const std = standardDeviation(samples);
+  const [ciLow, ciHigh] = bootstrapInterval(samples, confidence, resamples);
+
+  return {
+    samples: samples.length,
+    mean: average,
+    std,
+    min: Math.min(...samples),
+    max: Math.max(...samples),
+    ci_low: ciLow,
+    ci_high: ciHigh
+  };
+}
+
+/**
+ * Compute the mean of numbers
+ *
+ * @param {number[]} values - The numbers
+ * @returns {number} - The mean (NaN for no numbers)
+ */
+export function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Compute the sample standard deviation (n - 1) of numbers
+ *
+ * @param {number[]} values - The numbers
+ * @returns {number|null} - The standard deviation, null for fewer than two numbers
+ */
+export function standardDeviation(values) {
+  if (values.length < 2) {
+    return null;
+  }
+
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * Get the value below which a share of sorted numbers falls, interpolating between neighbours
+ *
+ * @param {number[]} sorted - Numbers in ascending order
+ * @param {number} share - Share between 0 and 1
+ * @returns {number} - The quantile
+ */
+export function quantile(sorted, share) {
+  const position = (sorted.length - 1) * share;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ *
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} - Function returning numbers in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Percentile bootstrap confidence interval of the mean
+ *
+ * @param {number[]} samples - The samples
+ * @param {number} confidence - Confidence level
+ * @param {number} resamples - Number of resamples
+ * @returns {number[]} - Lower and upper bound
+ */
+function bootstrapInterval(samples, confidence, resamples) {
+  if (samples.length === 1) {
+    return [samples[0], samples[0]];
+  }
+
+  const random = createRandom(BOOTSTRAP_SEED);
+  const means = [];
+  for (let i = 0; i < resamples; i++) {
+    let sum = 0;
+    for (let j = 0; j < samples.length; j++) {
+      sum += samples[Math.floor(random() * samples.length)];
+    }
+    means.push(sum / samples.length);
+  }
+  means.sort((a, b) => a - b);
+
+  const tail = (1 - confidence) / 2;
+  return [quantile(means, tail), quantile(means, 1 - tail)];
+}
+
+/**
+ * Wilcoxon signed-rank test of paired differences (two-sided)
+ *
+ * Key implementation details:
+ * - Zero differences are dropped (Wilcoxon's method) and tied absolute differences share their average rank
+ * - The p-value is exact for up to 50 non-zero differences (the distribution of the rank sum over every sign assignment),
+ *   and uses the normal approximation with tie and continuity corrections above that
+ * - The effect size is the matched-pairs rank-biserial correlation: from -1 (every pair favours the second)
+ *   to 1 (every pair favours the first)
+ *
+ * @param {number[]} differences - Paired differences (first minus second)
+ * @returns {{n: number, zeros: number, w_plus: number, w_minus: number, p_value: number|null, rank_biserial: number|null, exact: boolean}} -
+ *   The test, with null p-value and effect size when every difference is zero
+ */
+export function wilcoxonSignedRank(differences) {
+  const nonZero = differences.filter(difference => difference !== 0);
+  const n = nonZero.length;
+  if (n === 0) {
+    return { n, zeros: differences.length, w_plus: 0, w_minus: 0, p_value: null, rank_biserial: null, exact: true };
+  }
+
+  // Average ranks of the absolute differences, doubled so tied ranks stay integers
+  const sorted = nonZero.map(difference => ({ difference, absolute: Math.abs(difference) }))
+    .sort((a, b) => a.absolute - b.absolute);
+  const doubledRanks = [];
+  const tieSizes = [];
+  for (let i = 0; i < n;) {
+    let j = i;
+    while (j + 1 < n && sorted[j + 1].absolute === sorted[i].absolute) j++;
+    for (let k = i; k <= j; k++) doubledRanks[k] = i + j + 2;
+    tieSizes.push(j - i + 1);
+    i = j + 1;
+  }
+
+  const doubledPlus = sorted.reduce((sum, { difference }, index) => sum + (difference > 0 ? doubledRanks[index] : 0), 0);
+  const total = n * (n + 1) / 2;
+  const wPlus = doubledPlus / 2;
+  const exact = n <= 50;
+  let pValue;
+
+  if (exact) {
+    // Probability of every doubled rank sum when each sign is positive or negative with equal chance
+    let distribution = [1];
+    for (const rank of doubledRanks) {
+      const next = new Array(distribution.length + rank).fill(0);
+      distribution.forEach((probability, sum) => {
+        next[sum] += probability / 2;
+        next[sum + rank] += probability / 2;
+      });
+      distribution = next;
+    }
+    const lower = distribution.slice(0, doubledPlus + 1).reduce((sum, probability) => sum + probability, 0);
+    const upper = distribution.slice(doubledPlus).reduce((sum, probability) => sum + probability, 0);
+    pValue = Math.min(1, 2 * Math.min(lower, upper));
+  } else {
+    const variance = n * (n + 1) * (2 * n + 1) / 24 - tieSizes.reduce((sum, t) => sum + (t ** 3 - t), 0) / 48;
+    const deviation = Math.abs(wPlus - total / 2);
+    pValue = variance > 0 ? Math.min(1, 2 * (1 - normalCdf(Math.max(0, deviation - 0.5) / Math.sqrt(variance)))) : 1;
+  }
+
+  return {
+    n,
+    zeros: differences.length - n,
+    w_plus: wPlus,
+    w_minus: total - wPlus,
+    p_value: pValue,
+    rank_biserial: (wPlus - (total - wPlus)) / total,
+    exact
+  };
+}
+
+/**
+ * Paired bootstrap of the mean difference (two-sided)
+ *
+ * Key implementation details:
+ * - The confidence interval resamples the pairs' differences (percentile bootstrap)
+ * - The p-value resamples the differences shifted to a zero mean (the null hypothesis of no difference), and is the share
+ *   of resampled means at least as far from zero as the observed mean
+ * - The bootstrap uses a seeded random generator, so reports are reproducible
+ *
+ * @param {number[]} differences - Paired differences (first minus second)
+ * @param {Object} options - Bootstrap options
+ * @param {number} [options.confidence] - Confidence level of the interval
+ * @param {number} [options.resamples] - Number of bootstrap resamples
+ * @returns {{mean_difference: number, ci_low: number, ci_high: number, p_value: number}} - The bootstrap
+ */
+export function pairedBootstrap(differences, { confidence = CONFIDENCE_LEVEL, resamples = BOOTSTRAP_RESAMPLES } = {}) {
+  const observed = mean(differences);
+  const [ciLow, ciHigh] = bootstrapInterval(differences, confidence, resamples);
+
+  const random = createRandom(BOOTSTRAP_SEED);
+  let extreme = 0;
+  for (let i = 0; i < resamples; i++) {
+    let sum = 0;
+    for (let j = 0; j < differences.length; j++) {
+      sum += differences[Math.floor(random() * differences.length)] - observed;
+    }
+    // Rounding keeps resamples equal to the observed mean from being counted as more extreme by a float error
+    if (Math.abs(sum / differences.length) >= Math.abs(observed) - 1e-12) extreme++;
+  }
+
+  return { mean_difference: observed, ci_low: ciLow, ci_high: ciHigh, p_value: (extreme + 1) / (resamples + 1) };
+}
+
+/**
+ * Standardized mean difference of paired samples (Cohen's d_z): the mean difference over the standard deviation of the differences
+ *
+ * @param {number[]} differences - Paired differences
+ * @returns {number|null} - The effect size, null with fewer than two pairs or differences that don't vary
+ */
+export function cohensDz(differences) {
+  const std = standardDeviation(differences);
+  return std ? mean(differences) / std : null;
+}
+
+/**
+ * Cumulative distribution function of the standard normal distribution
+ *
+ * @param {number} z - The value
+ * @returns {number} - Probability of a standard normal value below z
+ */
+function normalCdf(z) {
+  // Abramowitz and Stegun 7.1.26, accurate to 1.5e-7
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
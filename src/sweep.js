@@ -0,0 +1,49 @@
+/**
+ * Sampling parameters a sweep can vary, in the order parameter sets are labelled
+ */
+export const SWEEP_PARAMETERS = ['temperature', 'top_p', 'max_tokens'];
+
+/**
+ * Expand a sweep into the parameter sets to test
+ *
+ * Key implementation details:
+ * - Every combination of the swept values is a parameter set (cartesian product), the last parameter varying fastest
+ * - A model's own sweep replaces the run's values of the parameters it declares, and keeps the others
+ * - Parameters that aren't swept are left out of the sets, so they keep their prompt, model or global setting
+ *
+ * @param {Object} sweep - Values of every swept parameter (see CONFIGURATION.sweep), null for parameters that aren't swept
+ * @param {Object} [modelSweep] - The model's own sweep (see the experiment's `models[].sweep`)
+ * @returns {Array<Object|null>} - The parameter sets, `[null]` when nothing is swept
+ */
+export function expandSweep(sweep, modelSweep) {
+  const swept = SWEEP_PARAMETERS
+    .map(name => [name, modelSweep?.[name] ?? sweep?.[name]])
+    .filter(([, values]) => Array.isArray(values) && values.length > 0);
+
+  if (swept.length === 0) {
+    return [null];
+  }
+
+  return swept.reduce(
+    (sets, [name, values]) => sets.flatMap(set => values.map(value => ({ ...set, [name]: value }))),
+    [{}]
+  );
+}
+
+/**
+ * Get the label of a parameter set (`temperature=0.3 top_p=0.9`)
+ *
+ * @param {Object|null} parameters - The parameter set (see expandSweep), or options holding swept parameters
+ * @param {string} [separator] - Separator between parameters; identifiers and directory names use `+`
+ * @returns {string|null} - The label, null without parameters
+ */
+export function getParameterLabel(parameters, separator = ' ') {
+  if (!parameters) {
+    return null;
+  }
+
+  return SWEEP_PARAMETERS
+    .filter(name => parameters[name] !== undefined)
+    .map(name => `${name}=${parameters[name]}`)
+    .join(separator);
+}
@@ -0,0 +1,192 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Tags are `{{name}}`, `{{#if name}}`, `{{#unless name}}`, `{{else}}`, `{{/if}}`, `{{/unless}}` and `{{> partial}}`
+const TAG_PATTERN = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+const PARTIAL_PATTERN = /\{\{\s*>\s*([\w-]+)\s*\}\}/g;
+const VARIABLE_PATTERN = /^[A-Za-z_][\w-]*(\.[\w-]+)*$/;
+const MAX_PARTIAL_DEPTH = 10;
+
+/**
+ * Load the prompt partials: `<name>.txt` files of the partials directory, included with `{{> name}}`
+ *
+ * @param {string} directory - Partials directory
+ * @returns {Promise<Object>} - Partial templates keyed by name (empty if the directory doesn't exist)
+ */
+export async function loadPartials(directory) {
+  const partials = Object.create(null);
+
+  let files;
+  try {
+    files = await fs.readdir(directory);
+  } catch {
+    return partials;
+  }
+
+  for (const file of files) {
+    if (path.extname(file) === '.txt') {
+      partials[path.basename(file, '.txt')] = await fs.readFile(path.join(directory, file), 'utf8');
+      console.log(`Loaded prompt partial: ${file}`);
+    }
+  }
+
+  return partials;
+}
+
+/**
+ * Replace the `{{> name}}` tags of a template with their partials
+ * Partials can include other partials and use the same variables and conditionals as prompts
+ *
+ * @param {string} template - The template
+ * @param {Object} partials - Partial templates keyed by name (see loadPartials)
+ * @param {number} depth - Current nesting depth
+ * @returns {string} - The template with every partial included
+ * @throws {Error} - If a partial doesn't exist or partials include each other in a loop
+ */
+export function expandPartials(template, partials, depth = 0) {
+  if (depth > MAX_PARTIAL_DEPTH) {
+    throw new Error(`Partials are nested more than ${MAX_PARTIAL_DEPTH} levels deep (do they include each other?)`);
+  }
+
+  return template.replace(PARTIAL_PATTERN, (tag, name) => {
+    if (!(name in partials)) {
+      throw new Error(`Unknown partial "${name}"`);
+    }
+    return expandPartials(partials[name], partials, depth + 1);
+  });
+}
+
+/**
+ * Parse a template into text, variable and conditional nodes
+ *
+ * @param {string} template - The template (with partials included, see expandPartials)
+ * @returns {Array} - The template nodes
+ * @throws {Error} - If a tag is invalid or a conditional isn't closed
+ */
+export function parseTemplate(template) {
+  const root = { nodes: [] };
+  const stack = [root];
+  let current = root.nodes;
+  let position = 0;
+
+  for (const match of template.matchAll(TAG_PATTERN)) {
+    if (match.index > position) {
+      current.push({ type: 'text', value: template.slice(position, match.index) });
+    }
+    position = match.index + match[0].length;
+
+    const tag = match[1];
+    const block = tag.match(/^#(if|unless)\s+(\S+)$/);
+    const closing = tag.match(/^\/(if|unless)$/);
+
+    if (block) {
+      checkVariableName(block[2], match[0]);
+      const node = { type: 'conditional', keyword: block[1], name: block[2], then: [], else: null };
+      current.push(node);
+      stack.push(node);
+      current = node.then;
+    } else if (tag === 'else') {
+      const node = stack[stack.length - 1];
+      if (node === root || node.else) {
+        throw new Error(`Unexpected ${match[0]}`);
+      }
+      node.else = [];
+      current = node.else;
+    } else if (closing) {
+      const node = stack.pop();
+      if (node === root || node.keyword !== closing[1]) {
+        throw new Error(`Unexpected ${match[0]}`);
+      }
+      const parent = stack[stack.length - 1];
+      current = parent === root ? root.nodes : parent.else || parent.then;
+    } else {
+      checkVariableName(tag, match[0]);
+      current.push({ type: 'variable', name: tag });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Missing {{/${stack[stack.length - 1].keyword}}} for {{#${stack[stack.length - 1].keyword} ${stack[stack.length - 1].name}}}`);
+  }
+
+  if (position < template.length) {
+    current.push({ type: 'text', value: template.slice(position) });
+  }
+
+  return root.nodes;
+}
+
+/**
+ * Check whether a template inserts a variable (conditions on the variable don't count)
+ *
+ * @param {string} template - The template
+ * @param {string} name - Variable name
+ * @returns {boolean} - True if the template outputs the variable
+ */
+export function usesVariable(template, name) {
+  const search = nodes => nodes.some(node =>
+    node.type === 'variable' ? node.name === name :
+      node.type === 'conditional' && (search(node.then) || (node.else !== null && search(node.else))));
+
+  return search(parseTemplate(template));
+}
+
+/**
+ * Render a template
+ *
+ * Key implementation details:
+ * - `{{name}}` inserts a variable; dotted names (`{{author.name}}`) read nested values,
+ *   arrays are joined with commas and objects are inserted as JSON
+ * - `{{#if name}}...{{else}}...{{/if}}` and `{{#unless name}}...{{/unless}}` test whether a variable is set
+ *   (missing, null, false, empty strings and empty arrays are unset)
+ * - Inserting a missing variable is an error, so a typo never sends a prompt with a hole in it
+ *
+ * @param {string} template - The template (with partials included, see expandPartials)
+ * @param {Object} variables - Variable values
+ * @returns {string} - The rendered text
+ * @throws {Error} - If the template is invalid or uses a missing variable
+ */
+export function renderTemplate(template, variables) {
+  const render = nodes => nodes.map(node => {
+    if (node.type === 'text') {
+      return node.value;
+    }
+
+    const value = getVariable(variables, node.name);
+    if (node.type === 'conditional') {
+      const set = isSet(value);
+      const branch = (node.keyword === 'if') === set ? node.then : node.else;
+      return branch ? render(branch) : '';
+    }
+
+    if (value === undefined || value === null) {
+      throw new Error(`Missing template variable "${node.name}"`);
+    }
+    return formatValue(value);
+  }).join('');
+
+  return render(parseTemplate(template));
+}
+
+function checkVariableName(name, tag) {
+  if (!VARIABLE_PATTERN.test(name)) {
+    throw new Error(`Invalid template tag ${tag}`);
+  }
+}
+
+function getVariable(variables, name) {
+  return name.split('.').reduce((value, key) =>
+    value !== null && typeof value === 'object' && Object.hasOwn(value, key) ? value[key] : undefined, variables);
+}
+
+function isSet(value) {
+  return value !== undefined && value !== null && value !== false && value !== '' &&
+    !(Array.isArray(value) && value.length === 0);
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(item => typeof item === 'object' && item !== null ? JSON.stringify(item) : String(item)).join(', ');
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
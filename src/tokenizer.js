@@ -0,0 +1,61 @@
+/**
+ * BPE encodings available for counting tokens locally
+ * Counts are exact for models sharing the vocabulary, and a close estimate for other model families
+ */
+export const TOKENIZER_ENCODINGS = ['cl100k_base', 'o200k_base', 'p50k_base', 'r50k_base'];
+
+// Tokens a chat template adds around every message (role and separators), and to prime the assistant reply
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const REPLY_PRIMING_TOKENS = 3;
+
+const tokenizers = new Map();
+
+/**
+ * Load a tokenizer for a BPE encoding
+ *
+ * Key implementation details:
+ * - Encodings are imported on first use, since each one holds a large vocabulary
+ * - Special tokens in the text (e.g. `<|endoftext|>` inside a document) are counted as plain text
+ *
+ * @param {string} encoding - Encoding name (see TOKENIZER_ENCODINGS)
+ * @returns {Promise<{encoding: string, countTokens: Function, countMessageTokens: Function}>} - The tokenizer
+ * @throws {Error} - If the encoding is not supported
+ */
+export async function getTokenizer(encoding) {
+  if (!TOKENIZER_ENCODINGS.includes(encoding)) {
+    throw new Error(`Unknown tokenizer encoding "${encoding}" (available: ${TOKENIZER_ENCODINGS.join(', ')})`);
+  }
+
+  if (!tokenizers.has(encoding)) {
+    const { countTokens: count } = await import(`gpt-tokenizer/encoding/${encoding}`);
+    const countTokens = (text) => text ? count(text, { disallowedSpecial: new Set() }) : 0;
+
+    tokenizers.set(encoding, {
+      encoding,
+      countTokens,
+      countMessageTokens: (messages) => messages.reduce(
+        (total, message) => total + MESSAGE_OVERHEAD_TOKENS + countTokens(message.content),
+        REPLY_PRIMING_TOKENS
+      )
+    });
+  }
+
+  return tokenizers.get(encoding);
+}
+
+/**
+ * Clamp the requested output tokens to the room left in the model's context window
+ *
+ * @param {number|null} maxTokens - Requested output tokens (null = let the server decide)
+ * @param {number} promptTokens - Tokens used by the prompt
+ * @param {number|null} contextWindow - Context window of the model (null = unknown, no clamping)
+ * @returns {number|null} - The output tokens to request; 0 when the prompt alone fills the context window
+ */
+export function clampMaxTokens(maxTokens, promptTokens, contextWindow) {
+  if (!contextWindow) {
+    return maxTokens || null;
+  }
+
+  const available = Math.max(0, contextWindow - promptTokens);
+  return maxTokens ? Math.min(maxTokens, available) : available;
+}
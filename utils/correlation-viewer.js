@@ -1,13 +1,27 @@
 import fs from 'fs/promises';
-import {findCorrelations, generateComparisonReport} from '../src/correlator.js';
+import {
+    findCorrelations,
+    flushCorrelations,
+    generateComparisonReport,
+    generatePairedComparison,
+    migrateLegacyCorrelations
+} from '../src/correlator.js';
+import {formatPValue} from '../src/comparison.js';
 
 function parseArgs() {
     const args = process.argv.slice(2);
     const options = {
-        mode: 'list',       // Default mode: list, compare, detail
+        mode: 'list',       // Default mode: list, compare, detail, migrate
         modelId: null,
+        models: [],
+        endpoint: null,
         input_data_file: null,
         input_user_prompt: null,
+        prompts: [],
+        metric: 'overall',
+        runId: null,
+        from: null,
+        to: null,
         correlationIds: [],
         format: 'table',    // table, json
         sortBy: 'timestamp',
@@ -21,12 +35,27 @@ function parseArgs() {
             options.mode = 'compare';
         } else if (arg === '--detail' || arg === '-d') {
             options.mode = 'detail';
+        } else if (arg === '--migrate') {
+            options.mode = 'migrate';
         } else if (arg.startsWith('--model=')) {
-            options.modelId = arg.split('=')[1];
+            // A second --model names the other side of a comparison
+            options.models.push(arg.split('=')[1]);
+            options.modelId = options.models[0];
+        } else if (arg.startsWith('--endpoint=')) {
+            options.endpoint = arg.split('=')[1];
         } else if (arg.startsWith('--file=')) {
             options.input_data_file = arg.split('=')[1];
         } else if (arg.startsWith('--prompt=')) {
-            options.input_user_prompt = arg.split('=')[1];
+            options.prompts.push(arg.split('=')[1]);
+            options.input_user_prompt = options.prompts[0];
+        } else if (arg.startsWith('--metric=')) {
+            options.metric = arg.split('=')[1];
+        } else if (arg.startsWith('--run=')) {
+            options.runId = arg.split('=')[1];
+        } else if (arg.startsWith('--from=')) {
+            options.from = arg.split('=')[1];
+        } else if (arg.startsWith('--to=')) {
+            options.to = arg.split('=')[1];
         } else if (arg.startsWith('--id=')) {
             options.correlationIds.push(arg.split('=')[1]);
         } else if (arg.startsWith('--format=')) {
@@ -56,15 +85,26 @@ Usage:
 
 Modes:
   --list, -l             List correlations (default)
-  --compare, -c          Compare multiple correlations
+  --compare, -c          Compare multiple correlations, or test whether two prompts or two models differ
   --detail, -d           Show detailed information for a correlation
+  --migrate              Import legacy JSON correlation files into the correlation store
 
 Filters:
   --model=<modelId>      Filter by model ID
+  --endpoint=<name>      Filter by the endpoint that served the model
   --file=<input_data_file> Filter by file ID
   --prompt=<input_user_prompt>    Filter by prompt ID
+  --run=<runId>          Filter by run ID
+  --from=<date>          Only correlations recorded at or after this date (ISO 8601)
+  --to=<date>            Only correlations recorded at or before this date (ISO 8601)
   --id=<correlationId>   Specify a correlation ID (can be used multiple times)
 
+Comparison Options:
+  --prompt=<a> --prompt=<b>  With --compare: paired test of two prompts over the same models and files
+  --model=<a> --model=<b>    With --compare: paired test of two models over the same prompts, files and endpoints;
+                             <endpoint>/<model> compares models on two endpoints, e.g. --model=vllm/phi-4 --model=studio/phi-4
+  --metric=<name>        Metric compared (default: overall)
+
 Output Options:
   --format=<format>      Output format: table, json (default: table)
   --sort-by=<field>      Sort by field: timestamp, modelId, input_data_file, input_user_prompt (default: timestamp)
@@ -77,9 +117,16 @@ Examples:
   # List correlations for a specific model
   node correlation-viewer.js --model=mistral-7b-instruct-v0.2
 
+  # List correlations of one run, or of a date range
+  node correlation-viewer.js --run=2025-05-22T18-19-00-970Z
+  node correlation-viewer.js --from=2025-05-01 --to=2025-05-31T23:59:59Z
+
   # Compare specific correlations
   node correlation-viewer.js --compare --id=<id1> --id=<id2>
 
+  # Test whether two prompts score differently over the same files in one run
+  node correlation-viewer.js --compare --prompt=user_v1_basic --prompt=user_v2_detailed --run=2025-05-22T18-19-00-970Z
+
   # Show detailed information for a correlation
   node correlation-viewer.js --detail --id=<id>
 `);
@@ -93,9 +140,9 @@ function formatAsTable(correlations) {
         return 'No correlations found.';
     }
 
-    // Define table headers and column widths
+    // Define table headers and column widths (IDs are shown in full so they can be passed to --id)
     const headers = ['ID', 'Model', 'Document', 'Prompt', 'Timestamp', 'Metrics'];
-    const widths = [8, 20, 20, 15, 24, 30];
+    const widths = [Math.max(...correlations.map(corr => corr.id.length)), 20, 20, 15, 24, 30];
 
     // Create header row
     let table = headers.map((header, i) => header.padEnd(widths[i])).join(' | ') + '\n';
@@ -103,7 +150,7 @@ function formatAsTable(correlations) {
 
     // Add data rows
     for (const corr of correlations) {
-        const id = corr.id.substring(0, 8); // Truncate ID for display
+        const id = corr.id;
         const model = corr.modelId.substring(0, widths[1] - 3) + (corr.modelId?.length > widths[1] - 3 ? '...' : '');
         const doc = corr.input_data_file.substring(0, widths[2] - 3) + (corr.input_data_file?.length > widths[2] - 3 ? '...' : '');
         const prompt = corr.input_user_prompt.substring(0, widths[3]);
@@ -213,6 +260,40 @@ function formatComparisonAsTable(comparison) {
     return output;
 }
 
+/**
+ * Format a paired comparison of two prompts or models as text
+ */
+function formatPairedComparisonAsTable(comparison) {
+    const { factor, a, b, metric } = comparison;
+    let output = `\nPaired Comparison: ${factor} ${a} (A) vs ${b} (B) on ${metric}\n`;
+    output += '='.repeat(output.length - 2) + '\n\n';
+
+    if (!comparison.pairs) {
+        return output + `No test cases scored by both ${a} and ${b}.\n`;
+    }
+
+    const format = value => typeof value === 'number' ? value.toFixed(4) : 'N/A';
+    output += `Paired test cases: ${comparison.pairs}\n`;
+    output += `Mean A: ${format(comparison.mean_a)}, mean B: ${format(comparison.mean_b)}\n`;
+    output += `Difference (A - B): ${format(comparison.mean_difference)} ` +
+        `(95% CI ${format(comparison.ci_low)} to ${format(comparison.ci_high)})\n`;
+    output += `Wins/losses/ties of A: ${comparison.wins}/${comparison.losses}/${comparison.ties}\n\n`;
+
+    output += `Wilcoxon signed-rank: W+ ${comparison.wilcoxon.w_plus}, W- ${comparison.wilcoxon.w_minus}, ` +
+        `p ${formatPValue(comparison.wilcoxon.p_value)} (${comparison.wilcoxon.exact ? 'exact' : 'normal approximation'})\n`;
+    output += `Paired bootstrap: p ${formatPValue(comparison.bootstrap.p_value)}\n`;
+    output += `Effect size: Cohen's dz ${format(comparison.effect_size.cohens_dz)}, ` +
+        `rank-biserial ${format(comparison.effect_size.rank_biserial)}\n\n`;
+
+    output += 'Scores:\n';
+    const width = Math.max(...comparison.scores.map(({ key }) => key.length));
+    for (const { key, a: scoreA, b: scoreB } of comparison.scores) {
+        output += `  ${key.padEnd(width)}  A ${format(scoreA)}  B ${format(scoreB)}\n`;
+    }
+
+    return output;
+}
+
 /**
  * Format detailed correlation information
  */
@@ -229,8 +310,10 @@ async function formatDetailedInfo(correlationId) {
     // Basic information
     output += `ID: ${corr.id}\n`;
     output += `Model: ${corr.modelId}\n`;
+    output += `Endpoint: ${corr.endpoint || 'N/A'}\n`;
     output += `Document: ${corr.input_data_file}\n`;
     output += `Prompt: ${corr.input_user_prompt}\n`;
+    output += `Run: ${corr.runId || 'N/A'}\n`;
     output += `Timestamp: ${new Date(corr.timestamp).toLocaleString()}\n`;
     output += `Result Path: ${corr.resultPath}\n\n`;
 
@@ -246,8 +329,13 @@ async function formatDetailedInfo(correlationId) {
 
     // Try to load the result file
     try {
+        // The result path points to a run's results.json (array) or an incremental result.json (single result)
         const resultData = JSON.parse(await fs.readFile(corr.resultPath, 'utf8'));
-        const result = resultData.find(r => r.model === corr.modelId && r.promptType === corr.input_user_prompt);
+        const results = Array.isArray(resultData) ? resultData : [resultData];
+        const result = results.find(r => r.correlation_id === corr.id) ||
+            results.find(r => r.model === corr.modelId &&
+                r.input_data_file === corr.input_data_file &&
+                (r.input_user_prompt || r.prompt_name) === corr.input_user_prompt);
 
         if (result) {
             output += '\nResponse:\n';
@@ -289,8 +377,12 @@ async function main() {
             // List correlations with optional filters
             const filters = {};
             if (options.modelId) filters.modelId = options.modelId;
+            if (options.endpoint) filters.endpoint = options.endpoint;
             if (options.input_data_file) filters.input_data_file = options.input_data_file;
             if (options.input_user_prompt) filters.input_user_prompt = options.input_user_prompt;
+            if (options.runId) filters.runId = options.runId;
+            if (options.from) filters.from = options.from;
+            if (options.to) filters.to = options.to;
 
             let correlations = await findCorrelations(filters);
 
@@ -313,10 +405,31 @@ async function main() {
                 console.log(formatAsTable(correlations));
             }
 
+        } else if (options.mode === 'compare' && (options.prompts.length === 2 || options.models.length === 2)) {
+            // Test whether two prompts (or two models) score differently over the same test cases
+            const factor = options.prompts.length === 2 ? 'prompt' : 'model';
+            const [a, b] = factor === 'prompt' ? options.prompts : options.models;
+            const filters = {};
+            if (factor === 'prompt' && options.modelId) filters.modelId = options.modelId;
+            if (factor === 'model' && options.input_user_prompt) filters.input_user_prompt = options.input_user_prompt;
+            if (options.endpoint) filters.endpoint = options.endpoint;
+            if (options.input_data_file) filters.input_data_file = options.input_data_file;
+            if (options.runId) filters.runId = options.runId;
+            if (options.from) filters.from = options.from;
+            if (options.to) filters.to = options.to;
+
+            const comparison = await generatePairedComparison({ factor, a, b, metric: options.metric, filters });
+
+            if (options.format === 'json') {
+                console.log(JSON.stringify(comparison, null, 2));
+            } else {
+                console.log(formatPairedComparisonAsTable(comparison));
+            }
+
         } else if (options.mode === 'compare') {
             // Compare correlations
             if (options.correlationIds?.length < 2) {
-                console.error('Error: At least two correlation IDs are required for comparison');
+                console.error('Error: At least two correlation IDs, two prompts or two models are required for comparison');
                 printUsage();
                 process.exit(1);
             }
@@ -339,8 +452,15 @@ async function main() {
 
             const detailedInfo = await formatDetailedInfo(options.correlationIds[0]);
             console.log(detailedInfo);
+
+        } else if (options.mode === 'migrate') {
+            const migrated = await migrateLegacyCorrelations();
+            console.log(`Migrated ${migrated} correlations`);
         }
 
+        // Persist index updates picked up while querying
+        await flushCorrelations();
+
     } catch (error) {
         console.error('Error:', error.message);
         process.exit(1);
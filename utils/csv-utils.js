@@ -1,3 +1,5 @@
+import {SWEEP_PARAMETERS} from '../src/sweep.js';
+
 /**
  * CSV formatting constants
  */
@@ -9,80 +11,179 @@ export const CSV_FORMAT = {
 };
 
 /**
- * Get framework-specific CSV headers array
+ * Get the names of the metrics recorded by results, in order of first appearance
+ * The overall score always comes first, so outputs keep a stable leading column
  *
- * @returns {Array} Array of framework-specific CSV headers
+ * @param {Array<Object>} results - Results (or evaluations) with a `quantitative` object of metrics
+ * @returns {string[]} - Metric names
  */
+export function getMetricNames(results) {
+    const names = new Set(['overall']);
+    for (const { quantitative } of results) {
+        for (const [name, value] of Object.entries(quantitative || {})) {
+            if (typeof value === 'number') {
+                names.add(name);
+            }
+        }
+    }
+    return [...names];
+}
+
+/**
+ * Get the display label of a metric (`token_f1` is shown as `Token F1`)
+ *
+ * @param {string} name - Metric name
+ * @returns {string} - The label
+ */
+export function getMetricLabel(name) {
+    return name.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Get the CSV column of a metric; the overall score keeps its historical `overall_score` column
+ *
+ * @param {string} name - Metric name
+ * @returns {string} - The column name
+ */
+function getMetricColumn(name) {
+    return name === 'overall' ? 'overall_score' : name;
+}
+
+// Spread of the overall score over the samples of a repeated test case
+const SAMPLE_COLUMNS = ['samples', 'overall_std', 'overall_min', 'overall_max', 'overall_ci_low', 'overall_ci_high'];
+
 /**
  * Get the ordered list of CSV header fields
+ *
+ * @param {string[]} [metricNames] - Metrics to export as columns (see getMetricNames)
+ * @param {Object} [options] - Column options
+ * @param {boolean} [options.repeated] - Whether test cases were repeated, adding the spread of the overall score
+ * @param {boolean} [options.swept] - Whether sampling parameters were swept, adding the parameter set of each test case
  * @returns {string[]} Array of header field names
  */
-export function getCSVColumns() {
+export function getCSVColumns(metricNames = ['overall'], { repeated = false, swept = false } = {}) {
     return [
         'id',
         'timestamp',
         'model',
+        'endpoint',
         'input_user_prompt',
         'input_system_prompt',
         'input_assistant_prompt',
         'input_data_file',
+        ...(swept ? SWEEP_PARAMETERS : []),
         // Quantitative metrics
-        'overall_score',
-        'accuracy',
-        'completeness',
-        'relevance',
+        ...metricNames.map(getMetricColumn),
+        ...(repeated ? SAMPLE_COLUMNS : []),
         'errors_count',
+        'schema_violations',
         // Qualitative metrics
         'strengths_count',
         'weaknesses_count',
-        'suggestions_count'
+        'suggestions_count',
+        // Performance metrics
+        'completion_ms',
+        'time_to_first_token_ms',
+        'inter_token_latency_ms',
+        'tokens_per_second',
+        // Token usage
+        'prompt_tokens',
+        'completion_tokens',
+        'total_tokens',
+        'token_source'
     ];
 }
 
+/**
+ * Map a result to its CSV fields
+ *
+ * @param {Object} result - The test result
+ * @param {string[]} [metricNames] - Metrics to export as columns (see getMetricNames)
+ * @returns {Object} - Formatted values keyed by CSV column
+ */
 export function getCSVDataMap({
                                   id,
                                   timestamp,
                                   model,
+                                  endpoint,
                                   input_user_prompt,
                                   input_data_file,
                                   input_system_prompt,
                                   input_assistant_prompt,
+                                  parameters,
                                   quantitative,
-                                  qualitative
-                              }) {
+                                  qualitative,
+                                  schema_validation,
+                                  performance,
+                                  tokens,
+                                  statistics
+                              }, metricNames = ['overall']) {
 
-    const overallScore = quantitative.overall.toFixed(CSV_FORMAT.FRACTION_DIGITS) || CSV_FORMAT.NA;
-    const accuracy = quantitative.accuracy.toFixed(CSV_FORMAT.FRACTION_DIGITS) || CSV_FORMAT.NA;
-    const completeness = quantitative.completeness.toFixed(CSV_FORMAT.FRACTION_DIGITS) || CSV_FORMAT.NA;
-    const relevance = quantitative.relevance.toFixed(CSV_FORMAT.FRACTION_DIGITS) || CSV_FORMAT.NA;
+    // Metrics a result didn't record (e.g. no expected output, judge disabled) are N/A
+    const metrics = Object.fromEntries(metricNames.map(name => [
+        getMetricColumn(name),
+        formatMetric(quantitative[name], name === 'exact_match' ? 0 : CSV_FORMAT.FRACTION_DIGITS)
+    ]));
+    const overall = statistics?.metrics.overall;
 
     return {
         id,
         timestamp,
         model: model || CSV_FORMAT.NA,
+        endpoint: endpoint || CSV_FORMAT.NA,
         input_user_prompt: input_user_prompt || CSV_FORMAT.NA,
         input_system_prompt: input_system_prompt || CSV_FORMAT.NA,
         input_assistant_prompt: input_assistant_prompt || CSV_FORMAT.NA,
         input_data_file: input_data_file || CSV_FORMAT.NA,
+        // Swept parameters; parameters the sweep left out kept the prompt's or the model's setting
+        ...Object.fromEntries(SWEEP_PARAMETERS.map(name => [name, parameters?.[name] ?? CSV_FORMAT.NA])),
         // Quantitative metrics
-        overall_score: overallScore,
-        accuracy,
-        completeness,
-        relevance,
+        ...metrics,
+        // Repeated test cases: the overall score above is the mean of the samples
+        samples: statistics?.samples ?? 1,
+        overall_std: formatMetric(overall?.std, CSV_FORMAT.FRACTION_DIGITS),
+        overall_min: formatMetric(overall?.min, CSV_FORMAT.FRACTION_DIGITS),
+        overall_max: formatMetric(overall?.max, CSV_FORMAT.FRACTION_DIGITS),
+        overall_ci_low: formatMetric(overall?.ci_low, CSV_FORMAT.FRACTION_DIGITS),
+        overall_ci_high: formatMetric(overall?.ci_high, CSV_FORMAT.FRACTION_DIGITS),
         errors_count: quantitative.errors?.length || 0,
+        schema_violations: formatMetric(schema_validation?.errors.length, 0),
         // Qualitative metrics
         strengths_count: qualitative.strengths?.length || 0,
         weaknesses_count: qualitative.weaknesses?.length || 0,
         suggestions_count: qualitative.suggestions?.length || 0,
+        // Performance metrics
+        completion_ms: formatMetric(performance?.completion_ms, 0),
+        time_to_first_token_ms: formatMetric(performance?.time_to_first_token_ms, 0),
+        inter_token_latency_ms: formatMetric(performance?.inter_token_latency_ms, 2),
+        tokens_per_second: formatMetric(performance?.tokens_per_second, 2),
+        // Token usage
+        prompt_tokens: formatMetric(tokens?.prompt, 0),
+        completion_tokens: formatMetric(tokens?.completion, 0),
+        total_tokens: formatMetric(tokens?.total, 0),
+        token_source: tokens?.source || CSV_FORMAT.NA,
     };
 }
 
+/**
+ * Format an optional numeric metric
+ *
+ * @param {number|null|undefined} value - The metric value
+ * @param {number} fractionDigits - Number of fraction digits
+ * @returns {string} - The formatted value, or N/A if the metric wasn't recorded
+ */
+export function formatMetric(value, fractionDigits) {
+    return typeof value === 'number' && Number.isFinite(value) ? value.toFixed(fractionDigits) : CSV_FORMAT.NA;
+}
+
 /**
  * Get framework-specific CSV headers string
+ * @param {string[]} [metricNames] - Metrics to export as columns (see getMetricNames)
+ * @param {Object} [options] - Column options (see getCSVColumns)
  * @returns {string} CSV header string
  */
-export function getCSVColumnsJoined() {
-    return getCSVColumns().join(CSV_FORMAT.COMMA);
+export function getCSVColumnsJoined(metricNames, options) {
+    return getCSVColumns(metricNames, options).join(CSV_FORMAT.COMMA);
 }
 
 
@@ -0,0 +1,36 @@
+/**
+ * Check whether a name matches a simple wildcard pattern
+ * Supports `*` (any sequence of characters) and `?` (any single character)
+ *
+ * @param {string} name - The name to test
+ * @param {string} pattern - The wildcard pattern
+ * @returns {boolean} - True if the name matches the pattern
+ */
+export function matchesPattern(name, pattern) {
+    const source = pattern
+        .split('')
+        .map(char => {
+            if (char === '*') return '.*';
+            if (char === '?') return '.';
+            return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+
+    return new RegExp(`^${source}$`).test(name);
+}
+
+/**
+ * Check whether a name matches any of the given patterns
+ * An empty or missing pattern list matches everything
+ *
+ * @param {string} name - The name to test
+ * @param {string[]} [patterns] - Wildcard patterns
+ * @returns {boolean} - True if no patterns are given or at least one matches
+ */
+export function matchesAny(name, patterns) {
+    if (!patterns || patterns.length === 0) {
+        return true;
+    }
+
+    return patterns.some(pattern => matchesPattern(name, pattern));
+}
@@ -2,6 +2,8 @@
  * Slack webhook integration for sending test results with modern formatting
  */
 
+import {getMetricLabel} from './csv-utils.js';
+
 /**
  * @typedef {Object} SlackWebhookPayload
  * @property {Array<{
@@ -63,6 +65,30 @@ function createCsvPreview(csvContent) {
   return header + preview + footer;
 }
 
+// Slack allows at most 10 fields in a section block
+const MAX_SECTION_FIELDS = 10;
+
+/**
+ * Creates the section blocks listing average scores, whatever metrics the run recorded
+ * @param {Object} averageScores - Average score of every metric by name
+ * @param {Function} getScoreEmoji - Maps a score to its color indicator
+ * @returns {Array<Object>} - Section blocks of at most 10 fields each
+ */
+function createScoreSections(averageScores, getScoreEmoji) {
+  const fields = Object.entries(averageScores)
+    .filter(([, score]) => typeof score === 'number')
+    .map(([name, score]) => ({
+      type: "mrkdwn",
+      text: `${getScoreEmoji(score)} *${getMetricLabel(name)}:*\n${score.toFixed(4)}`
+    }));
+
+  const sections = [];
+  for (let i = 0; i < fields.length; i += MAX_SECTION_FIELDS) {
+    sections.push({ type: "section", fields: fields.slice(i, i + MAX_SECTION_FIELDS) });
+  }
+  return sections;
+}
+
 /**
  * Send error information to a Slack webhook
  * @param {Record<string, unknown>} context - Context information
@@ -196,11 +222,7 @@ export async function sendErrorToSlack(context = {}, error) {
  * @param {number} summary.totalTests - Total number of tests
  * @param {number} summary.successful - Number of successful tests
  * @param {number} summary.failed - Number of failed tests
- * @param {Object} summary.averageScores - Average scores
- * @param {number} summary.averageScores.overall - Overall average score
- * @param {number} summary.averageScores.accuracy - Average accuracy score
- * @param {number} summary.averageScores.completeness - Average completeness score
- * @param {number} summary.averageScores.relevance - Average relevance score
+ * @param {Object} summary.averageScores - Average score of every metric by name (null when no result recorded it)
  * @param {string} csvContent - CSV content to include in the message
  * @returns {Promise<void>}
  */
@@ -277,27 +299,7 @@ export async function sendTestResultsToSlack(summary, csvContent) {
           text: "*Average Scores:*"
         }
       },
-      {
-        type: "section",
-        fields: [
-          {
-            type: "mrkdwn",
-            text: `${getScoreEmoji(summary.averageScores.overall)} *Overall:*\n${summary.averageScores.overall.toFixed(4)}`
-          },
-          {
-            type: "mrkdwn",
-            text: `${getScoreEmoji(summary.averageScores.accuracy)} *Accuracy:*\n${summary.averageScores.accuracy.toFixed(4)}`
-          },
-          {
-            type: "mrkdwn",
-            text: `${getScoreEmoji(summary.averageScores.completeness)} *Completeness:*\n${summary.averageScores.completeness.toFixed(4)}`
-          },
-          {
-            type: "mrkdwn",
-            text: `${getScoreEmoji(summary.averageScores.relevance)} *Relevance:*\n${summary.averageScores.relevance.toFixed(4)}`
-          }
-        ]
-      }
+      ...createScoreSections(summary.averageScores, getScoreEmoji)
     ]
   };
   
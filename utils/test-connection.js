@@ -1,15 +1,18 @@
 import {CONFIGURATION} from '../src/config.js';
-import OpenAIAdapter from '../src/adapters/openai.js';
+import BaseAdapter from '../src/adapters/base.js';
+import {createAdapter} from '../src/adapters/index.js';
 
 async function testConnection() {
     const baseUrl = CONFIGURATION.modelServer.url;
     const modelId = CONFIGURATION.models.default[0] || 'default';
 
-    console.log(`Testing connection to ${baseUrl}`);
-    console.log(`Model: ${modelId} (normalized: ${OpenAIAdapter.getModelIdForFilePath(modelId)})`);
+    const adapterName = CONFIGURATION.modelServer.adapter;
+
+    console.log(`Testing connection to ${baseUrl} (${adapterName} adapter)`);
+    console.log(`Model: ${modelId} (normalized: ${BaseAdapter.getModelIdForFilePath(modelId)})`);
 
     try {
-        const adapter = new OpenAIAdapter({baseUrl, model: modelId, max_tokens: 50});
+        const adapter = createAdapter(adapterName, {baseUrl, model: modelId, max_tokens: 50});
 
         console.log('\nTesting models endpoint...');
         const modelsData = await adapter.listModels();